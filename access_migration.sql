@@ -0,0 +1,15 @@
+-- ============================================
+-- Per-file Access Control Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Visibility mode and allow lists.
+-- privacy: 'public' | 'company' | 'people' | 'usergroups' | 'channel' (legacy 'private'
+-- rows keep using allowed_user_emails). The uploader can always see their own files.
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS privacy text NOT NULL DEFAULT 'company',
+  ADD COLUMN IF NOT EXISTS allowed_user_emails text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS allowed_user_ids text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS allowed_usergroup_ids text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS allowed_channel_ids text[] NOT NULL DEFAULT '{}';
+-- ============================================
@@ -0,0 +1,55 @@
+-- ============================================
+-- AI Providers & Usage Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Per-workspace model and monthly token budget for AI re-ranking.
+-- NULL means the provider's default model (AI_MODEL) / AI_MONTHLY_TOKEN_BUDGET.
+ALTER TABLE public.workspaces
+  ADD COLUMN IF NOT EXISTS ai_model text,
+  ADD COLUMN IF NOT EXISTS ai_monthly_token_budget integer;
+
+-- Step 2: Tokens spent per workspace, calendar month (YYYY-MM, UTC), feature and model
+CREATE TABLE IF NOT EXISTS public.ai_usage (
+  workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  period text NOT NULL,
+  feature text NOT NULL,
+  model text NOT NULL,
+  requests integer NOT NULL DEFAULT 0,
+  prompt_tokens bigint NOT NULL DEFAULT 0,
+  completion_tokens bigint NOT NULL DEFAULT 0,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (workspace_id, period, feature, model)
+);
+
+-- Step 3: Same defense-in-depth RLS as files/workspaces
+ALTER TABLE public.ai_usage ENABLE ROW LEVEL SECURITY;
+
+-- Step 4: Atomic "add to the counters" upsert, used by the store's db.increment():
+-- inserts p_row, or on a p_conflict clash adds its p_increment columns to the row's
+-- and overwrites the rest. Identifiers are quoted; only the service role may call it.
+CREATE OR REPLACE FUNCTION public.upsert_increment(p_table text, p_row jsonb, p_conflict text[], p_increment text[])
+RETURNS jsonb
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  cols text;
+  conflict text;
+  sets text;
+  result jsonb;
+BEGIN
+  SELECT string_agg(format('%I', k), ', ') INTO cols FROM jsonb_object_keys(p_row) AS k;
+  SELECT string_agg(format('%I', c), ', ') INTO conflict FROM unnest(p_conflict) AS c;
+  SELECT string_agg(
+    CASE WHEN k = ANY (p_increment) THEN format('%1$I = t.%1$I + EXCLUDED.%1$I', k) ELSE format('%1$I = EXCLUDED.%1$I', k) END,
+    ', ')
+    INTO sets FROM jsonb_object_keys(p_row) AS k WHERE NOT (k = ANY (p_conflict));
+  EXECUTE format(
+    'INSERT INTO public.%1$I AS t (%2$s) SELECT %2$s FROM jsonb_populate_record(NULL::public.%1$I, $1) ON CONFLICT (%3$s) DO UPDATE SET %4$s RETURNING to_jsonb(t)',
+    p_table, cols, conflict, sets)
+    INTO result USING p_row;
+  RETURN result;
+END;
+$$;
+REVOKE ALL ON FUNCTION public.upsert_increment(text, jsonb, text[], text[]) FROM PUBLIC, anon, authenticated;
+-- ============================================
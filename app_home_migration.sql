@@ -0,0 +1,21 @@
+-- ============================================
+-- App Home & Library Management Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Archived files are hidden from search and the Home tab but kept
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS archived_at timestamptz,
+  ADD COLUMN IF NOT EXISTS project text;
+
+-- Step 2: Per-user state; welcomed_at makes the welcome DM a one-off
+CREATE TABLE IF NOT EXISTS public.workspace_users (
+  workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id text NOT NULL,
+  welcomed_at timestamptz,
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+-- Step 3: Same defense-in-depth RLS as files/workspaces
+ALTER TABLE public.workspace_users ENABLE ROW LEVEL SECURITY;
+-- ============================================
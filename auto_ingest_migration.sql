@@ -0,0 +1,20 @@
+-- ============================================
+-- Auto-ingest Channels Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Channels that opted in to saving shared design files automatically
+CREATE TABLE IF NOT EXISTS public.auto_ingest_channels (
+  workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  channel_id text NOT NULL,
+  enabled_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (workspace_id, channel_id)
+);
+
+-- Step 2: Auto-ingest skips Slack files that are already in the library
+CREATE INDEX IF NOT EXISTS idx_files_workspace_slack_file_id ON public.files(workspace_id, slack_file_id);
+
+-- Step 3: Same defense-in-depth RLS as files/workspaces
+ALTER TABLE public.auto_ingest_channels ENABLE ROW LEVEL SECURITY;
+-- ============================================
@@ -0,0 +1,35 @@
+-- ============================================
+-- Collections Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Named groups of designs ("ORCA Q3 redesign"), created with /design-collection
+CREATE TABLE IF NOT EXISTS public.collections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collections_workspace_name
+  ON public.collections(workspace_id, lower(name));
+
+-- Step 2: Membership is per design (version group, else file id), so new versions of a
+-- design stay in its collections
+CREATE TABLE IF NOT EXISTS public.collection_files (
+  workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  collection_id uuid NOT NULL REFERENCES public.collections(id) ON DELETE CASCADE,
+  design_id uuid NOT NULL,
+  added_by text,
+  added_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (collection_id, design_id)
+);
+CREATE INDEX IF NOT EXISTS idx_collection_files_workspace_design
+  ON public.collection_files(workspace_id, design_id);
+
+-- Step 3: Same defense-in-depth RLS as files/workspaces
+ALTER TABLE public.collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.collection_files ENABLE ROW LEVEL SECURITY;
+-- ============================================
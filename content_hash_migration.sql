@@ -0,0 +1,19 @@
+-- ============================================
+-- Content Hash & Deduplication Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: SHA-256 of the stored bytes. Uploads with a hash already in the workspace
+-- reuse that storage object and prompt the uploader about the duplicate.
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS content_hash text;
+CREATE INDEX IF NOT EXISTS idx_files_workspace_content_hash
+  ON public.files(workspace_id, content_hash) WHERE content_hash IS NOT NULL;
+
+-- Step 2: Deleting a file only removes its object once no other row points at it
+CREATE INDEX IF NOT EXISTS idx_files_workspace_storage_path
+  ON public.files(workspace_id, storage_path) WHERE storage_path IS NOT NULL;
+
+-- Step 3: Hash files stored before this migration:
+--   npm run backfill:hashes [workspace_id]
+-- ============================================
@@ -0,0 +1,15 @@
+-- ============================================
+-- Content Indexing Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Text extracted from uploaded files (PDF text, SVG <text>, Figma/Sketch
+-- layers, EXIF/XMP metadata), searched alongside the typed-in metadata
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS content_text text;
+
+-- Step 2: Trigram index so the ilike filter in searchFiles stays fast on long text
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_files_content_text_trgm
+  ON public.files USING gin (content_text gin_trgm_ops);
+-- ============================================
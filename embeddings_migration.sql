@@ -0,0 +1,17 @@
+-- ============================================
+-- Semantic Search Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Per-file embedding vector and the model that produced it.
+-- Vectors from different models are never compared, so the model is stored alongside.
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS embedding double precision[],
+  ADD COLUMN IF NOT EXISTS embedding_model text;
+
+-- Step 2: Index used by the backfill to find rows that still need embedding
+CREATE INDEX IF NOT EXISTS idx_files_embedding_model ON public.files(embedding_model);
+
+-- Step 3: Backfill existing rows from the app (needs OPENAI_API_KEY for OpenAI embeddings):
+--   npm run backfill:embeddings
+-- ============================================
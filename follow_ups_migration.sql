@@ -0,0 +1,18 @@
+-- ============================================
+-- Conversational Follow-ups Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Conversation state on search sessions. thread_ts is the results thread;
+-- follow-ups in it chain to their parent session with cumulative filters.
+ALTER TABLE public.search_sessions
+  ADD COLUMN IF NOT EXISTS thread_ts text,
+  ADD COLUMN IF NOT EXISTS filters jsonb NOT NULL DEFAULT '{}'::jsonb,
+  ADD COLUMN IF NOT EXISTS parent_session_id uuid REFERENCES public.search_sessions(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_search_sessions_thread
+  ON public.search_sessions(workspace_id, user_id, thread_ts);
+
+-- Step 2: MIME type reported by Slack at upload, used by file-type filters
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS mime_type text;
+-- ============================================
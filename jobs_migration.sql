@@ -0,0 +1,31 @@
+-- ============================================
+-- Background Jobs Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Durable queue for uploads and post-processing (src/jobs.js). The worker
+-- claims a queued row by flipping it to running; state holds finished steps so a
+-- retry resumes where the last attempt stopped.
+CREATE TABLE IF NOT EXISTS public.jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  type text NOT NULL,
+  payload jsonb NOT NULL DEFAULT '{}'::jsonb,
+  state jsonb NOT NULL DEFAULT '{}'::jsonb,
+  status text NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'done', 'failed')),
+  attempts integer NOT NULL DEFAULT 0,
+  max_attempts integer NOT NULL DEFAULT 5,
+  run_at timestamptz NOT NULL DEFAULT now(),
+  locked_at timestamptz,
+  progress text,
+  last_error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz
+);
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON public.jobs(run_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_jobs_workspace_status ON public.jobs(workspace_id, status, updated_at DESC);
+
+-- Step 2: Same defense-in-depth RLS as files/workspaces
+ALTER TABLE public.jobs ENABLE ROW LEVEL SECURITY;
+-- ============================================
@@ -0,0 +1,22 @@
+-- ============================================
+-- Linked Design Metadata Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Title, owner, last change and thumbnail fetched from Figma / Google Drive /
+-- Dropbox / Miro when a design is stored as a link; title and owner are searchable
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS link_provider text,
+  ADD COLUMN IF NOT EXISTS link_title text,
+  ADD COLUMN IF NOT EXISTS link_owner text,
+  ADD COLUMN IF NOT EXISTS link_modified_at timestamptz,
+  ADD COLUMN IF NOT EXISTS link_thumbnail_url text;
+
+-- Step 2: Unfurls look up whether a posted link is already in the library
+CREATE INDEX IF NOT EXISTS idx_files_workspace_file_url ON public.files(workspace_id, file_url);
+
+-- Step 3: Each workspace's own provider tokens ({ "figma": …, "dropbox": …, "miro": … }),
+-- set by admins in the settings modal. Never returned to Slack.
+ALTER TABLE public.workspaces
+  ADD COLUMN IF NOT EXISTS link_tokens jsonb NOT NULL DEFAULT '{}'::jsonb;
+-- ============================================
@@ -0,0 +1,9 @@
+-- ============================================
+-- Structured Query Filters Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Indexes behind the date, uploader and sort filters searchFiles now pushes to the DB
+CREATE INDEX IF NOT EXISTS idx_files_workspace_uploaded_at ON public.files(workspace_id, uploaded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_files_workspace_user_id ON public.files(workspace_id, user_id);
+-- ============================================
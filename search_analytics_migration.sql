@@ -0,0 +1,30 @@
+-- ============================================
+-- Search Analytics Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: One row per search, including follow-ups and searches with no results
+CREATE TABLE IF NOT EXISTS public.search_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id text,
+  session_id uuid REFERENCES public.search_sessions(id) ON DELETE SET NULL,
+  query text NOT NULL,
+  tokens jsonb NOT NULL DEFAULT '[]'::jsonb,
+  filters jsonb NOT NULL DEFAULT '{}'::jsonb,
+  sort text NOT NULL DEFAULT 'relevance',
+  result_ids jsonb NOT NULL DEFAULT '[]'::jsonb,
+  result_count integer NOT NULL DEFAULT 0,
+  opened_file_ids jsonb NOT NULL DEFAULT '[]'::jsonb,
+  latency_ms integer NOT NULL DEFAULT 0,
+  ai_reranked boolean NOT NULL DEFAULT false,
+  refined boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_search_events_workspace_created
+  ON public.search_events(workspace_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_search_events_session_id ON public.search_events(session_id);
+
+-- Step 2: Same defense-in-depth RLS as files/workspaces
+ALTER TABLE public.search_events ENABLE ROW LEVEL SECURITY;
+-- ============================================
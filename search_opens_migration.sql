@@ -0,0 +1,22 @@
+-- ============================================
+-- Search Opens Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Atomic append to a jsonb array column, used by the store's db.append():
+-- adds p_values to p_column of every p_table row whose columns match p_eq, so
+-- concurrent opens of a search's results all land in search_events.opened_file_ids.
+-- Identifiers are quoted; only the service role may call it.
+CREATE OR REPLACE FUNCTION public.append_to_array(p_table text, p_eq jsonb, p_column text, p_values jsonb)
+RETURNS SETOF jsonb
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY EXECUTE format(
+    'UPDATE public.%1$I AS t SET %2$I = COALESCE(t.%2$I, ''[]''::jsonb) || $2 WHERE to_jsonb(t) @> $1 RETURNING to_jsonb(t)',
+    p_table, p_column)
+    USING p_eq, p_values;
+END;
+$$;
+REVOKE ALL ON FUNCTION public.append_to_array(text, jsonb, text, jsonb) FROM PUBLIC, anon, authenticated;
+-- ============================================
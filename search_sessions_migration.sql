@@ -0,0 +1,34 @@
+-- ============================================
+-- Search Sessions & Feedback Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Ordered, access-filtered result ids for each DM search (used for paging)
+CREATE TABLE IF NOT EXISTS public.search_sessions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id text NOT NULL,
+  channel_id text,
+  query text NOT NULL,
+  result_ids jsonb NOT NULL DEFAULT '[]'::jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_search_sessions_workspace_id ON public.search_sessions(workspace_id);
+
+-- Step 2: "Not this one" feedback recorded against a query
+CREATE TABLE IF NOT EXISTS public.search_feedback (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id text,
+  session_id uuid REFERENCES public.search_sessions(id) ON DELETE SET NULL,
+  query text NOT NULL,
+  file_id text NOT NULL,
+  feedback text NOT NULL DEFAULT 'negative',
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_search_feedback_workspace_id ON public.search_feedback(workspace_id);
+
+-- Step 3: Same defense-in-depth RLS as files/workspaces
+ALTER TABLE public.search_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.search_feedback ENABLE ROW LEVEL SECURITY;
+-- ============================================
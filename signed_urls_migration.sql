@@ -0,0 +1,22 @@
+-- ============================================
+-- Private Storage & Signed URLs Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Files in the design_files bucket are referenced by path, not public URL
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS storage_path text;
+
+-- Step 2: Per-workspace lifetime of signed download links (NULL = SIGNED_URL_TTL_SECONDS / 1h)
+ALTER TABLE public.workspaces
+  ADD COLUMN IF NOT EXISTS signed_url_ttl_seconds integer;
+
+-- Step 3: Convert existing rows (public URL -> storage_path) from the app:
+--   npm run migrate:storage-urls -- --dry-run
+--   npm run migrate:storage-urls
+
+-- Step 4 (opt-in, run by hand): only after Step 3 has converted every row, make the bucket
+-- private so old public links stop working. Left commented out so running this file
+-- again, or before the conversion, doesn't break links that are still in use.
+-- UPDATE storage.buckets SET public = false WHERE id = 'design_files';
+-- ============================================
@@ -0,0 +1,194 @@
+// Per-file visibility.
+// privacy: 'public' | 'company' (everyone in the workspace) or a restricted mode
+// ('people' | 'usergroups' | 'channel', legacy 'private') where the viewer must be
+// the uploader or match one of the allow lists.
+
+export const VISIBILITY_OPTIONS = [
+  { value: 'company', label: 'Company (everyone in this workspace)' },
+  { value: 'public', label: 'Public (anyone with the link)' },
+  { value: 'people', label: 'Specific people' },
+  { value: 'usergroups', label: 'Slack user groups' },
+  { value: 'channel', label: 'Members of a channel' }
+];
+
+export function isOpenPrivacy(privacy) {
+  return !privacy || privacy === 'public' || privacy === 'company';
+}
+
+// The one allow list each restricted mode uses; the others are ignored (and cleared on save)
+export const ALLOW_LIST_COLUMNS = {
+  people: 'allowed_user_ids',
+  usergroups: 'allowed_usergroup_ids',
+  channel: 'allowed_channel_ids',
+  private: 'allowed_user_emails'
+};
+
+// Build a viewer whose group/channel memberships are looked up lazily via the Slack
+// Web API and cached for the lifetime of the object (one request). Viewers checked
+// together can share one `memberships` cache.
+export function createSlackViewer({ client, userId, email, memberships = { usergroups: new Map(), channels: new Map() } }) {
+  const { usergroups, channels } = memberships;
+  let emailPromise = email !== undefined ? Promise.resolve(email) : null;
+
+  async function members(cache, id, load) {
+    if (!cache.has(id)) {
+      cache.set(id, load().catch(() => new Set())); // no access to the group/channel = not a member
+    }
+    return (await cache.get(id)).has(userId);
+  }
+
+  return {
+    userId,
+    email() {
+      if (!emailPromise) {
+        emailPromise = client.users.info({ user: userId })
+          .then(res => res.user?.profile?.email || null)
+          .catch(() => null);
+      }
+      return emailPromise;
+    },
+    inUsergroup(usergroupId) {
+      return members(usergroups, usergroupId, async () => {
+        const res = await client.usergroups.users.list({ usergroup: usergroupId });
+        return new Set(res.users || []);
+      });
+    },
+    inChannel(channelId) {
+      return members(channels, channelId, async () => {
+        const ids = new Set();
+        let cursor;
+        do {
+          const res = await client.conversations.members({ channel: channelId, limit: 1000, cursor });
+          for (const id of res.members || []) ids.add(id);
+          cursor = res.response_metadata?.next_cursor;
+        } while (cursor);
+        return ids;
+      });
+    }
+  };
+}
+
+export async function canViewFile(file, viewer) {
+  if (isOpenPrivacy(file.privacy)) return true;
+  if (!viewer?.userId) return false;
+  if (file.user_id && file.user_id === viewer.userId) return true;
+
+  switch (file.privacy) {
+    case 'people':
+      return (file.allowed_user_ids || []).includes(viewer.userId);
+    case 'private': {
+      const allowedEmails = (file.allowed_user_emails || []).map(e => String(e).toLowerCase());
+      if (!allowedEmails.length) return false;
+      const email = await viewer.email();
+      return Boolean(email && allowedEmails.includes(email.toLowerCase()));
+    }
+    case 'usergroups':
+      for (const id of file.allowed_usergroup_ids || []) {
+        if (await viewer.inUsergroup(id)) return true;
+      }
+      return false;
+    case 'channel':
+      for (const id of file.allowed_channel_ids || []) {
+        if (await viewer.inChannel(id)) return true;
+      }
+      return false;
+    default:
+      return false;
+  }
+}
+
+export async function filterViewable(files, viewer) {
+  const checks = await Promise.all(files.map(f => canViewFile(f, viewer)));
+  return files.filter((_, i) => checks[i]);
+}
+
+// Channels bigger than this aren't checked member by member: restricted files are only
+// posted there when the channel itself is on their allow list
+const AUDIENCE_MAX_MEMBERS = Number(process.env.AUDIENCE_MAX_MEMBERS || 500);
+
+// Everyone in a channel, for posting a file where all of them can read it. A file passes
+// when every member could find it themselves; "company" files don't go to channels shared
+// with other organizations. Members are listed once per audience (one request).
+export function createChannelAudience({ client, channelId }) {
+  const memberships = { usergroups: new Map(), channels: new Map() };
+  const bots = new Map();
+  let loading = null;
+
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        const info = await client.conversations.info({ channel: channelId }).catch(() => null);
+        const members = [];
+        try {
+          let cursor;
+          do {
+            const res = await client.conversations.members({ channel: channelId, limit: 1000, cursor });
+            members.push(...(res.members || []));
+            cursor = res.response_metadata?.next_cursor;
+          } while (cursor && members.length <= AUDIENCE_MAX_MEMBERS);
+        } catch {
+          return { external: Boolean(info?.channel?.is_ext_shared), members: null }; // we can't see who's in it
+        }
+        return { external: Boolean(info?.channel?.is_ext_shared), members };
+      })();
+    }
+    return loading;
+  }
+
+  // bots and deactivated accounts don't count; only asked about members who fail the check
+  function isBotOrGone(userId) {
+    if (!bots.has(userId)) {
+      bots.set(userId, client.users.info({ user: userId })
+        .then(res => Boolean(res.user?.is_bot || res.user?.deleted || userId === 'USLACKBOT'))
+        .catch(() => false));
+    }
+    return bots.get(userId);
+  }
+
+  return {
+    channelId,
+    async canView(file) {
+      const { external, members } = await load();
+      if (file.privacy === 'public') return true;
+      if (isOpenPrivacy(file.privacy)) return !external;
+      if (file.privacy === 'channel' && (file.allowed_channel_ids || []).includes(channelId)) return true;
+      if (!members || members.length > AUDIENCE_MAX_MEMBERS) return false;
+      for (const userId of members) {
+        if (await canViewFile(file, createSlackViewer({ client, userId, memberships }))) continue;
+        if (!(await isBotOrGone(userId))) return false;
+      }
+      return true;
+    }
+  };
+}
+
+export async function filterViewableByAudience(files, audience) {
+  const checks = await Promise.all(files.map(f => audience.canView(f)));
+  return files.filter((_, i) => checks[i]);
+}
+
+// Workspace admins and owners see search analytics
+export async function isWorkspaceAdmin(client, userId) {
+  try {
+    const res = await client.users.info({ user: userId });
+    return Boolean(res.user?.is_admin || res.user?.is_owner || res.user?.is_primary_owner);
+  } catch {
+    return false;
+  }
+}
+
+// Files saved from a private channel, DM or group DM stay visible to its members only;
+// null for public channels, which get the workspace default
+export async function sourceChannelAccess(client, channelId) {
+  if (!channelId) return null;
+  const channel = await client.conversations.info({ channel: channelId }).catch(() => null);
+  const isPrivate = Boolean(channel?.channel?.is_private || channel?.channel?.is_im || channel?.channel?.is_mpim);
+  return isPrivate ? { privacy: 'channel', allowed_channel_ids: [channelId] } : null;
+}
+
+// Editing, archiving and deleting a file: its uploader or a workspace admin
+export async function canManageFile(client, file, userId) {
+  if (!userId) return false;
+  if (file.user_id && file.user_id === userId) return true;
+  return isWorkspaceAdmin(client, userId);
+}
@@ -1,56 +1,441 @@
 import OpenAI from 'openai';
+import { createAiProvider, estimateTokens } from './providers/index.js';
 
+// Chat features (re-ranking, follow-ups, upload suggestions) go through the provider
+// picked by AI_PROVIDER (see providers/index.js); embeddings use OpenAI directly when
+// OPENAI_API_KEY is set.
+const provider = createAiProvider();
+export const aiEnabled = Boolean(provider);
 const apiKey = process.env.OPENAI_API_KEY;
-export const aiEnabled = Boolean(apiKey);
 const client = apiKey ? new OpenAI({ apiKey }) : null;
 
-export async function rerankFilesWithAI(queryText, candidates, topK = 5) {
-  if (!client || !candidates?.length) return candidates;
+// The workspace's own model (workspaces.ai_model), else the provider's default
+export function aiModelFor(workspace) {
+  return workspace?.ai_model || provider?.defaultModel || null;
+}
 
-  const items = candidates.map((c, i) => ({
-    id: String(i),
-    name: c.file_name || c.name || '',
-    tags: Array.isArray(c.tags) ? c.tags.join(', ') : (c.tags || ''),
-    description: c.description || '',
-    url: c.file_url || ''
-  }));
+// ----------------------------
+// Search re-ranking
+// ----------------------------
 
-  const system = `You are a retrieval and ranking assistant for design files.
-Given a user query and a JSON array of file metadata, return the best matches in order.
-Output strictly as JSON: {"ranked": [{"index": <number>, "score": <0..1>} ...] } where index refers to the original position in the input array.`;
+export const AI_RERANK_TIMEOUT_MS = Number(process.env.AI_RERANK_TIMEOUT_MS || 4000);
+// Only the strongest lexical candidates are sent; the rest keep their place after them
+const AI_RERANK_MAX_CANDIDATES = Number(process.env.AI_RERANK_MAX_CANDIDATES || 15);
+const RERANK_CACHE_TTL_MS = Number(process.env.AI_RERANK_CACHE_TTL_MS || 10 * 60 * 1000);
+const RERANK_CACHE_SIZE = 500;
+const rerankCache = new Map(); // key -> { ids, expires }, oldest first
 
-  const user = JSON.stringify({ query: queryText, items });
+function rerankCacheKey(model, queryText, files) {
+  if (files.some(f => f.id === undefined || f.id === null)) return null;
+  const query = String(queryText || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return `${model}\n${query}\n${files.map(f => f.id).join(',')}`;
+}
 
-  const res = await client.chat.completions.create({
-    model: 'gpt-4o-mini',
-    messages: [
-      { role: 'system', content: system },
-      { role: 'user', content: user }
-    ],
-    temperature: 0.0
+function cachedOrder(key) {
+  const hit = key && rerankCache.get(key);
+  if (!hit) return null;
+  if (hit.expires < Date.now()) {
+    rerankCache.delete(key);
+    return null;
+  }
+  return hit.ids;
+}
+
+function cacheOrder(key, ids) {
+  if (!key) return;
+  rerankCache.delete(key);
+  rerankCache.set(key, { ids, expires: Date.now() + RERANK_CACHE_TTL_MS });
+  if (rerankCache.size > RERANK_CACHE_SIZE) rerankCache.delete(rerankCache.keys().next().value);
+}
+
+// Reject after ms, aborting the provider call
+async function withTimeout(run, ms) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(Object.assign(new Error(`AI request timed out after ${ms}ms`), { code: 'ETIMEDOUT' }));
+    }, ms);
   });
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-  const text = res.choices?.[0]?.message?.content?.trim() || '';
-  let ranked = [];
+// Report one request's tokens; a failing usage store never fails the request
+async function reportUsage(onUsage, usage) {
   try {
-    const parsed = JSON.parse(text);
-    ranked = Array.isArray(parsed.ranked) ? parsed.ranked : [];
-  } catch (_) {
-    // If parsing fails, just return original order
-    return candidates;
+    await onUsage?.(usage);
+  } catch (_) {}
+}
+
+const budgetUsedUp = () => Object.assign(new Error('AI token budget used up'), { code: 'EBUDGET' });
+
+// One chat completion within a workspace's token budget. Nothing is sent when the
+// estimate is over tokensLeft (throws with code EBUDGET); gives up after timeoutMs
+// (ETIMEDOUT). Every request sent is reported to onUsage, whose failures are ignored.
+async function completeWithinBudget({ promptTokens, answerTokens, tokensLeft = Infinity, timeoutMs, onUsage, ...request }) {
+  if (promptTokens + answerTokens > tokensLeft) throw budgetUsedUp();
+  let res;
+  try {
+    res = await withTimeout(signal => provider.complete({ ...request, timeoutMs, maxRetries: 0, signal }), timeoutMs);
+  } catch (err) {
+    // a request cut off by the timeout may still be billed for its prompt
+    await reportUsage(onUsage, { model: request.model, promptTokens, completionTokens: 0, estimated: true });
+    throw err;
   }
+  await reportUsage(onUsage, { model: res.model || request.model, ...res.usage, estimated: false });
+  return res;
+}
+
+const clip = (value, max) => {
+  const s = String(value || '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+};
 
+// Indexes into `items` from the provider's {"ranked": [{index, score}]} answer, best first
+function rankedIndexes(text, count) {
+  const parsed = JSON.parse(text);
+  const ranked = Array.isArray(parsed.ranked) ? parsed.ranked : [];
   const order = ranked
     .filter(r => r && typeof r.index === 'number')
     .sort((a, b) => (b.score ?? 0) - (a.score ?? 0))
     .map(r => r.index);
+  return Array.from(new Set(order)).filter(i => i >= 0 && i < count);
+}
+
+// Re-rank search candidates with the chat provider. Never throws: on a timeout, a
+// provider error, an unusable answer or an exhausted token budget the candidates come
+// back in their original (lexical) order.
+// Options:
+// - model: defaults to the provider's
+// - timeoutMs: per request, AI_RERANK_TIMEOUT_MS by default
+// - tokensLeft: skip the call when its estimated cost is above this
+// - onUsage({ model, promptTokens, completionTokens, estimated }): tokens spent
+// Returns { files, reranked, source } with source one of ai, cache, disabled, budget,
+// timeout or error.
+export async function rerankFilesWithAI(queryText, candidates, topK = 5, { model, timeoutMs = AI_RERANK_TIMEOUT_MS, tokensLeft = Infinity, onUsage } = {}) {
+  const lexical = (source) => ({ files: (candidates || []).slice(0, topK), reranked: false, source });
+  if (!provider || !candidates?.length) return lexical('disabled');
+  const useModel = model || provider.defaultModel;
+
+  const head = candidates.slice(0, AI_RERANK_MAX_CANDIDATES);
+  const tail = candidates.slice(AI_RERANK_MAX_CANDIDATES);
+  const reorder = (indexes) => {
+    const order = [...indexes, ...head.keys()].filter((i, pos, all) => all.indexOf(i) === pos);
+    return [...order.map(i => head[i]), ...tail].slice(0, topK);
+  };
+
+  const key = rerankCacheKey(useModel, queryText, head);
+  const cached = cachedOrder(key);
+  if (cached) {
+    const byId = new Map(head.map((f, i) => [String(f.id), i]));
+    return { files: reorder(cached.map(id => byId.get(String(id)))), reranked: true, source: 'cache' };
+  }
+
+  // Just enough metadata to judge relevance; descriptions and content are clipped
+  const items = head.map((c, i) => ({
+    index: i,
+    name: clip(c.file_name || c.name, 120),
+    tags: clip(Array.isArray(c.tags) ? c.tags.join(', ') : (c.tags || c.tags_text), 120),
+    project: clip(c.project, 60),
+    title: clip(c.link_title, 120),
+    description: clip(c.description, 200)
+  }));
+
+  const system = `You are a retrieval and ranking assistant for design files.
+Given a user query and a JSON array of file metadata, return the best matches in order.
+Output strictly as JSON: {"ranked": [{"index": <number>, "score": <0..1>} ...] } where index is the item's "index".`;
+  const messages = [
+    { role: 'system', content: system },
+    { role: 'user', content: JSON.stringify({ query: queryText, items }) }
+  ];
+
+  let res;
+  try {
+    res = await completeWithinBudget({
+      task: 'rerank',
+      model: useModel,
+      messages,
+      temperature: 0,
+      // roughly 12 tokens of answer per item
+      promptTokens: estimateTokens(system + messages[1].content),
+      answerTokens: 12 * items.length,
+      tokensLeft,
+      timeoutMs,
+      onUsage
+    });
+  } catch (err) {
+    return lexical(err.code === 'EBUDGET' ? 'budget' : err.code === 'ETIMEDOUT' ? 'timeout' : 'error');
+  }
+
+  let indexes;
+  try {
+    indexes = rankedIndexes(res.text, head.length);
+  } catch (_) {
+    return lexical('error');
+  }
+  cacheOrder(key, indexes.map(i => head[i].id));
+  return { files: reorder(indexes), reranked: true, source: 'ai' };
+}
+
+// ----------------------------
+// Embeddings for semantic search
+// ----------------------------
+
+const embeddingModel = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+const LOCAL_EMBEDDING_MODEL = 'local-hash-256';
+const LOCAL_DIMS = 256;
+
+// FNV-1a, enough to spread features across buckets deterministically
+function hash32(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Deterministic fallback when no OpenAI key is configured: hashed bag of words
+// plus character trigrams, so "dashboards" and "dashboard" still land close together
+export function localEmbed(text) {
+  const vec = new Array(LOCAL_DIMS).fill(0);
+  const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length >= 2);
+  const add = (feature, weight) => {
+    const h = hash32(feature);
+    vec[h % LOCAL_DIMS] += (h & 0x80000000) ? -weight : weight;
+  };
+  for (const w of words) {
+    add(`w:${w}`, 1);
+    const padded = `#${w}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, 0.5);
+  }
+  const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+  return norm ? vec.map(v => v / norm) : vec;
+}
+
+// Whether embedText calls OpenAI (and so spends tokens) rather than the local embedder
+export const embeddingsUseProvider = Boolean(client);
+
+// Embed text with OpenAI when available, otherwise with the local embedder.
+// The model id is returned so vectors from different embedders are never compared.
+// OpenAI calls are held to tokensLeft (throws with code EBUDGET) and reported to
+// onUsage, as the chat calls are; the local embedder is free.
+export async function embedText(text, { tokensLeft = Infinity, onUsage } = {}) {
+  const input = String(text || '').trim();
+  if (!input) return null;
+  if (!client) return { model: LOCAL_EMBEDDING_MODEL, vector: localEmbed(input) };
+
+  const promptTokens = estimateTokens(input);
+  if (promptTokens > tokensLeft) throw budgetUsedUp();
+  const res = await client.embeddings.create({ model: embeddingModel, input });
+  await reportUsage(onUsage, {
+    model: embeddingModel,
+    promptTokens: res.usage?.prompt_tokens ?? promptTokens,
+    completionTokens: 0,
+    estimated: !res.usage
+  });
+  const vector = res.data?.[0]?.embedding;
+  return vector ? { model: embeddingModel, vector } : null;
+}
+
+export function currentEmbeddingModel() {
+  return client ? embeddingModel : LOCAL_EMBEDDING_MODEL;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+// ----------------------------
+// Follow-up refinement
+// ----------------------------
+
+export const AI_FOLLOW_UP_TIMEOUT_MS = Number(process.env.AI_FOLLOW_UP_TIMEOUT_MS || 5000);
+
+const stringList = (v) => (Array.isArray(v) ? v.map(x => String(x).trim().toLowerCase()).filter(Boolean) : []);
+const isoOrNull = (v) => (v && !Number.isNaN(Date.parse(v)) ? new Date(v).toISOString() : null);
+
+// Turn a follow-up like "only the ones from last week by maria" into structured filters
+// (same shape as query.js parseFollowUp). Returns null when AI is disabled or the
+// answer can't be parsed or the token budget is used up, so callers fall back to the
+// token parser. Throws on a timeout (code ETIMEDOUT) or a provider error; callers
+// should fall back then too. model, timeoutMs, tokensLeft and onUsage work as for
+// rerankFilesWithAI.
+export async function parseFollowUpWithAI(text, { previousQuery, model, now = new Date(), timeoutMs = AI_FOLLOW_UP_TIMEOUT_MS, tokensLeft = Infinity, onUsage } = {}) {
+  if (!provider) return null;
+  const useModel = model || provider.defaultModel;
+
+  const system = `You turn follow-up messages about a design file search into filters.
+Today is ${now.toISOString().slice(0, 10)}. The previous search was given by the user.
+Output strictly as JSON: {"since": <ISO date or null>, "until": <ISO date or null>, "uploader_ids": [<Slack user ids from <@U...> mentions>], "uploader_names": [<names>], "tags": [<tags>], "file_types": [<file extensions like pdf, png, svg, fig, sketch>], "versions": <"all" | "latest" | null>, "archived": <"include" | "only" | null>, "keywords": [<other words that describe the wanted file, e.g. "mobile">]}`;
+
+  const messages = [
+    { role: 'system', content: system },
+    { role: 'user', content: JSON.stringify({ previous_query: previousQuery || '', follow_up: text }) }
+  ];
+  let res;
+  try {
+    res = await completeWithinBudget({
+      task: 'follow_up',
+      model: useModel,
+      messages,
+      temperature: 0.0,
+      json: true,
+      promptTokens: estimateTokens(system + messages[1].content),
+      answerTokens: 150,
+      tokensLeft,
+      timeoutMs,
+      onUsage
+    });
+  } catch (err) {
+    if (err.code === 'EBUDGET') return null;
+    throw err;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(res.text || '');
+  } catch (_) {
+    return null;
+  }
+  const filters = {};
+  const since = isoOrNull(parsed.since);
+  const until = isoOrNull(parsed.until);
+  if (since) filters.since = since;
+  if (until) filters.until = until;
+  const uploaderIds = Array.isArray(parsed.uploader_ids) ? parsed.uploader_ids.map(String).filter(id => /^[UW][A-Z0-9]+$/.test(id)) : [];
+  if (uploaderIds.length) filters.uploaderIds = uploaderIds;
+  for (const [key, from] of [['uploaderNames', 'uploader_names'], ['tags', 'tags'], ['fileTypes', 'file_types']]) {
+    const list = stringList(parsed[from]);
+    if (list.length) filters[key] = list;
+  }
+  if (parsed.versions === 'all' || parsed.versions === 'latest') filters.versions = parsed.versions;
+  if (parsed.archived === 'include' || parsed.archived === 'only') filters.archived = parsed.archived;
+  return { filters, keywords: stringList(parsed.keywords) };
+}
+
+// ----------------------------
+// Tags, description and project suggestions at upload time
+// ----------------------------
+
+export const AI_SUGGEST_TIMEOUT_MS = Number(process.env.AI_SUGGEST_TIMEOUT_MS || 15000);
+const MAX_SUGGESTED_TAGS = 6;
+// what a low-detail image costs, whatever its size
+const VISION_IMAGE_TOKENS = 85;
+const VISION_MAX_BYTES = 4 * 1024 * 1024;
+const VISION_MIME_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+
+// words that make poor tags on their own
+const TAG_STOPWORDS = new Set([
+  'the','and','for','with','from','this','that','these','those','are','was','were','has','have','had','not','but','you','your','our','their','its','into','onto','over','under','about','will','can','all','any','each','per','via','new','old','final','copy','draft','untitled','file','image','screenshot','export','version','page','design','img','jpg','jpeg','png','pdf','svg','gif','webp','fig','sketch','json'
+]);
+// all-caps words that aren't project names
+const NOT_PROJECTS = new Set(['PDF', 'SVG', 'PNG', 'JPG', 'JPEG', 'GIF', 'UI', 'UX', 'MVP', 'FINAL', 'COPY', 'DRAFT', 'WIP', 'API', 'URL', 'HTML', 'CSS', 'RGB', 'CMYK']);
+
+function keywordTokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length >= 3 && !/^\d+$/.test(w) && !/^v\d+$/.test(w) && !TAG_STOPWORDS.has(w))
+    .map(w => (w.endsWith('s') && !w.endsWith('ss') ? w.slice(0, -1) : w));
+}
+
+// Deterministic fallback when AI is off (or fails): frequent words of the file name and
+// content as tags, the first sentence-like content line as description, and a known
+// project (or an all-caps word in the name, like ORCA) as project
+export function keywordFileMetadata({ fileName, contentText, knownTags = [], knownProjects = [] }) {
+  const name = String(fileName || '').replace(/\.[a-z0-9]{1,6}$/i, '');
+  const content = String(contentText || '').slice(0, 5000);
+  const known = new Set(knownTags.map(t => String(t).toLowerCase()));
+
+  const scores = new Map();
+  const add = (w, points) => scores.set(w, (scores.get(w) || 0) + points);
+  keywordTokens(name).forEach(w => add(w, 3));
+  keywordTokens(content).forEach(w => add(w, 1));
+  for (const w of scores.keys()) if (known.has(w)) add(w, 2);
+  // a word seen once in the content only is noise
+  const tags = [...scores.entries()]
+    .filter(([, score]) => score >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SUGGESTED_TAGS)
+    .map(([w]) => w);
 
-  const unique = Array.from(new Set(order)).filter(i => i >= 0 && i < candidates.length);
-  const reordered = unique.map(i => candidates[i]);
-  // append any missing items to preserve completeness
-  for (let i = 0; i < candidates.length; i++) {
-    if (!unique.includes(i)) reordered.push(candidates[i]);
+  const line = content.split(/\n+/).map(l => l.replace(/\s+/g, ' ').trim()).find(l => l.split(' ').length >= 4);
+  const description = line ? (line.length > 140 ? `${line.slice(0, 139)}…` : line) : null;
+
+  const haystack = `${name} ${content}`.toLowerCase();
+  let project = knownProjects.find(p => p && haystack.includes(String(p).toLowerCase())) || null;
+  if (!project) {
+    project = name.split(/[^A-Za-z0-9]+/).find(w => /^[A-Z][A-Z0-9]{2,7}$/.test(w) && !NOT_PROJECTS.has(w)) || null;
   }
+  return { tags, description, project, source: 'keywords' };
+}
+
+function stringListOf(value) {
+  return Array.isArray(value) ? value.map(v => String(v).trim()).filter(Boolean) : [];
+}
+
+// Proposed { tags, description, project, source } for a new upload, from its name,
+// extracted text and (for images) a vision pass. Falls back to keywordFileMetadata, also
+// when the token budget is used up. model, timeoutMs, tokensLeft and onUsage work as for
+// rerankFilesWithAI.
+export async function suggestFileMetadata({ fileName, contentText, mimeType, image, knownTags = [], knownProjects = [], model, timeoutMs = AI_SUGGEST_TIMEOUT_MS, tokensLeft = Infinity, onUsage }) {
+  const fallback = () => keywordFileMetadata({ fileName, contentText, knownTags, knownProjects });
+  if (!provider) return fallback();
 
-  return reordered.slice(0, topK);
+  const system = `You catalogue design files (mockups, wireframes, icons, specs) for search.
+Given a file name, text extracted from the file and possibly the image itself, propose metadata.
+Prefer tags and projects the workspace already uses when they fit.
+Output strictly as JSON: {"tags": [<up to ${MAX_SUGGESTED_TAGS} short lower-case tags>], "description": <one line, max 140 chars, or null>, "project": <project name or null>}`;
+  const details = JSON.stringify({
+    file_name: fileName || '',
+    extracted_text: String(contentText || '').slice(0, 4000),
+    existing_tags: knownTags.slice(0, 100),
+    existing_projects: knownProjects.slice(0, 50)
+  });
+  const content = [{ type: 'text', text: details }];
+  const withImage = Boolean(image && VISION_MIME_TYPES.has(mimeType) && image.length <= VISION_MAX_BYTES);
+  if (withImage) {
+    content.push({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${Buffer.from(image).toString('base64')}`, detail: 'low' } });
+  }
+
+  try {
+    const res = await completeWithinBudget({
+      task: 'suggest_metadata',
+      model: model || provider.defaultModel,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content }
+      ],
+      temperature: 0.2,
+      json: true,
+      promptTokens: estimateTokens(system + details) + (withImage ? VISION_IMAGE_TOKENS : 0),
+      answerTokens: 150,
+      tokensLeft,
+      timeoutMs,
+      onUsage
+    });
+    const parsed = JSON.parse(res.text || '');
+    const description = typeof parsed.description === 'string' ? parsed.description.trim().slice(0, 140) : '';
+    return {
+      tags: stringListOf(parsed.tags).map(t => t.toLowerCase()).slice(0, MAX_SUGGESTED_TAGS),
+      description: description || null,
+      project: typeof parsed.project === 'string' && parsed.project.trim() ? parsed.project.trim() : null,
+      source: 'ai'
+    };
+  } catch (_) {
+    return fallback();
+  }
 }
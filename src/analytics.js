@@ -0,0 +1,105 @@
+// Search analytics for workspace admins: aggregates search_events into the reports
+// shown on the App Home admin tab and exported as CSV.
+
+export const ANALYTICS_WINDOW_DAYS = Number(process.env.ANALYTICS_WINDOW_DAYS || 30);
+const TOP_N = 10;
+
+// "  Latest ORCA  mockups" and "latest orca mockups" count as the same query
+function queryKey(q) {
+  return String(q || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function bump(map, key, init) {
+  if (!map.has(key)) map.set(key, init());
+  return map.get(key);
+}
+
+function laterOf(a, b) {
+  return String(a || '') > String(b || '') ? a : b;
+}
+
+// events: search_events rows for the window; files: latest versions (listFiles())
+export function summarizeSearches(events, files, { now = new Date(), windowDays = ANALYTICS_WINDOW_DAYS } = {}) {
+  const since = new Date(now.getTime() - windowDays * 86400000).toISOString();
+  const inWindow = events.filter(e => String(e.created_at || '') >= since);
+
+  const queries = new Map();
+  const opens = new Map();
+  let zeroResults = 0;
+  let reranked = 0;
+  let latencyTotal = 0;
+  for (const e of inWindow) {
+    const q = bump(queries, queryKey(e.query), () => ({ query: String(e.query).replace(/\s+/g, ' ').trim(), count: 0, zero: 0, results: 0, lastAt: null }));
+    q.count += 1;
+    q.results += e.result_count || 0;
+    q.lastAt = laterOf(q.lastAt, e.created_at);
+    if (!e.result_count) {
+      q.zero += 1;
+      zeroResults += 1;
+    }
+    if (e.ai_reranked) reranked += 1;
+    latencyTotal += e.latency_ms || 0;
+    for (const id of e.opened_file_ids || []) {
+      const o = bump(opens, String(id), () => ({ count: 0, lastAt: null }));
+      o.count += 1;
+      o.lastAt = laterOf(o.lastAt, e.created_at);
+    }
+  }
+
+  const byCount = (a, b) => b.count - a.count || String(b.lastAt).localeCompare(String(a.lastAt));
+  const fileById = new Map(files.map(f => [String(f.id), f]));
+  const all = [...queries.values()];
+
+  return {
+    since,
+    windowDays,
+    totalSearches: inWindow.length,
+    zeroResultRate: inWindow.length ? zeroResults / inWindow.length : 0,
+    aiRerankRate: inWindow.length ? reranked / inWindow.length : 0,
+    avgLatencyMs: inWindow.length ? Math.round(latencyTotal / inWindow.length) : 0,
+    topQueries: all
+      .sort(byCount)
+      .slice(0, TOP_N)
+      .map(q => ({ query: q.query, count: q.count, avgResults: q.results / q.count, lastAt: q.lastAt })),
+    zeroResultQueries: all
+      .filter(q => q.zero > 0)
+      .map(q => ({ query: q.query, count: q.zero, lastAt: q.lastAt }))
+      .sort(byCount)
+      .slice(0, TOP_N),
+    mostOpened: [...opens.entries()]
+      .filter(([id]) => fileById.has(id))
+      .map(([id, o]) => ({ file: fileById.get(id), count: o.count, lastAt: o.lastAt }))
+      .sort(byCount)
+      .slice(0, TOP_N),
+    // uploaded before the window and not opened from a search during it, oldest first
+    staleFiles: files
+      .filter(f => String(f.uploaded_at || '') < since && !opens.has(String(f.id)))
+      .sort((a, b) => String(a.uploaded_at || '').localeCompare(String(b.uploaded_at || '')))
+      .slice(0, TOP_N)
+      .map(f => ({ file: f, uploadedAt: f.uploaded_at }))
+  };
+}
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// The same reports as the admin tab, one row per item: report,item,file_id,count,last_at
+export function searchAnalyticsCsv(summary) {
+  const name = f => f.file_name || f.name || 'Untitled';
+  const rows = [['report', 'item', 'file_id', 'count', 'last_at']];
+  rows.push(['summary', 'searches', '', summary.totalSearches, '']);
+  rows.push(['summary', 'zero_result_rate', '', summary.zeroResultRate.toFixed(3), '']);
+  rows.push(['summary', 'ai_rerank_rate', '', summary.aiRerankRate.toFixed(3), '']);
+  rows.push(['summary', 'avg_latency_ms', '', summary.avgLatencyMs, '']);
+  if (summary.aiUsage) {
+    rows.push(['ai_usage', `tokens_${summary.aiUsage.period}`, '', summary.aiUsage.tokens, '']);
+    rows.push(['ai_usage', 'monthly_token_budget', '', summary.aiUsage.budget || '', '']);
+  }
+  for (const q of summary.topQueries) rows.push(['top_query', q.query, '', q.count, q.lastAt]);
+  for (const q of summary.zeroResultQueries) rows.push(['zero_result_query', q.query, '', q.count, q.lastAt]);
+  for (const o of summary.mostOpened) rows.push(['most_opened', name(o.file), o.file.id, o.count, o.lastAt]);
+  for (const s of summary.staleFiles) rows.push(['stale_file', name(s.file), s.file.id, 0, s.uploadedAt]);
+  return rows.map(r => r.map(csvCell).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,15 @@
+import 'dotenv/config';
+import { backfillEmbeddings } from './supabase.js';
+
+// Usage: node src/backfill-embeddings.js [workspace_id]
+const workspaceId = process.argv[2] || null;
+
+backfillEmbeddings({
+  workspaceId,
+  onProgress: (row, n) => console.log(`[${n}] ${row.file_name || row.name || row.id}`)
+})
+  .then(count => {
+    console.log(`Backfilled embeddings for ${count} file(s)`);
+    process.exit(0);
+  })
+  .catch(err => { console.error(err); process.exit(1); });
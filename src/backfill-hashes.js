@@ -0,0 +1,18 @@
+import 'dotenv/config';
+import { backfillContentHashes } from './supabase.js';
+
+// Usage: node src/backfill-hashes.js [workspace_id]
+const workspaceId = process.argv[2] || null;
+
+backfillContentHashes({
+  workspaceId,
+  onProgress: (row, n, err) => {
+    if (err) console.warn(`[skip] ${row.file_name || row.name || row.id}: ${err.message}`);
+    else console.log(`[${n}] ${row.file_name || row.name || row.id}`);
+  }
+})
+  .then(count => {
+    console.log(`Hashed ${count} file(s)`);
+    process.exit(0);
+  })
+  .catch(err => { console.error(err); process.exit(1); });
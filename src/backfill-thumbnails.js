@@ -0,0 +1,18 @@
+import 'dotenv/config';
+import { backfillThumbnails } from './supabase.js';
+
+// Usage: node src/backfill-thumbnails.js [workspace_id]
+const workspaceId = process.argv[2] || null;
+
+backfillThumbnails({
+  workspaceId,
+  onProgress: (row, n, err) => {
+    if (err) console.warn(`[skip] ${row.file_name || row.name || row.id}: ${err.message}`);
+    else console.log(`[${n}] ${row.file_name || row.name || row.id}`);
+  }
+})
+  .then(count => {
+    console.log(`Created ${count} thumbnail(s)`);
+    process.exit(0);
+  })
+  .catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,1063 @@
+// Block Kit builders for search results, the App Home and modals
+
+import { VISIBILITY_OPTIONS } from './access.js';
+import { DEFAULT_PRIVACY_OPTIONS } from './settings.js';
+import { TOKEN_LINK_PROVIDERS, linkProviderLabel } from './links/index.js';
+import { SUBSCRIPTION_FREQUENCIES } from './subscriptions.js';
+import { escapeMrkdwn } from './query.js';
+
+const SNIPPET_LENGTH = 140;
+
+export function displayNameOf(f) {
+  return (f.file_name || f.name || '').trim() || 'Untitled';
+}
+
+// displayNameOf() for mrkdwn text
+function nameOf(f) {
+  return escapeMrkdwn(displayNameOf(f));
+}
+
+// Shortened user text, escaped for mrkdwn
+function snippet(text) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return escapeMrkdwn(clean.length > SNIPPET_LENGTH ? `${clean.slice(0, SNIPPET_LENGTH - 1)}…` : clean);
+}
+
+export function tagsOf(f) {
+  if (Array.isArray(f.tags)) return f.tags.map(String).filter(Boolean);
+  return String(f.tags || f.tags_text || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+// Slack renders <!date^…> in the reader's timezone; the fallback is used by old clients
+function slackDate(iso) {
+  const ms = Date.parse(iso || '');
+  if (Number.isNaN(ms)) return null;
+  return `<!date^${Math.floor(ms / 1000)}^{date_short}|${new Date(ms).toISOString().slice(0, 10)}>`;
+}
+
+// Manage menu on a result card; the handler checks the user is the uploader or an admin
+// (anyone who can see the file may add it to a collection)
+function fileMenu(f, index) {
+  const option = (text, verb) => ({ text: { type: 'plain_text', text }, value: `${verb}:${f.id}` });
+  return {
+    type: 'overflow',
+    action_id: `search_file_menu_${index}`,
+    options: [
+      option('Edit details', 'edit'),
+      option('Add to collection…', 'collect'),
+      f.archived_at ? option('Restore', 'restore') : option('Archive', 'archive'),
+      option('Delete…', 'delete')
+    ]
+  };
+}
+
+// Thumbnail beside a card's text, when the file has one (see withDownloadUrls in server.js)
+function thumbnailAccessory(f) {
+  return f.thumbnail_url
+    ? { accessory: { type: 'image', image_url: f.thumbnail_url, alt_text: `Preview of ${displayNameOf(f)}` } }
+    : {};
+}
+
+// Name + description with thumbnail, and an uploader/date/tags context line
+function fileSummaryBlocks(f) {
+  const lines = [`*${nameOf(f)}*`];
+  const desc = snippet(f.description);
+  if (desc) lines.push(desc);
+
+  const meta = [];
+  if (f.archived_at) meta.push('Archived');
+  if (f.version > 1) meta.push(`v${f.version}`);
+  if (f.user_id) meta.push(`Uploaded by <@${f.user_id}>`);
+  const date = slackDate(f.uploaded_at);
+  if (date) meta.push(date);
+  if (f.link_provider) meta.push(linkProviderLabel(f.link_provider) || f.link_provider);
+  const tags = tagsOf(f);
+  if (tags.length) meta.push(`Tags: ${escapeMrkdwn(tags.join(', '))}`);
+
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: lines.join('\n') },
+      ...thumbnailAccessory(f)
+    }
+  ];
+  if (meta.length) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: meta.join(' · ') }] });
+  }
+  return blocks;
+}
+
+// One result card: the file's summary with open / feedback / manage actions, and a
+// share button on results only the searcher can see
+export function fileCardBlocks(f, { sessionId, index, share = false }) {
+  const blocks = fileSummaryBlocks(f);
+  blocks.push({
+    type: 'actions',
+    elements: [
+      ...(f.file_url
+        ? [{
+            type: 'button',
+            action_id: `search_open_file_${index}`,
+            text: { type: 'plain_text', text: 'Open' },
+            url: f.file_url,
+            value: `${sessionId}:${f.id}` // lets the open be attributed to the search
+          }]
+        : []),
+      ...(share
+        ? [{
+            type: 'button',
+            action_id: `search_share_file_${index}`,
+            text: { type: 'plain_text', text: 'Share to channel' },
+            value: `${sessionId}:${f.id}`
+          }]
+        : []),
+      {
+        type: 'button',
+        action_id: `search_not_this_one_${index}`,
+        text: { type: 'plain_text', text: 'Not this one' },
+        value: `${sessionId}:${f.id}`
+      },
+      fileMenu(f, index)
+    ]
+  });
+  return blocks;
+}
+
+// A result someone shared to a channel: the summary and an open link, nothing tied to
+// their search
+export function sharedFileBlocks(f, { sharedBy }) {
+  const blocks = [
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `<@${sharedBy}> shared a design from the library` }] },
+    ...fileSummaryBlocks(f)
+  ];
+  if (f.file_url) {
+    blocks.push({
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        action_id: 'search_open_file_0',
+        text: { type: 'plain_text', text: 'Open' },
+        url: f.file_url,
+        value: String(f.id)
+      }]
+    });
+  }
+  return blocks;
+}
+
+// A page of result cards with pagination buttons; `query` is the header's label, already
+// mrkdwn (see resultsLabel in server.js). `subscribe` adds the button that saves the
+// search (shown on the first page).
+export function searchResultsBlocks({ sessionId, query, files, page, pageSize, total, share = false, subscribe = false }) {
+  const from = page * pageSize + 1;
+  const to = page * pageSize + files.length;
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `Results ${from}–${to} of ${total} for _${query}_` }
+    }
+  ];
+  files.forEach((f, i) => {
+    blocks.push({ type: 'divider' });
+    blocks.push(...fileCardBlocks(f, { sessionId, index: i, share }));
+  });
+
+  const nav = [];
+  if (page > 0) {
+    nav.push({
+      type: 'button',
+      action_id: 'search_show_previous',
+      text: { type: 'plain_text', text: 'Previous' },
+      value: `${sessionId}:${page - 1}`
+    });
+  }
+  if (to < total) {
+    nav.push({
+      type: 'button',
+      action_id: 'search_show_more',
+      text: { type: 'plain_text', text: 'Show more' },
+      value: `${sessionId}:${page + 1}`
+    });
+  }
+  if (subscribe) {
+    nav.push({
+      type: 'button',
+      action_id: 'search_subscribe',
+      text: { type: 'plain_text', text: '🔔 Notify me about new matches' },
+      value: String(sessionId)
+    });
+  }
+  if (nav.length) {
+    blocks.push({ type: 'divider' });
+    blocks.push({ type: 'actions', elements: nav });
+  }
+  return blocks;
+}
+
+// Version history of one design, newest first, each with its own open link
+export function versionHistoryBlocks(versions) {
+  const latest = versions.find(v => v.is_latest !== false) || versions[0];
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*Versions of ${nameOf(latest)}* (${versions.length})` }
+    }
+  ];
+  versions.forEach((v, i) => {
+    const head = [`*v${v.version || 1}*`, nameOf(v)];
+    if (v === latest) head.push('_(latest)_');
+    const lines = [head.join(' · ')];
+    if (v.change_notes) lines.push(snippet(v.change_notes));
+    const meta = [];
+    if (v.user_id) meta.push(`<@${v.user_id}>`);
+    const date = slackDate(v.uploaded_at);
+    if (date) meta.push(date);
+    if (meta.length) lines.push(meta.join(' · '));
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: lines.join('\n') },
+      ...(v.file_url
+        ? {
+            accessory: {
+              type: 'button',
+              action_id: `search_open_file_${i}`,
+              text: { type: 'plain_text', text: 'Open' },
+              url: v.file_url,
+              value: String(v.id)
+            }
+          }
+        : {})
+    });
+  });
+  return blocks;
+}
+
+// Asks the uploader what to do about a file that's already in the library. Each
+// button's value points back at the upload job and the item within it.
+export function duplicatePromptBlocks({ name, existing, exact = true, jobId, index }) {
+  const existingName = existing.file_url ? `<${existing.file_url}|${nameOf(existing)}>` : nameOf(existing);
+  const meta = [`v${existing.version || 1}`];
+  if (existing.user_id) meta.push(`uploaded by <@${existing.user_id}>`);
+  const date = slackDate(existing.uploaded_at);
+  if (date) meta.push(date);
+  const value = JSON.stringify({ job: jobId, index });
+  const button = (text, actionId, style) => ({
+    type: 'button',
+    action_id: actionId,
+    text: { type: 'plain_text', text },
+    value,
+    ...(style ? { style } : {})
+  });
+  return [
+    {
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `⚠️ *${escapeMrkdwn(name)}* ${exact ? 'is already in the design library as' : 'looks a lot like'} *${existingName}* (${meta.join(' · ')}).`
+      }
+    },
+    {
+      type: 'actions',
+      elements: [
+        button('Add as new version', 'duplicate_add_version', 'primary'),
+        button('Keep existing', 'duplicate_link'),
+        button('Upload anyway', 'duplicate_upload_anyway')
+      ]
+    }
+  ];
+}
+
+// Visibility inputs shared by the upload and /design-access modals.
+// Slack can't show fields conditionally without round-trips, so all lists are shown
+// and only the one matching the chosen mode is used.
+// usergroupOptions: initial options for the external user-group select ({ text, value })
+export function visibilityBlocks(file = {}, { usergroupOptions = [] } = {}) {
+  const option = (o) => ({ text: { type: 'plain_text', text: o.label }, value: o.value });
+  const current = VISIBILITY_OPTIONS.find(o => o.value === (file.privacy || 'company')) || VISIBILITY_OPTIONS[0];
+  const users = file.allowed_user_ids || [];
+  const channels = file.allowed_channel_ids || [];
+  return [
+    {
+      type: 'input',
+      block_id: 'visibility',
+      element: {
+        type: 'static_select',
+        action_id: 'visibility_select',
+        options: VISIBILITY_OPTIONS.map(option),
+        initial_option: option(current)
+      },
+      label: { type: 'plain_text', text: 'Who can find this file?' }
+    },
+    {
+      type: 'input',
+      block_id: 'visibility_users',
+      element: {
+        type: 'multi_users_select',
+        action_id: 'visibility_users_select',
+        ...(users.length ? { initial_users: users } : {})
+      },
+      label: { type: 'plain_text', text: 'People (for "Specific people")' },
+      optional: true
+    },
+    {
+      type: 'input',
+      block_id: 'visibility_usergroups',
+      element: {
+        type: 'multi_external_select',
+        action_id: 'visibility_usergroups_select',
+        min_query_length: 0,
+        ...(usergroupOptions.length ? { initial_options: usergroupOptions } : {})
+      },
+      label: { type: 'plain_text', text: 'User groups (for "Slack user groups")' },
+      optional: true
+    },
+    {
+      type: 'input',
+      block_id: 'visibility_channels',
+      element: {
+        type: 'multi_conversations_select',
+        action_id: 'visibility_channels_select',
+        filter: { include: ['public', 'private'], exclude_bot_users: true },
+        ...(channels.length ? { initial_conversations: channels } : {})
+      },
+      label: { type: 'plain_text', text: 'Channels (for "Members of a channel")' },
+      optional: true
+    }
+  ];
+}
+
+function percent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+// Admin tab of the App Home: search analytics for the last summary.windowDays days
+export function analyticsHomeBlocks(summary) {
+  const list = (items, line, empty) => (items.length ? items.map(line).join('\n') : `_${empty}_`);
+  const section = (title, body) => ({ type: 'section', text: { type: 'mrkdwn', text: `*${title}*\n${body}` } });
+  return [
+    { type: 'header', text: { type: 'plain_text', text: 'Search analytics' } },
+    {
+      type: 'context',
+      elements: [
+        {
+          type: 'mrkdwn',
+          text: [
+            `Last ${summary.windowDays} days`,
+            `${summary.totalSearches} searches`,
+            `${percent(summary.zeroResultRate)} with no results`,
+            `${percent(summary.aiRerankRate)} AI re-ranked`,
+            `avg ${summary.avgLatencyMs} ms`
+          ].join(' · ')
+        }
+      ]
+    },
+    ...(summary.aiUsage
+      ? [{
+          type: 'context',
+          elements: [{ type: 'mrkdwn', text: `AI tokens in ${summary.aiUsage.period}: ${summary.aiUsage.tokens.toLocaleString('en-US')}${summary.aiUsage.budget ? ` of ${summary.aiUsage.budget.toLocaleString('en-US')}` : ''} · ${summary.aiUsage.requests} request(s)` }]
+        }]
+      : []),
+    section('Top queries', list(summary.topQueries, (q, i) => `${i + 1}. ${escapeMrkdwn(q.query)} — ${q.count}×`, 'No searches yet')),
+    section('Queries with no results', list(summary.zeroResultQueries, (q, i) => `${i + 1}. ${escapeMrkdwn(q.query)} — ${q.count}×`, 'None')),
+    section('Most opened files', list(summary.mostOpened, (o, i) => `${i + 1}. ${nameOf(o.file)} — ${o.count} open(s)`, 'Nothing opened from search yet')),
+    section('Stale files (not opened from search)', list(summary.staleFiles, s => `• ${nameOf(s.file)} · uploaded ${slackDate(s.uploadedAt) || 'unknown'}`, 'None')),
+    {
+      type: 'actions',
+      elements: [
+        { type: 'button', action_id: 'analytics_export_csv', text: { type: 'plain_text', text: 'Export CSV' } }
+      ]
+    }
+  ];
+}
+
+// Retention rules in a settings summary
+function retentionText(settings) {
+  const rules = [];
+  if (settings.archive_after_days) rules.push(`archive files unused for ${settings.archive_after_days} days`);
+  if (settings.delete_archived_after_days) rules.push(`delete files archived for ${settings.delete_archived_after_days} days`);
+  return rules.length ? rules.join(', ') : 'keep files forever';
+}
+
+// Admin section of the App Home (and /design-admin show): the workspace's settings
+export function settingsHomeBlocks({ settings, autoIngestChannelIds = [], aiAvailable = false, linkTtl = {}, linkTokenProviders = [] }) {
+  const privacy = DEFAULT_PRIVACY_OPTIONS.find(o => o.value === settings.default_privacy)?.label || settings.default_privacy;
+  const lines = [
+    `*Assistant name:* ${escapeMrkdwn(settings.assistant_name)}`,
+    `*New uploads visible to:* ${privacy}`,
+    `*AI re-ranking:* ${!aiAvailable ? 'not configured' : settings.ai_rerank_enabled ? 'on' : 'off'}`,
+    `*Results per page:* ${settings.results_page_size}`,
+    `*Auto-save channels:* ${autoIngestChannelIds.length ? autoIngestChannelIds.map(id => `<#${id}>`).join(', ') : 'none'}`,
+    `*Retention:* ${retentionText(settings)}`,
+    `*Download links valid for:* ${Math.round((linkTtl.seconds || linkTtl.defaultSeconds || 3600) / 60)} minutes`,
+    `*Link preview tokens:* ${linkTokenProviders.map(linkProviderLabel).join(', ') || 'none'}`
+  ];
+  return [
+    { type: 'header', text: { type: 'plain_text', text: 'Settings' } },
+    { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } },
+    {
+      type: 'actions',
+      elements: [{ type: 'button', action_id: 'home_edit_settings', text: { type: 'plain_text', text: 'Edit settings' } }]
+    }
+  ];
+}
+
+// /design-admin and the App Home "Edit settings" button
+export function settingsModalView({ settings, autoIngestChannelIds = [], aiAvailable = false, linkTtl = {}, linkTokenProviders = [], metadata = {} }) {
+  const option = o => ({ text: { type: 'plain_text', text: o.label }, value: o.value });
+  const number = (blockId, label, value, { min, max, optional = true, hint } = {}) => ({
+    type: 'input',
+    block_id: blockId,
+    element: {
+      type: 'number_input',
+      action_id: 'value',
+      is_decimal_allowed: false,
+      ...(min !== undefined ? { min_value: String(min) } : {}),
+      ...(max !== undefined ? { max_value: String(max) } : {}),
+      ...(value ? { initial_value: String(value) } : {})
+    },
+    label: { type: 'plain_text', text: label },
+    ...(hint ? { hint: { type: 'plain_text', text: hint } } : {}),
+    ...(optional ? { optional: true } : {})
+  });
+  const rerank = { text: { type: 'plain_text', text: 'Re-rank search results with AI' }, value: 'on' };
+  return {
+    type: 'modal',
+    callback_id: 'design_settings_modal',
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: 'Assistant Settings' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'assistant_name',
+        element: { type: 'plain_text_input', action_id: 'value', max_length: 40, initial_value: settings.assistant_name },
+        label: { type: 'plain_text', text: 'Assistant name' }
+      },
+      {
+        type: 'input',
+        block_id: 'default_privacy',
+        element: {
+          type: 'static_select',
+          action_id: 'value',
+          options: DEFAULT_PRIVACY_OPTIONS.map(option),
+          initial_option: option(DEFAULT_PRIVACY_OPTIONS.find(o => o.value === settings.default_privacy) || DEFAULT_PRIVACY_OPTIONS[0])
+        },
+        label: { type: 'plain_text', text: 'New uploads are visible to' }
+      },
+      {
+        type: 'input',
+        block_id: 'ai_rerank_enabled',
+        element: {
+          type: 'checkboxes',
+          action_id: 'value',
+          options: [rerank],
+          ...(settings.ai_rerank_enabled ? { initial_options: [rerank] } : {})
+        },
+        label: { type: 'plain_text', text: 'AI' },
+        ...(aiAvailable ? {} : { hint: { type: 'plain_text', text: 'No AI provider is configured, so this has no effect yet.' } }),
+        optional: true
+      },
+      number('results_page_size', 'Results per page', settings.results_page_size, { min: 1, max: 10, optional: false }),
+      {
+        type: 'input',
+        block_id: 'auto_ingest_channels',
+        element: {
+          type: 'multi_conversations_select',
+          action_id: 'value',
+          filter: { include: ['public', 'private'], exclude_bot_users: true },
+          ...(autoIngestChannelIds.length ? { initial_conversations: autoIngestChannelIds } : {})
+        },
+        label: { type: 'plain_text', text: 'Auto-save designs shared in' },
+        hint: { type: 'plain_text', text: 'Same as /design-autosave in each channel. Invite the app to private channels first.' },
+        optional: true
+      },
+      number('archive_after_days', 'Archive files nobody opened or shared for (days)', settings.archive_after_days, { min: 1, hint: 'Empty: never archive automatically' }),
+      number('delete_archived_after_days', 'Delete archived files after (days)', settings.delete_archived_after_days, { min: 1, hint: 'Empty: keep archived files' }),
+      number('signed_url_ttl_minutes', 'Download links stay valid for (minutes)', linkTtl.seconds && Math.round(linkTtl.seconds / 60), {
+        min: 1,
+        max: 7 * 24 * 60,
+        hint: `Empty: the default, ${Math.round((linkTtl.defaultSeconds || 3600) / 60)} minutes`
+      }),
+      // never pre-filled, so saved tokens aren't shown again
+      ...TOKEN_LINK_PROVIDERS.map(({ name, label }) => ({
+        type: 'input',
+        block_id: `link_token_${name}`,
+        element: { type: 'plain_text_input', action_id: 'value' },
+        label: { type: 'plain_text', text: `${label} token for link previews` },
+        hint: {
+          type: 'plain_text',
+          text: linkTokenProviders.includes(name)
+            ? 'A token is saved. Leave empty to keep it, or enter - to remove it.'
+            : `Lets ${label} links show their title, owner and thumbnail. Only this workspace uses it.`
+        },
+        optional: true
+      }))
+    ]
+  };
+}
+
+const JOB_LABELS = { upload_design: 'Upload', export_workspace: 'Export' };
+
+// Admin section of the App Home: background jobs that failed or are taking too long
+export function jobsHomeBlocks(jobs) {
+  const blocks = [{ type: 'header', text: { type: 'plain_text', text: 'Background jobs' } }];
+  if (!jobs.length) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: '_No failed or stuck jobs._' }] });
+    return blocks;
+  }
+  for (const job of jobs) {
+    const what = job.type === 'export_workspace' ? 'library' : job.payload?.fileName || job.payload?.items?.[0]?.url || 'file';
+    const status = job.status === 'failed'
+      ? `❌ failed after ${job.attempts} attempt(s)`
+      : job.status === 'running' ? `⏳ running (attempt ${job.attempts} of ${job.max_attempts})` : `🔁 retrying (${job.attempts} of ${job.max_attempts} attempts used)`;
+    const lines = [`*${JOB_LABELS[job.type] || job.type}* · ${escapeMrkdwn(what)} · ${status}`];
+    if (job.progress) lines.push(job.progress);
+    if (job.last_error) lines.push(`\`${snippet(job.last_error)}\``);
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } });
+    const meta = [];
+    const requestedBy = job.payload?.metadata?.user_id || job.payload?.userId;
+    if (requestedBy) meta.push(`<@${requestedBy}>`);
+    const queued = slackDate(job.created_at);
+    if (queued) meta.push(`queued ${queued}`);
+    if (meta.length) blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: meta.join(' · ') }] });
+    if (job.status !== 'running') {
+      blocks.push({
+        type: 'actions',
+        elements: [
+          { type: 'button', action_id: 'home_retry_job', text: { type: 'plain_text', text: 'Retry now' }, value: String(job.id) },
+          { type: 'button', action_id: 'home_dismiss_job', text: { type: 'plain_text', text: 'Dismiss' }, value: String(job.id) }
+        ]
+      });
+    }
+  }
+  return blocks;
+}
+
+// Upload modal; with `file` it becomes the edit form for that file's metadata
+// (the file itself, versioning and visibility can't be changed from it)
+// metadata: extra state for the submission handler (kept in private_metadata)
+// prefill: { fileName, tags, description, slackFiles: [{ id, name }] } for saving files
+// already shared in Slack, which replace the file and URL inputs
+export function uploadModalView({ channelId, file = null, metadata = {}, prefill = {} } = {}) {
+  const text = (blockId, actionId, label, { initial, placeholder, multiline = false, optional = true } = {}) => ({
+    type: 'input',
+    block_id: blockId,
+    element: {
+      type: 'plain_text_input',
+      action_id: actionId,
+      ...(multiline ? { multiline: true } : {}),
+      ...(placeholder ? { placeholder: { type: 'plain_text', text: placeholder } } : {}),
+      ...(initial ? { initial_value: initial } : {})
+    },
+    label: { type: 'plain_text', text: label },
+    ...(optional ? { optional: true } : {})
+  });
+  const editing = Boolean(file);
+  const slackFiles = editing ? [] : (prefill.slackFiles || []);
+  const several = slackFiles.length > 1;
+  const blocks = [
+    text('file_name', 'file_name_input', several ? 'File Name (optional, each file keeps its own)' : 'File Name', {
+      initial: file ? displayNameOf(file) : prefill.fileName,
+      placeholder: 'e.g., ORCA Dashboard Mockup v2',
+      optional: several
+    })
+  ];
+  if (slackFiles.length) {
+    const option = f => ({ text: { type: 'plain_text', text: String(f.name || f.id).slice(0, 75) }, value: f.id });
+    blocks.push({
+      type: 'input',
+      block_id: 'slack_files',
+      element: {
+        type: 'checkboxes',
+        action_id: 'slack_files_select',
+        options: slackFiles.slice(0, 10).map(option),
+        initial_options: slackFiles.slice(0, 10).map(option)
+      },
+      label: { type: 'plain_text', text: several ? 'Files to save' : 'File' }
+    });
+  } else if (!editing) {
+    blocks.push(
+      {
+        type: 'input',
+        block_id: 'file_upload',
+        element: {
+          type: 'file_input',
+          action_id: 'file_upload_input'
+        },
+        label: { type: 'plain_text', text: 'File (optional if URL provided)' },
+        optional: true
+      },
+      text('file_url', 'file_url_input', 'File URL (optional)', { placeholder: 'https://example.com/file.pdf' })
+    );
+  }
+  blocks.push(
+    text('tags', 'tags_input', 'Tags (optional)', { initial: file ? tagsOf(file).join(', ') : prefill.tags, placeholder: 'dashboard, mockup, orca' }),
+    text('project', 'project_input', 'Project (optional)', { initial: file ? file.project : prefill.project, placeholder: 'e.g., ORCA' }),
+    text('description', 'description_input', 'Description (optional)', { initial: file ? file.description : prefill.description, placeholder: 'Optional description', multiline: true })
+  );
+  if (!editing) {
+    if (!several) {
+      blocks.push(
+        {
+          type: 'input',
+          block_id: 'parent_file',
+          element: {
+            type: 'external_select',
+            action_id: 'parent_file_select',
+            min_query_length: 1,
+            placeholder: { type: 'plain_text', text: 'Search existing designs' }
+          },
+          label: { type: 'plain_text', text: 'New version of… (optional)' },
+          hint: { type: 'plain_text', text: 'A new version keeps the visibility of the file it revises.' },
+          optional: true
+        },
+        text('change_notes', 'change_notes_input', 'Change notes (optional)', { placeholder: 'What changed in this version?', multiline: true })
+      );
+    }
+    if (prefill.collections?.length) blocks.push(collectionsInput(prefill.collections));
+    blocks.push(...visibilityBlocks(prefill.access));
+  }
+  return {
+    type: 'modal',
+    callback_id: editing ? 'edit_design_modal' : 'upload_design_modal',
+    private_metadata: JSON.stringify({ ...metadata, ...(editing ? { fileId: file.id } : {}), channelId }),
+    title: { type: 'plain_text', text: editing ? 'Edit Design' : 'Upload Design File' },
+    submit: { type: 'plain_text', text: editing ? 'Save' : 'Upload' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks
+  };
+}
+
+// Optional multi-select of existing collections, in the upload and "Add to collection" modals
+function collectionsInput(collections, label = 'Add to collections (optional)') {
+  return {
+    type: 'input',
+    block_id: 'collections',
+    element: {
+      type: 'multi_static_select',
+      action_id: 'collections_select',
+      placeholder: { type: 'plain_text', text: 'Pick collections' },
+      options: collections.slice(0, 100).map(c => ({ text: { type: 'plain_text', text: String(c.name).slice(0, 75) }, value: String(c.id) }))
+    },
+    label: { type: 'plain_text', text: label },
+    optional: true
+  };
+}
+
+// Slack caps static select options at 100 and option text at 75 chars
+function selectOptions(values) {
+  return values.slice(0, 100).map(v => ({ text: { type: 'plain_text', text: String(v).slice(0, 75) }, value: String(v).slice(0, 150) }));
+}
+
+// Home tab. state: { section: 'recent'|'mine', tag, project, uploaderId };
+// manageable: ids of files the viewer may edit, archive or delete;
+// analytics: admin-only search analytics summary (see analytics.js)
+export function homeBlocks({ files, state, tags = [], projects = [], manageable = new Set(), settingsSummary = null, analytics = null, jobs = null }) {
+  const section = state.section === 'mine' ? 'mine' : 'recent';
+  const sectionButton = (value, label) => ({
+    type: 'button',
+    action_id: `home_section_${value}`,
+    text: { type: 'plain_text', text: label },
+    value,
+    ...(section === value ? { style: 'primary' } : {})
+  });
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: 'Design Library' } },
+    {
+      type: 'actions',
+      elements: [
+        sectionButton('recent', 'Recent'),
+        sectionButton('mine', 'My uploads'),
+        { type: 'button', action_id: 'home_upload', text: { type: 'plain_text', text: 'Upload design' } }
+      ]
+    }
+  ];
+
+  const filters = [];
+  if (tags.length) {
+    filters.push({
+      type: 'static_select',
+      action_id: 'home_filter_tag',
+      placeholder: { type: 'plain_text', text: 'Tag' },
+      options: selectOptions(tags),
+      ...(state.tag ? { initial_option: selectOptions([state.tag])[0] } : {})
+    });
+  }
+  if (projects.length) {
+    filters.push({
+      type: 'static_select',
+      action_id: 'home_filter_project',
+      placeholder: { type: 'plain_text', text: 'Project' },
+      options: selectOptions(projects),
+      ...(state.project ? { initial_option: selectOptions([state.project])[0] } : {})
+    });
+  }
+  if (section === 'recent') {
+    filters.push({
+      type: 'users_select',
+      action_id: 'home_filter_uploader',
+      placeholder: { type: 'plain_text', text: 'Uploader' },
+      ...(state.uploaderId ? { initial_user: state.uploaderId } : {})
+    });
+  }
+  if (state.tag || state.project || state.uploaderId) {
+    filters.push({ type: 'button', action_id: 'home_clear_filters', text: { type: 'plain_text', text: 'Clear filters' } });
+  }
+  if (filters.length) blocks.push({ type: 'actions', block_id: 'home_filters', elements: filters });
+
+  if (!files.length) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: section === 'mine' ? "_You haven't uploaded any designs yet._" : '_No designs match._' }
+    });
+  }
+  for (const f of files) {
+    blocks.push({ type: 'divider' });
+    const lines = [`*${nameOf(f)}*`];
+    const desc = snippet(f.description);
+    if (desc) lines.push(desc);
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') }, ...thumbnailAccessory(f) });
+
+    const meta = [];
+    if (f.version > 1) meta.push(`v${f.version}`);
+    if (f.project) meta.push(`Project: ${escapeMrkdwn(f.project)}`);
+    if (f.user_id) meta.push(`<@${f.user_id}>`);
+    const date = slackDate(f.uploaded_at);
+    if (date) meta.push(date);
+    const fileTags = tagsOf(f);
+    if (fileTags.length) meta.push(`Tags: ${escapeMrkdwn(fileTags.join(', '))}`);
+    if (meta.length) blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: meta.join(' · ') }] });
+
+    const buttons = [];
+    if (f.file_url) {
+      buttons.push({ type: 'button', action_id: 'home_open_file', text: { type: 'plain_text', text: 'Open' }, url: f.file_url, value: String(f.id) });
+    }
+    if (manageable.has(String(f.id))) {
+      buttons.push(
+        { type: 'button', action_id: 'home_edit_file', text: { type: 'plain_text', text: 'Edit' }, value: String(f.id) },
+        { type: 'button', action_id: 'home_archive_file', text: { type: 'plain_text', text: 'Archive' }, value: String(f.id) },
+        {
+          type: 'button',
+          action_id: 'home_delete_file',
+          text: { type: 'plain_text', text: 'Delete' },
+          style: 'danger',
+          value: String(f.id),
+          confirm: {
+            title: { type: 'plain_text', text: 'Delete this file?' },
+            text: { type: 'mrkdwn', text: `*${nameOf(f)}* and its stored file will be permanently deleted.` },
+            confirm: { type: 'plain_text', text: 'Delete' },
+            deny: { type: 'plain_text', text: 'Cancel' },
+            style: 'danger'
+          }
+        }
+      );
+    }
+    if (buttons.length) blocks.push({ type: 'actions', elements: buttons });
+  }
+
+  if (settingsSummary) {
+    blocks.push({ type: 'divider' }, ...settingsHomeBlocks(settingsSummary));
+  }
+  if (analytics) {
+    blocks.push({ type: 'divider' }, ...analyticsHomeBlocks(analytics));
+  }
+  if (jobs) {
+    blocks.push({ type: 'divider' }, ...jobsHomeBlocks(jobs));
+  }
+  return blocks;
+}
+
+// Confirmation before a hard delete from a result card or message shortcut
+export function deleteModalView({ file, channelId }) {
+  return {
+    type: 'modal',
+    callback_id: 'delete_design_modal',
+    private_metadata: JSON.stringify({ fileId: file.id, channelId }),
+    title: { type: 'plain_text', text: 'Delete Design' },
+    submit: { type: 'plain_text', text: 'Delete' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${nameOf(file)}* and its stored file will be permanently deleted. To only hide it from search, archive it instead.` }
+      }
+    ]
+  };
+}
+
+// Add a file to existing collections, or to a new one named here
+export function addToCollectionView({ file, collections, channelId }) {
+  return {
+    type: 'modal',
+    callback_id: 'add_to_collection_modal',
+    private_metadata: JSON.stringify({ fileId: file.id, channelId }),
+    title: { type: 'plain_text', text: 'Add to Collection' },
+    submit: { type: 'plain_text', text: 'Add' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `Add *${nameOf(file)}* to:` } },
+      ...(collections.length ? [collectionsInput(collections, 'Collections')] : []),
+      {
+        type: 'input',
+        block_id: 'new_collection',
+        element: {
+          type: 'plain_text_input',
+          action_id: 'value',
+          placeholder: { type: 'plain_text', text: 'e.g., ORCA Q3 redesign' }
+        },
+        label: { type: 'plain_text', text: collections.length ? 'Or a new collection' : 'New collection' },
+        optional: collections.length > 0
+      }
+    ]
+  };
+}
+
+// /design-collection list: every collection with its size
+export function collectionListBlocks(collections) {
+  if (!collections.length) {
+    return [{ type: 'section', text: { type: 'mrkdwn', text: 'No collections yet. Create one with `/design-collection create <name>`.' } }];
+  }
+  const lines = collections.map(c => {
+    const meta = [`${c.file_count} file${c.file_count === 1 ? '' : 's'}`];
+    if (c.created_by) meta.push(`by <@${c.created_by}>`);
+    return `• *${escapeMrkdwn(c.name)}* (${meta.join(' · ')})${c.description ? `\n   ${snippet(c.description)}` : ''}`;
+  });
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: `*Collections* (${collections.length})\n${lines.join('\n')}` } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: 'Share one with `/design-collection share <name>`, or search it with `/design in collection "<name>" …`' }] }
+  ];
+}
+
+// Slack allows 50 blocks per message and a digest file takes up to four
+const DIGEST_MAX_FILES = 11;
+
+// A collection as one message: its files, each with an open link. hiddenCount files
+// were left out because not everyone who reads the message may see them.
+export function collectionDigestBlocks({ collection, files, sharedBy = null, hiddenCount = 0 }) {
+  const head = [`*${escapeMrkdwn(collection.name)}*`];
+  if (collection.description) head.push(snippet(collection.description));
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: head.join('\n') } }];
+  const meta = [`${files.length} design${files.length === 1 ? '' : 's'}`];
+  if (sharedBy) meta.push(`shared by <@${sharedBy}>`);
+  if (hiddenCount) meta.push(`${hiddenCount} more not visible to everyone here`);
+  blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: meta.join(' · ') }] });
+  blocks.push(...digestFileBlocks(files, `\`/design in collection "${escapeMrkdwn(collection.name)}"\``));
+  if (!files.length) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_Nothing here yet._' } });
+  return blocks;
+}
+
+// The files of a digest message, each with an open link, then "…and N more" past the
+// message limit; searchHint is how to find the rest
+function digestFileBlocks(files, searchHint) {
+  const blocks = [];
+  files.slice(0, DIGEST_MAX_FILES).forEach((f, i) => {
+    blocks.push({ type: 'divider' }, ...fileSummaryBlocks(f));
+    if (f.file_url) {
+      blocks.push({
+        type: 'actions',
+        elements: [{
+          type: 'button',
+          action_id: `search_open_file_${i}`,
+          text: { type: 'plain_text', text: 'Open' },
+          url: f.file_url,
+          value: String(f.id)
+        }]
+      });
+    }
+  });
+  if (files.length > DIGEST_MAX_FILES) {
+    const rest = files.length - DIGEST_MAX_FILES;
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${rest} more. Search them with ${searchHint}` }] });
+  }
+  return blocks;
+}
+
+function frequencyLabel(frequency) {
+  return SUBSCRIPTION_FREQUENCIES.find(o => o.value === frequency)?.label || frequency;
+}
+
+// New matches for a saved search since its last digest; files are newest first.
+// hiddenCount matches were left out because not everyone in the channel may see them;
+// `more` says further matches wait for the next digest.
+export function subscriptionDigestBlocks({ subscription, files, hiddenCount = 0, more = false }) {
+  const created = files.filter(f => !(f.version > 1)).length;
+  const updated = files.length - created;
+  const counts = [];
+  if (created) counts.push(`${created} new design${created === 1 ? '' : 's'}`);
+  if (updated) counts.push(`${updated} new version${updated === 1 ? '' : 's'}`);
+  const meta = [`${frequencyLabel(subscription.frequency)} digest for <@${subscription.user_id}>`];
+  if (hiddenCount) meta.push(`${hiddenCount} more not visible to everyone here`);
+  if (more) meta.push('More new matches follow in the next digest');
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: `🔔 ${counts.join(' and ')} matching _${escapeMrkdwn(subscription.query)}_` } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: meta.join(' · ') }] },
+    ...digestFileBlocks(files, `\`/design ${escapeMrkdwn(subscription.query)}\``),
+    { type: 'divider' },
+    {
+      type: 'actions',
+      elements: [{
+        type: 'button',
+        action_id: 'subscription_unsubscribe',
+        text: { type: 'plain_text', text: 'Unsubscribe' },
+        value: String(subscription.id)
+      }]
+    }
+  ];
+}
+
+// Save a search: how often, and where the digest goes (a DM unless a channel is picked)
+export function subscribeModalView({ query, metadata = {} }) {
+  const option = o => ({ text: { type: 'plain_text', text: o.label }, value: o.value });
+  return {
+    type: 'modal',
+    callback_id: 'subscribe_modal',
+    private_metadata: JSON.stringify(metadata),
+    title: { type: 'plain_text', text: 'Notify Me' },
+    submit: { type: 'plain_text', text: 'Subscribe' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'query',
+        element: { type: 'plain_text_input', action_id: 'value', max_length: 200, ...(query ? { initial_value: query } : {}) },
+        label: { type: 'plain_text', text: 'New designs matching' },
+        hint: { type: 'plain_text', text: 'Same syntax as a search, e.g. orca dashboard mockups from maria' }
+      },
+      {
+        type: 'input',
+        block_id: 'frequency',
+        element: {
+          type: 'radio_buttons',
+          action_id: 'value',
+          options: SUBSCRIPTION_FREQUENCIES.map(option),
+          initial_option: option(SUBSCRIPTION_FREQUENCIES[0])
+        },
+        label: { type: 'plain_text', text: 'Send a digest' }
+      },
+      {
+        type: 'input',
+        block_id: 'channel',
+        element: {
+          type: 'conversations_select',
+          action_id: 'value',
+          filter: { include: ['public', 'private'], exclude_bot_users: true },
+          placeholder: { type: 'plain_text', text: 'Pick a channel' }
+        },
+        label: { type: 'plain_text', text: 'Post it in a channel instead of a DM' },
+        hint: { type: 'plain_text', text: 'Only files everyone in the channel may see are posted there.' },
+        optional: true
+      }
+    ]
+  };
+}
+
+// /design-subscriptions: someone's saved searches, each with a manage menu
+export function subscriptionListBlocks(subscriptions) {
+  if (!subscriptions.length) {
+    return [{ type: 'section', text: { type: 'mrkdwn', text: "You haven't saved any searches. Click *🔔 Notify me about new matches* under search results, or use `/design-subscriptions add <query>`." } }];
+  }
+  const option = (text, value) => ({ text: { type: 'plain_text', text }, value });
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: `*Your saved searches* (${subscriptions.length})` } }];
+  for (const sub of subscriptions) {
+    const where = sub.channel_id ? `in <#${sub.channel_id}>` : 'by DM';
+    const next = slackDate(sub.next_run_at);
+    const meta = [`${frequencyLabel(sub.frequency)} ${where}`];
+    if (next) meta.push(`next ${next}`);
+    const other = SUBSCRIPTION_FREQUENCIES.find(o => o.value !== sub.frequency);
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `• _${escapeMrkdwn(sub.query)}_\n   ${meta.join(' · ')}` },
+      accessory: {
+        type: 'overflow',
+        action_id: 'subscription_menu',
+        options: [
+          option(`Switch to ${other.value}`, `frequency:${sub.id}:${other.value}`),
+          option('Unsubscribe', `remove:${sub.id}`)
+        ]
+      }
+    });
+  }
+  return blocks;
+}
+
+// Placeholder shown while a submitted modal is being processed
+export function progressModalView(title, text) {
+  return {
+    type: 'modal',
+    title: { type: 'plain_text', text: title },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [{ type: 'section', text: { type: 'mrkdwn', text } }]
+  };
+}
+
+// Second step of an upload: suggested tags, description and project for each saved file,
+// merged with what the uploader typed, to confirm or edit. Inputs are suffixed with the
+// file's position (tags_0, description_0, …).
+// items: [{ file, suggestion: { tags, description, project, source } }]
+export function confirmMetadataView({ channelId, items }) {
+  const input = (blockId, label, initial, multiline = false) => ({
+    type: 'input',
+    block_id: blockId,
+    element: {
+      type: 'plain_text_input',
+      action_id: 'value',
+      ...(multiline ? { multiline: true } : {}),
+      ...(initial ? { initial_value: String(initial) } : {})
+    },
+    label: { type: 'plain_text', text: label },
+    optional: true
+  });
+  const fromAI = items.some(i => i.suggestion.source === 'ai');
+  const blocks = [
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: fromAI ? 'Suggested by AI from the file. Edit anything that is off.' : 'Suggested from the file name and contents. Edit anything that is off.' }]
+    }
+  ];
+  items.forEach(({ file, suggestion }, i) => {
+    const tags = tagsOf(file).length ? tagsOf(file) : suggestion.tags;
+    blocks.push(
+      { type: 'section', text: { type: 'mrkdwn', text: `*${nameOf(file)}*` } },
+      input(`tags_${i}`, 'Tags', tags.join(', ')),
+      input(`description_${i}`, 'Description', file.description || suggestion.description, true),
+      input(`project_${i}`, 'Project', file.project || suggestion.project)
+    );
+  });
+  return {
+    type: 'modal',
+    callback_id: 'confirm_design_metadata',
+    private_metadata: JSON.stringify({ channelId, fileIds: items.map(i => i.file.id) }),
+    title: { type: 'plain_text', text: 'Confirm Details' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Skip' },
+    blocks
+  };
+}
+
+// Unfurl for a Figma/Drive/Dropbox/Miro link: title, owner, last change and thumbnail,
+// plus a pointer to the library entry when the link is already saved
+export function linkUnfurlBlocks(meta, libraryFile = null) {
+  const lines = [`*${escapeMrkdwn(meta.title || meta.label)}*`];
+  const details = [meta.label];
+  if (meta.owner) details.push(`Owner: ${escapeMrkdwn(meta.owner)}`);
+  const modified = slackDate(meta.modifiedAt);
+  if (modified) details.push(`Updated ${modified}`);
+  lines.push(details.join(' · '));
+  const blocks = [
+    {
+      type: 'section',
+      text: { type: 'mrkdwn', text: lines.join('\n') },
+      ...(meta.thumbnailUrl
+        ? { accessory: { type: 'image', image_url: meta.thumbnailUrl, alt_text: meta.title || meta.label } }
+        : {})
+    }
+  ];
+  if (libraryFile) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `In the design library as *${nameOf(libraryFile)}*` }]
+    });
+  }
+  return blocks;
+}
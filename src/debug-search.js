@@ -1,9 +1,19 @@
 import 'dotenv/config';
-import { searchFiles } from './supabase.js';
+import { getOrCreateWorkspace, searchFiles } from './supabase.js';
+import { parseQuery } from './query.js';
 
+// Usage: node src/debug-search.js "<query>" <team_id>
 const q = process.argv[2] || 'homepage';
-searchFiles(q).then(rows => {
-  console.log('Query:', q);
-  console.log('Rows:', rows);
-  process.exit(0);
-}).catch(err => { console.error(err); process.exit(1); });
+const teamId = process.argv[3] || process.env.DEBUG_TEAM_ID || 'T_DEBUG';
+
+const parsed = parseQuery(q);
+
+getOrCreateWorkspace(teamId, 'Debug Team')
+  .then(workspace => searchFiles(q, workspace.id, 10, { parsed }))
+  .then(rows => {
+    console.log('Query:', q);
+    console.log('Parsed:', JSON.stringify(parsed, null, 2));
+    console.log('Rows:', rows);
+    process.exit(0);
+  })
+  .catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,21 @@
+import 'dotenv/config';
+import { exportWorkspaceBundle, getOrCreateWorkspace } from './supabase.js';
+
+// Usage: node src/export-bundle.js <team_id> [out.zip]
+const [teamId, out] = process.argv.slice(2);
+if (!teamId) {
+  console.error('Usage: node src/export-bundle.js <team_id> [out.zip]');
+  process.exit(1);
+}
+const zipPath = out || `design-library-${teamId}.zip`;
+
+getOrCreateWorkspace(teamId)
+  .then(workspace => exportWorkspaceBundle(workspace.id, zipPath, {
+    onProgress: ({ done, total }) => console.log(`[${done}/${total}] objects`)
+  }))
+  .then(manifest => {
+    console.log(`Wrote ${zipPath}: ${manifest.counts.files} file row(s), ${manifest.objects} object(s)`);
+    for (const path of manifest.missing) console.warn(`[missing] ${path}`);
+    process.exit(0);
+  })
+  .catch(err => { console.error(err); process.exit(1); });
@@ -0,0 +1,83 @@
+import { inflateRawSync } from 'node:zlib';
+
+// Container nodes whose names are meaningful to designers ("Checkout / Step 2")
+const NAMED_FIGMA_TYPES = new Set(['DOCUMENT', 'CANVAS', 'FRAME', 'SECTION', 'COMPONENT', 'COMPONENT_SET']);
+const NAMED_SKETCH_CLASSES = new Set(['page', 'artboard', 'symbolMaster']);
+
+// Walk a Figma REST export (`type`/`characters`) or Sketch document JSON (`_class`/`attributedString`)
+function collectDesignText(node, parts, depth = 0) {
+  if (!node || typeof node !== 'object' || depth > 200) return;
+  if (Array.isArray(node)) {
+    for (const child of node) collectDesignText(child, parts, depth + 1);
+    return;
+  }
+  if (node.type === 'TEXT' && typeof node.characters === 'string') parts.push(node.characters);
+  else if (NAMED_FIGMA_TYPES.has(node.type) && typeof node.name === 'string') parts.push(node.name);
+
+  if (node._class === 'text' && typeof node.attributedString?.string === 'string') parts.push(node.attributedString.string);
+  else if (NAMED_SKETCH_CLASSES.has(node._class) && typeof node.name === 'string') parts.push(node.name);
+
+  for (const key of ['document', 'children', 'layers', 'pages']) {
+    if (node[key]) collectDesignText(node[key], parts, depth + 1);
+  }
+  // Figma file responses keep component names in a side table
+  if (node.components && typeof node.components === 'object' && !Array.isArray(node.components)) {
+    for (const c of Object.values(node.components)) if (c?.name) parts.push(c.name);
+  }
+}
+
+export function looksLikeDesignJson(doc) {
+  if (!doc || typeof doc !== 'object') return false;
+  return Boolean(doc.document?.type || doc._class || doc.pages || doc.layers || doc.children);
+}
+
+export function extractDesignJsonText(doc) {
+  const parts = [];
+  if (typeof doc?.name === 'string') parts.push(doc.name);
+  collectDesignText(doc, parts);
+  return parts;
+}
+
+// Minimal zip reader (stored + deflate), enough for .sketch bundles
+export function readZipEntries(buf) {
+  const eocd = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd === -1) return [];
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+  const entries = [];
+  for (let i = 0; i < count && buf.readUInt32LE(offset) === 0x02014b50; i++) {
+    const method = buf.readUInt16LE(offset + 10);
+    const compSize = buf.readUInt32LE(offset + 20);
+    const nameLen = buf.readUInt16LE(offset + 28);
+    const extraLen = buf.readUInt16LE(offset + 30);
+    const commentLen = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString('utf8', offset + 46, offset + 46 + nameLen);
+    entries.push({
+      name,
+      read() {
+        const dataStart = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+        const data = buf.subarray(dataStart, dataStart + compSize);
+        if (method === 0) return data;
+        if (method === 8) return inflateRawSync(data);
+        throw new Error(`Unsupported zip compression method ${method}`);
+      }
+    });
+    offset += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+// .sketch files are zips of JSON documents: document.json, meta.json and pages/<id>.json
+export function extractSketchText(buf) {
+  const parts = [];
+  for (const entry of readZipEntries(buf)) {
+    if (!/^pages\/.+\.json$/.test(entry.name)) continue;
+    try {
+      parts.push(...extractDesignJsonText(JSON.parse(entry.read().toString('utf8'))));
+    } catch {
+      // one unreadable page shouldn't lose the rest of the document
+    }
+  }
+  return parts;
+}
@@ -0,0 +1,87 @@
+import { extractXmpText } from './xmp.js';
+
+// IFD0 tags with descriptive text. XP* tags are UCS-2 byte arrays written by Windows.
+const ASCII_TAGS = new Map([[0x010d, 'DocumentName'], [0x010e, 'ImageDescription'], [0x013b, 'Artist'], [0x8298, 'Copyright']]);
+const XP_TAGS = new Map([[0x9c9b, 'XPTitle'], [0x9c9c, 'XPComment'], [0x9c9d, 'XPAuthor'], [0x9c9e, 'XPKeywords'], [0x9c9f, 'XPSubject']]);
+
+function readExifIfd0(tiff) {
+  if (tiff.length < 8) return [];
+  const le = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+
+  const parts = [];
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) return parts;
+  const count = u16(ifd);
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    const tag = u16(entry);
+    if (!ASCII_TAGS.has(tag) && !XP_TAGS.has(tag)) continue;
+    const len = u32(entry + 4);
+    const at = len <= 4 ? entry + 8 : u32(entry + 8);
+    if (at + len > tiff.length) continue;
+    const raw = tiff.subarray(at, at + len);
+    const text = (XP_TAGS.has(tag) ? raw.toString('utf16le') : raw.toString('utf8')).replace(/\0+/g, ' ').trim();
+    if (text) parts.push(text);
+  }
+  return parts;
+}
+
+function jpegText(buf) {
+  const parts = [];
+  let pos = 2;
+  while (pos + 4 <= buf.length && buf[pos] === 0xff) {
+    const marker = buf[pos + 1];
+    if (marker === 0xda || marker === 0xd9) break; // image data starts; no more metadata
+    const len = buf.readUInt16BE(pos + 2);
+    const seg = buf.subarray(pos + 4, pos + 2 + len);
+    if (marker === 0xe1 && seg.toString('latin1', 0, 6) === 'Exif\0\0') parts.push(...readExifIfd0(seg.subarray(6)));
+    if (marker === 0xfe) parts.push(seg.toString('utf8').trim()); // COM segment
+    pos += 2 + len;
+  }
+  return parts;
+}
+
+// tEXt/iTXt chunks (Title, Description, Comment, ...) and eXIf
+function pngText(buf) {
+  const parts = [];
+  let pos = 8;
+  while (pos + 8 <= buf.length) {
+    const len = buf.readUInt32BE(pos);
+    const type = buf.toString('latin1', pos + 4, pos + 8);
+    const data = buf.subarray(pos + 8, pos + 8 + len);
+    if (type === 'tEXt') {
+      const sep = data.indexOf(0);
+      if (sep !== -1) parts.push(data.toString('latin1', sep + 1).trim());
+    } else if (type === 'iTXt') {
+      const keyEnd = data.indexOf(0);
+      const compressed = data[keyEnd + 1] === 1;
+      const langEnd = data.indexOf(0, keyEnd + 3);
+      const transEnd = data.indexOf(0, langEnd + 1);
+      const keyword = data.toString('latin1', 0, keyEnd);
+      // XMP packets are picked up separately; compressed iTXt is rare enough to skip
+      if (!compressed && keyword !== 'XML:com.adobe.xmp' && transEnd !== -1) {
+        parts.push(data.toString('utf8', transEnd + 1).trim());
+      }
+    } else if (type === 'eXIf') {
+      parts.push(...readExifIfd0(data));
+    } else if (type === 'IEND') break;
+    pos += 12 + len;
+  }
+  return parts.filter(Boolean);
+}
+
+export function isJpeg(buf) {
+  return buf.length > 3 && buf[0] === 0xff && buf[1] === 0xd8;
+}
+
+export function isPng(buf) {
+  return buf.length > 8 && buf.readUInt32BE(0) === 0x89504e47;
+}
+
+export function extractImageText(buf) {
+  const parts = isJpeg(buf) ? jpegText(buf) : isPng(buf) ? pngText(buf) : [];
+  return parts.concat(extractXmpText(buf));
+}
@@ -0,0 +1,67 @@
+import { extractPdfText } from './pdf.js';
+import { extractSvgText } from './svg.js';
+import { extractDesignJsonText, extractSketchText, looksLikeDesignJson } from './design-json.js';
+import { extractImageText, isJpeg, isPng } from './image.js';
+import { extractXmpText } from './xmp.js';
+
+// content_text is indexed for search, not displayed; keep rows a reasonable size
+export const MAX_CONTENT_CHARS = 20000;
+
+function extensionOf(fileName) {
+  const m = String(fileName || '').toLowerCase().match(/\.([a-z0-9]+)$/);
+  return m ? m[1] : '';
+}
+
+function detectKind(buf, { fileName, mimeType }) {
+  const ext = extensionOf(fileName);
+  const mime = String(mimeType || '').toLowerCase();
+  const head = buf.toString('latin1', 0, 512);
+
+  if (ext === 'pdf' || mime === 'application/pdf' || head.startsWith('%PDF')) return 'pdf';
+  if (ext === 'svg' || mime === 'image/svg+xml' || /^\s*(<\?xml[\s\S]*?\?>\s*)?(<!--[\s\S]*?-->\s*)*<svg\b/i.test(head)) return 'svg';
+  if (ext === 'sketch') return 'sketch';
+  if (ext === 'json' || mime === 'application/json' || /^\s*[{[]/.test(head)) return 'json';
+  if (isJpeg(buf) || isPng(buf) || mime.startsWith('image/')) return 'image';
+  return 'other';
+}
+
+function extractParts(buf, kind) {
+  switch (kind) {
+    case 'pdf':
+      return extractPdfText(buf);
+    case 'svg':
+      return extractSvgText(buf).concat(extractXmpText(buf));
+    case 'sketch':
+      return extractSketchText(buf);
+    case 'json': {
+      let doc;
+      try {
+        doc = JSON.parse(buf.toString('utf8'));
+      } catch {
+        return [];
+      }
+      return looksLikeDesignJson(doc) ? extractDesignJsonText(doc) : [];
+    }
+    case 'image':
+      return extractImageText(buf);
+    default:
+      // unknown binaries may still carry an embedded XMP packet (TIFF, WebP, PSD, AI...)
+      return extractXmpText(buf);
+  }
+}
+
+// Extract searchable text from an uploaded file. Returns null when nothing useful was found.
+export function extractText(buf, { fileName, mimeType } = {}) {
+  if (!buf?.length) return null;
+  const kind = detectKind(buf, { fileName, mimeType });
+  const seen = new Set();
+  const parts = [];
+  for (const part of extractParts(buf, kind)) {
+    const text = String(part || '').replace(/\s+/g, ' ').trim();
+    if (!text || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    parts.push(text);
+  }
+  const joined = parts.join('\n');
+  return joined ? joined.slice(0, MAX_CONTENT_CHARS) : null;
+}
@@ -0,0 +1,207 @@
+import { inflateSync } from 'node:zlib';
+import { extractXmpText } from './xmp.js';
+
+// Best-effort PDF text extraction: inflates Flate streams and reads the Tj/TJ/'/" text
+// operators plus the Info dictionary. Text drawn with CID fonts via custom encodings
+// won't decode to readable words; those PDFs still get their Info/XMP metadata indexed.
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f', '(': '(', ')': ')', '\\': '\\' };
+
+function decodeLiteral(raw) {
+  let out = '';
+  for (let i = 0; i < raw.length; i++) {
+    const ch = raw[i];
+    if (ch !== '\\') { out += ch; continue; }
+    const next = raw[++i];
+    if (next === undefined) break;
+    if (next in ESCAPES) out += ESCAPES[next];
+    else if (/[0-7]/.test(next)) {
+      let oct = next;
+      while (oct.length < 3 && /[0-7]/.test(raw[i + 1] || '')) oct += raw[++i];
+      out += String.fromCharCode(parseInt(oct, 8));
+    } else if (next === '\r' || next === '\n') {
+      if (next === '\r' && raw[i + 1] === '\n') i++; // line continuation
+    } else out += next;
+  }
+  return decodeTextString(out);
+}
+
+// PDF text strings are PDFDocEncoding (~latin1) or UTF-16BE with a BOM
+function decodeTextString(str) {
+  if (str.charCodeAt(0) === 0xfe && str.charCodeAt(1) === 0xff) {
+    return Buffer.from(str.slice(2), 'latin1').swap16().toString('utf16le');
+  }
+  return str;
+}
+
+function decodeHex(hex) {
+  const clean = hex.replace(/\s+/g, '');
+  return decodeTextString(Buffer.from(clean.length % 2 ? `${clean}0` : clean, 'hex').toString('latin1'));
+}
+
+const LITERAL = String.raw`\((?:\\[\s\S]|[^\\)])*\)`;
+
+// Only the start of a huge stream is read, and inflating stops at MAX_INFLATED_BYTES.
+// A whole file inflates at most MAX_TOTAL_INFLATED_BYTES over at most MAX_STREAMS streams,
+// so a small PDF of many deflate bombs can't fill memory.
+const MAX_STREAM_CHARS = 2 * 1024 * 1024;
+const MAX_INFLATED_BYTES = 16 * 1024 * 1024;
+const MAX_TOTAL_INFLATED_BYTES = 64 * 1024 * 1024;
+const MAX_STREAMS = 2000;
+
+const WHITESPACE = new Set([' ', '\n', '\r', '\t', '\f', '\0']);
+const DELIMITERS = new Set(['(', ')', '<', '>', '[', ']', '{', '}', '/', '%']);
+
+// A TJ array interleaves strings with kerning; large negative gaps are word spaces
+function textOfArray(items) {
+  let word = '';
+  for (const it of items) {
+    if (typeof it === 'string') word += it;
+    else if (typeof it === 'number' && it < -200) word += ' ';
+  }
+  return word;
+}
+
+// One pass over a content stream's tokens, collecting the strings shown by the Tj, TJ,
+// ' and " operators in each BT…ET block. Linear in the stream length whatever its
+// content, so a malformed or hostile PDF can't stall the upload worker.
+function textFromContentStream(content) {
+  const n = Math.min(content.length, MAX_STREAM_CHARS);
+  const parts = [];
+  let line = [];
+  let operands = [];
+  let array = null; // items of an open [ … ] array
+  const push = item => (array ? array.push(item) : operands.push(item));
+  const flush = () => {
+    const text = line.join(' ').replace(/[^\S\n]+/g, ' ').trim();
+    if (text) parts.push(text);
+    line = [];
+  };
+
+  let i = 0;
+  while (i < n) {
+    const ch = content[i];
+    if (WHITESPACE.has(ch)) {
+      i++;
+    } else if (ch === '%') {
+      while (i < n && content[i] !== '\n' && content[i] !== '\r') i++;
+    } else if (ch === '(') {
+      // literal string: parentheses nest unless escaped
+      let depth = 1;
+      let j = i + 1;
+      for (; j < n; j++) {
+        const c = content[j];
+        if (c === '\\') j++;
+        else if (c === '(') depth++;
+        else if (c === ')' && --depth === 0) break;
+      }
+      push(decodeLiteral(content.slice(i + 1, j)));
+      i = j + 1;
+    } else if (ch === '<' && content[i + 1] === '<') {
+      i += 2; // dictionaries (marked-content properties) carry no shown text
+    } else if (ch === '>' && content[i + 1] === '>') {
+      i += 2;
+    } else if (ch === '<') {
+      const end = content.indexOf('>', i);
+      const j = end === -1 || end > n ? n : end;
+      push(decodeHex(content.slice(i + 1, j).replace(/[^0-9a-fA-F]/g, '')));
+      i = j + 1;
+    } else if (ch === '[') {
+      array = [];
+      i++;
+    } else if (ch === ']') {
+      if (array) operands.push(array);
+      array = null;
+      i++;
+    } else if (ch === '/') {
+      i++;
+      while (i < n && !WHITESPACE.has(content[i]) && !DELIMITERS.has(content[i])) i++;
+      push(null);
+    } else if (DELIMITERS.has(ch)) {
+      i++;
+    } else {
+      let j = i;
+      while (j < n && !WHITESPACE.has(content[j]) && !DELIMITERS.has(content[j])) j++;
+      const word = content.slice(i, j);
+      i = j;
+      if (/^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(word)) {
+        push(Number(word));
+        continue;
+      }
+      const last = operands[operands.length - 1];
+      if (word === 'BT') line = [];
+      else if (word === 'ET') flush();
+      else if ((word === 'Tj' || word === "'" || word === '"') && typeof last === 'string') line.push(last);
+      else if (word === 'TJ' && Array.isArray(last)) line.push(textOfArray(last));
+      else if (word === 'ID') {
+        // inline image data runs to EI and may contain anything
+        const end = content.indexOf('EI', i);
+        i = end === -1 ? n : end + 2;
+      }
+      operands = [];
+      array = null;
+    }
+  }
+  flush();
+  return parts;
+}
+
+function* streams(src) {
+  let pos = 0;
+  for (;;) {
+    const start = src.indexOf('stream', pos);
+    if (start === -1) return;
+    pos = start + 6;
+    if (src.slice(start - 3, start) === 'end') continue;
+    let dataStart = pos;
+    if (src[dataStart] === '\r') dataStart++;
+    if (src[dataStart] === '\n') dataStart++;
+    const end = src.indexOf('endstream', dataStart);
+    if (end === -1) return;
+    const dict = src.slice(Math.max(0, src.lastIndexOf('obj', start)), start);
+    yield { dict, data: Buffer.from(src.slice(dataStart, end), 'latin1') };
+    pos = end + 9;
+  }
+}
+
+export function extractPdfText(buf) {
+  const src = buf.toString('latin1');
+  const parts = [];
+  const decoded = [src];
+  let budget = MAX_TOTAL_INFLATED_BYTES;
+  let count = 0;
+
+  for (const { dict, data } of streams(src)) {
+    if (++count > MAX_STREAMS || budget <= 0) break;
+    let content = null;
+    if (/\/FlateDecode/.test(dict)) {
+      const maxOutputLength = Math.min(MAX_INFLATED_BYTES, budget);
+      try {
+        content = inflateSync(data, { maxOutputLength }).toString('latin1');
+      } catch (err) {
+        // truncated, too large or unsupported predictor: skip this stream (one cut off at
+        // the limit still used up what it inflated)
+        if (err?.code === 'ERR_BUFFER_TOO_LARGE') budget -= maxOutputLength;
+        continue;
+      }
+      budget -= content.length;
+    } else if (!/\/Filter/.test(dict)) {
+      content = data.toString('latin1');
+    }
+    if (!content) continue;
+    decoded.push(content);
+    if (/\bBT\b/.test(content)) parts.push(...textFromContentStream(content));
+  }
+
+  // Info dictionary entries may live in the file body or inside a compressed object stream
+  for (const body of decoded) {
+    for (const key of ['Title', 'Subject', 'Keywords']) {
+      const m = body.match(new RegExp(`/${key}\\s*(?:(${LITERAL})|<([0-9a-fA-F\\s]*)>)`));
+      if (!m) continue;
+      const text = (m[1] ? decodeLiteral(m[1].slice(1, -1)) : decodeHex(m[2])).trim();
+      if (text) parts.unshift(text);
+    }
+  }
+  parts.push(...decoded.flatMap(body => extractXmpText(Buffer.from(body, 'latin1'))));
+  return parts;
+}
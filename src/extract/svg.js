@@ -0,0 +1,33 @@
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+export function decodeXmlEntities(str) {
+  return String(str).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1].toLowerCase() === 'x' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[ent.toLowerCase()] ?? m;
+  });
+}
+
+// Drop markup (and CDATA wrappers) but keep the words apart
+export function stripTags(str) {
+  const text = String(str)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/<[^>]+>/g, ' ');
+  return decodeXmlEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+// Text from <title>, <desc> and <text> (including nested <tspan>/<textPath>) elements
+export function extractSvgText(buf) {
+  const src = buf.toString('utf8');
+  const parts = [];
+  for (const tag of ['title', 'desc', 'text']) {
+    const re = new RegExp(`<(?:svg:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:svg:)?${tag}>`, 'gi');
+    for (const m of src.matchAll(re)) {
+      const text = stripTags(m[1]);
+      if (text) parts.push(text);
+    }
+  }
+  return parts;
+}
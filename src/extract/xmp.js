@@ -0,0 +1,47 @@
+import { decodeXmlEntities, stripTags } from './svg.js';
+
+// Descriptive XMP properties worth indexing; rdf:Alt/Bag/Seq children are flattened
+const XMP_FIELDS = [
+  'dc:title',
+  'dc:description',
+  'dc:subject',
+  'dc:creator',
+  'photoshop:Headline',
+  'photoshop:Keywords',
+  'pdf:Keywords',
+  'xmp:Label',
+  'Iptc4xmpCore:Location'
+];
+
+// Pull human-readable text out of every XMP packet found in a buffer
+export function extractXmpText(buf) {
+  const src = buf.toString('utf8');
+  const parts = [];
+  let from = 0;
+  for (;;) {
+    const start = src.indexOf('<x:xmpmeta', from);
+    if (start === -1) break;
+    const end = src.indexOf('</x:xmpmeta>', start);
+    if (end === -1) break;
+    parts.push(...xmpPacketText(src.slice(start, end)));
+    from = end;
+  }
+  return parts;
+}
+
+function xmpPacketText(packet) {
+  const parts = [];
+  for (const field of XMP_FIELDS) {
+    const elem = new RegExp(`<${field}\\b[^>]*>([\\s\\S]*?)</${field}>`, 'g');
+    for (const m of packet.matchAll(elem)) {
+      const text = stripTags(m[1]);
+      if (text) parts.push(text);
+    }
+    const attr = new RegExp(`\\b${field}="([^"]*)"`, 'g');
+    for (const m of packet.matchAll(attr)) {
+      const text = decodeXmlEntities(m[1]).trim();
+      if (text) parts.push(text);
+    }
+  }
+  return parts;
+}
@@ -0,0 +1,27 @@
+import 'dotenv/config';
+import { readFile } from 'node:fs/promises';
+import { getOrCreateWorkspace, importWorkspaceBundle } from './supabase.js';
+
+// Usage: node src/import-bundle.js <bundle.zip> <team_id> [mapping.json]
+const [zipPath, teamId, mappingPath] = process.argv.slice(2);
+if (!zipPath || !teamId) {
+  console.error('Usage: node src/import-bundle.js <bundle.zip> <team_id> [mapping.json]');
+  process.exit(1);
+}
+
+async function main() {
+  const mapping = mappingPath ? JSON.parse(await readFile(mappingPath, 'utf8')) : {};
+  const workspace = await getOrCreateWorkspace(teamId);
+  return importWorkspaceBundle(workspace.id, zipPath, {
+    mapping,
+    onProgress: ({ done, total, file }) => console.log(`[${done}/${total}] ${file.file_name || file.id}`)
+  });
+}
+
+main()
+  .then(summary => {
+    console.log(`Imported ${summary.files} file(s) and ${summary.collections} new collection(s); ${summary.skipped} already present`);
+    for (const path of summary.missing) console.warn(`[missing] ${path}`);
+    process.exit(0);
+  })
+  .catch(err => { console.error(err); process.exit(1); });
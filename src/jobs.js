@@ -0,0 +1,110 @@
+import { claimNextJob, pruneFinishedJobs, requeueStaleJobs, updateJob } from './supabase.js';
+
+// Durable background jobs: rows in the jobs table (see supabase.js) run by an in-process
+// worker. A failed attempt is retried with exponential backoff; what a job finished so
+// far is checkpointed in job.state so a retry picks up from there.
+
+export const JOB_POLL_MS = Number(process.env.JOB_POLL_MS || 2000);
+export const JOB_RETRY_BASE_MS = Number(process.env.JOB_RETRY_BASE_MS || 5000);
+const JOB_RETRY_MAX_MS = 15 * 60 * 1000;
+// a running job that hasn't checkpointed for this long is assumed dead and requeued
+export const JOB_LOCK_TIMEOUT_MS = Number(process.env.JOB_LOCK_TIMEOUT_MS || 10 * 60 * 1000);
+const DONE_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// 5s, 10s, 20s, … capped at 15 minutes
+export function retryDelayMs(attempts) {
+  return Math.min(JOB_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), JOB_RETRY_MAX_MS);
+}
+
+// handlers: { [type]: { run(job, ctx), onError?(job, err, { retryAt }) } }
+// run() gets ctx = { state, checkpoint(patch), progress(text), lastAttempt } and its
+// return value is stored in job.state.result. onError is told about every failed
+// attempt; retryAt is null when the job has failed for good.
+export function startJobWorker({ handlers, logger, pollMs = JOB_POLL_MS }) {
+  let timer = null;
+  let running = null;
+  let stopped = false;
+  let lastHousekeeping = 0;
+
+  async function runJob(job) {
+    const handler = handlers[job.type];
+    const state = { ...(job.state || {}) };
+    const ctx = {
+      state,
+      lastAttempt: job.attempts >= job.max_attempts,
+      // save finished steps; also refreshes the lock so a long job isn't requeued
+      checkpoint: async (patch) => {
+        Object.assign(state, patch);
+        await updateJob(job.id, { state, locked_at: new Date().toISOString() });
+      },
+      progress: async (text) => {
+        await updateJob(job.id, { progress: text, locked_at: new Date().toISOString() });
+      }
+    };
+    try {
+      if (!handler) throw new Error(`No handler for job type ${job.type}`);
+      const result = await handler.run(job, ctx);
+      await updateJob(job.id, { status: 'done', state: { ...state, result: result ?? null }, locked_at: null, finished_at: new Date().toISOString() });
+      logger?.info({ evt: 'job_done', jobId: job.id, type: job.type, attempts: job.attempts });
+    } catch (err) {
+      const message = String(err?.message || err);
+      const retryAt = ctx.lastAttempt ? null : new Date(Date.now() + retryDelayMs(job.attempts));
+      await updateJob(job.id, {
+        status: retryAt ? 'queued' : 'failed',
+        state,
+        run_at: (retryAt || new Date()).toISOString(),
+        locked_at: null,
+        last_error: message,
+        finished_at: retryAt ? null : new Date().toISOString()
+      });
+      logger?.warn({ evt: retryAt ? 'job_retry' : 'job_failed', jobId: job.id, type: job.type, attempts: job.attempts, err: message });
+      try {
+        await handler?.onError?.(job, err, { retryAt });
+      } catch (hookErr) {
+        logger?.warn({ evt: 'job_error_hook_failed', jobId: job.id, err: String(hookErr?.message || hookErr) });
+      }
+    }
+  }
+
+  async function tick() {
+    if (Date.now() - lastHousekeeping > 60 * 1000) {
+      lastHousekeeping = Date.now();
+      const requeued = await requeueStaleJobs(JOB_LOCK_TIMEOUT_MS);
+      if (requeued.length) logger?.warn({ evt: 'jobs_requeued', count: requeued.length });
+      await pruneFinishedJobs(DONE_JOB_RETENTION_MS);
+    }
+    // one job at a time: uploads hold whole files in memory
+    for (let job = await claimNextJob(); job && !stopped; job = await claimNextJob()) {
+      await runJob(job);
+    }
+  }
+
+  function schedule(delay) {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(poll, delay);
+  }
+
+  function poll() {
+    if (running) return;
+    running = tick()
+      .catch(err => logger?.error({ evt: 'job_worker_error', err: String(err?.message || err) }))
+      .finally(() => {
+        running = null;
+        schedule(pollMs);
+      });
+  }
+
+  schedule(0);
+  return {
+    // run queued jobs now instead of at the next poll
+    kick: () => {
+      if (!running) schedule(0);
+    },
+    stop: async () => {
+      stopped = true;
+      clearTimeout(timer);
+      await running;
+    }
+  };
+}
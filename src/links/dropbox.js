@@ -0,0 +1,31 @@
+import { fetchJson, isoDate } from './http.js';
+
+// Shared links: dropbox.com/s/…, /scl/fi/…, /scl/fo/…, /sh/…
+const DROPBOX_URL = /^https?:\/\/(?:www\.)?dropbox\.com\/(?:s|sh|scl\/fi|scl\/fo)\//i;
+
+export const dropbox = {
+  name: 'dropbox',
+  label: 'Dropbox',
+  match(url) {
+    return DROPBOX_URL.test(String(url)) ? { url: String(url) } : null;
+  },
+  usesToken: true,
+  configured(token) {
+    return Boolean(token);
+  },
+  // Dropbox has no thumbnail URL for shared links (only raw bytes), so none is returned
+  async fetch({ url }, token) {
+    const base = process.env.DROPBOX_API_BASE || 'https://api.dropboxapi.com';
+    const meta = await fetchJson(`${base}/2/sharing/get_shared_link_metadata`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body: { url }
+    });
+    return {
+      title: meta.name || null,
+      modifiedAt: isoDate(meta.server_modified || meta.client_modified),
+      owner: meta.team_member_info?.display_name || null,
+      thumbnailUrl: null
+    };
+  }
+};
@@ -0,0 +1,29 @@
+import { fetchJson, isoDate } from './http.js';
+
+// figma.com/file/<key>/…, /design/<key>/…, /proto/<key>/…, /board/<key>/… (FigJam)
+const FIGMA_URL = /^https?:\/\/(?:www\.)?figma\.com\/(?:file|design|proto|board)\/([A-Za-z0-9]+)/i;
+
+export const figma = {
+  name: 'figma',
+  label: 'Figma',
+  match(url) {
+    const m = String(url).match(FIGMA_URL);
+    return m ? { key: m[1] } : null;
+  },
+  usesToken: true,
+  configured(token) {
+    return Boolean(token);
+  },
+  async fetch({ key }, token) {
+    const base = process.env.FIGMA_API_BASE || 'https://api.figma.com';
+    const { file } = await fetchJson(`${base}/v1/files/${encodeURIComponent(key)}/meta`, {
+      headers: { 'X-Figma-Token': token }
+    });
+    return {
+      title: file?.name || null,
+      modifiedAt: isoDate(file?.last_touched_at),
+      owner: file?.creator?.handle || null,
+      thumbnailUrl: file?.thumbnail_url || null
+    };
+  }
+};
@@ -0,0 +1,37 @@
+import { fetchJson, isoDate } from './http.js';
+
+// drive.google.com/file/d/<id>, drive.google.com/open?id=<id>,
+// docs.google.com/{document,spreadsheets,presentation,drawings}/d/<id>
+const DRIVE_PATH = /^https?:\/\/(?:drive|docs)\.google\.com\/(?:file|document|spreadsheets|presentation|drawings)\/d\/([\w-]+)/i;
+const DRIVE_OPEN = /^https?:\/\/drive\.google\.com\/(?:open|uc)\?(?:.*&)?id=([\w-]+)/i;
+
+export const googleDrive = {
+  name: 'google_drive',
+  label: 'Google Drive',
+  match(url) {
+    const m = String(url).match(DRIVE_PATH) || String(url).match(DRIVE_OPEN);
+    return m ? { id: m[1] } : null;
+  },
+  // an API key only reads files shared with anyone who has the link, so it's safe to
+  // use for every workspace; Google's access tokens expire within the hour and aren't kept
+  configured() {
+    return Boolean(process.env.GOOGLE_API_KEY);
+  },
+  // thumbnailLink needs the caller's credentials, so Slack couldn't load it; none is returned
+  async fetch({ id }) {
+    const base = process.env.GOOGLE_DRIVE_API_BASE || 'https://www.googleapis.com';
+    const params = new URLSearchParams({
+      fields: 'name,modifiedTime,owners(displayName,emailAddress)',
+      supportsAllDrives: 'true',
+      key: process.env.GOOGLE_API_KEY
+    });
+    const file = await fetchJson(`${base}/drive/v3/files/${encodeURIComponent(id)}?${params}`);
+    const owner = file.owners?.[0];
+    return {
+      title: file.name || null,
+      modifiedAt: isoDate(file.modifiedTime),
+      owner: owner?.displayName || owner?.emailAddress || null,
+      thumbnailUrl: null
+    };
+  }
+};
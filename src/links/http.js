@@ -0,0 +1,21 @@
+// Small JSON-over-HTTP helper shared by the link adapters
+
+export const LINK_FETCH_TIMEOUT_MS = Number(process.env.LINK_FETCH_TIMEOUT_MS || 5000);
+
+export async function fetchJson(url, { method = 'GET', headers = {}, body } = {}) {
+  const res = await fetch(url, {
+    method,
+    headers: { Accept: 'application/json', ...(body ? { 'Content-Type': 'application/json' } : {}), ...headers },
+    ...(body ? { body: JSON.stringify(body) } : {}),
+    signal: AbortSignal.timeout(LINK_FETCH_TIMEOUT_MS)
+  });
+  if (!res.ok) throw new Error(`${method} ${new URL(url).pathname} failed with ${res.status}`);
+  return res.json();
+}
+
+// ISO string or null, for the different date formats providers return
+export function isoDate(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
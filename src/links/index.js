@@ -0,0 +1,49 @@
+import { figma } from './figma.js';
+import { googleDrive } from './google-drive.js';
+import { dropbox } from './dropbox.js';
+import { miro } from './miro.js';
+
+// Adapters for design links stored by URL. Each one recognises its links and, when the
+// workspace has a token for it (workspaces.link_tokens), fetches { title, modifiedAt,
+// owner, thumbnailUrl }. Tokens are never process-wide: one workspace's token must not
+// describe its private documents to another. Google Drive only reads public files,
+// with GOOGLE_API_KEY. API bases can be overridden (FIGMA_API_BASE, …) for stub servers.
+const ADAPTERS = [figma, googleDrive, dropbox, miro];
+
+// Only http(s) links are accepted as file URLs
+export function isHttpUrl(value) {
+  try {
+    const u = new URL(String(value));
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+export function linkProviderLabel(name) {
+  return ADAPTERS.find(a => a.name === name)?.label || null;
+}
+
+export function detectLinkProvider(url) {
+  for (const adapter of ADAPTERS) {
+    const ref = adapter.match(url);
+    if (ref) return { adapter, ref };
+  }
+  return null;
+}
+
+// Metadata for a link: { provider, label, title, modifiedAt, owner, thumbnailUrl },
+// null for unknown links. Without a token only the provider is known.
+// tokens: the workspace's link_tokens, { figma, dropbox, miro }
+export async function fetchLinkMetadata(url, { tokens } = {}) {
+  const found = detectLinkProvider(url);
+  if (!found) return null;
+  const { adapter, ref } = found;
+  const base = { provider: adapter.name, label: adapter.label, title: null, modifiedAt: null, owner: null, thumbnailUrl: null };
+  const token = tokens?.[adapter.name] || null;
+  if (!adapter.configured(token)) return base;
+  return { ...base, ...(await adapter.fetch(ref, token)) };
+}
+
+// Providers a workspace can store a token for, in the settings modal
+export const TOKEN_LINK_PROVIDERS = ADAPTERS.filter(a => a.usesToken).map(a => ({ name: a.name, label: a.label }));
@@ -0,0 +1,29 @@
+import { fetchJson, isoDate } from './http.js';
+
+// miro.com/app/board/<id>/ (ids end in "=", sometimes percent-encoded)
+const MIRO_URL = /^https?:\/\/(?:www\.)?miro\.com\/app\/board\/([^/?#]+)/i;
+
+export const miro = {
+  name: 'miro',
+  label: 'Miro',
+  match(url) {
+    const m = String(url).match(MIRO_URL);
+    return m ? { id: decodeURIComponent(m[1]) } : null;
+  },
+  usesToken: true,
+  configured(token) {
+    return Boolean(token);
+  },
+  async fetch({ id }, token) {
+    const base = process.env.MIRO_API_BASE || 'https://api.miro.com';
+    const board = await fetchJson(`${base}/v2/boards/${encodeURIComponent(id)}`, {
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return {
+      title: board.name || null,
+      modifiedAt: isoDate(board.modifiedAt),
+      owner: board.owner?.name || null,
+      thumbnailUrl: board.picture?.imageURL || null
+    };
+  }
+};
@@ -0,0 +1,15 @@
+import 'dotenv/config';
+import { migratePublicUrlsToStoragePaths } from './supabase.js';
+
+// Usage: node src/migrate-storage-urls.js [--dry-run]
+const dryRun = process.argv.includes('--dry-run');
+
+migratePublicUrlsToStoragePaths({
+  dryRun,
+  onProgress: (row, path) => console.log(`${row.file_name || row.name || row.id} -> ${path}`)
+})
+  .then(count => {
+    console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${count} file(s) to storage paths`);
+    process.exit(0);
+  })
+  .catch(err => { console.error(err); process.exit(1); });
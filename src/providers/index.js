@@ -0,0 +1,42 @@
+import { createMockProvider } from './mock.js';
+import { createOpenAIProvider } from './openai.js';
+
+// Chat completion providers behind one interface:
+//   complete({ task, model, messages, temperature, json, timeoutMs, maxRetries, signal })
+//     → { text, model, usage: { promptTokens, completionTokens } }
+// AI_PROVIDER picks one:
+// - openai: OPENAI_API_KEY, model AI_MODEL (default gpt-4o-mini)
+// - local: an OpenAI-compatible endpoint at AI_BASE_URL (key AI_API_KEY if it wants one),
+//   model AI_MODEL (default llama3.1)
+// - mock: deterministic answers, for tests
+// - none: AI features off
+// Unset, it's openai with an OpenAI key, local with AI_BASE_URL, else none.
+
+// Rough count for endpoints that don't report usage: ~4 characters per token
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+export function createAiProvider(env = process.env) {
+  const name = (env.AI_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : env.AI_BASE_URL ? 'local' : 'none')).toLowerCase();
+  switch (name) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) throw new Error('AI_PROVIDER=openai needs OPENAI_API_KEY');
+      return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, defaultModel: env.AI_MODEL || 'gpt-4o-mini', estimateTokens });
+    case 'local':
+      if (!env.AI_BASE_URL) throw new Error('AI_PROVIDER=local needs AI_BASE_URL');
+      return createOpenAIProvider({
+        name: 'local',
+        apiKey: env.AI_API_KEY || 'local',
+        baseURL: env.AI_BASE_URL,
+        defaultModel: env.AI_MODEL || 'llama3.1',
+        estimateTokens
+      });
+    case 'mock':
+      return createMockProvider({ latencyMs: Number(env.AI_MOCK_LATENCY_MS || 0), estimateTokens });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${name}" (expected openai, local, mock or none)`);
+  }
+}
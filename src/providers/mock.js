@@ -0,0 +1,40 @@
+// Deterministic provider for tests and local development. It answers the rerank task
+// by counting query words in each item's name, tags, project and description (ties keep
+// their input order) and everything else with an empty completion, so callers take
+// their non-AI fallback. AI_MOCK_LATENCY_MS delays answers to exercise timeouts.
+export function createMockProvider({ latencyMs = 0, estimateTokens }) {
+  function rerank(messages) {
+    const { query, items = [] } = JSON.parse(messages[messages.length - 1].content);
+    const words = String(query || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length >= 2);
+    const ranked = items
+      .map((item, index) => {
+        const haystack = [item.name, item.tags, item.project, item.title, item.description].join(' ').toLowerCase();
+        const hits = words.filter(w => haystack.includes(w)).length;
+        return { index, score: words.length ? hits / words.length : 0 };
+      })
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+    return JSON.stringify({ ranked });
+  }
+
+  return {
+    name: 'mock',
+    defaultModel: 'mock',
+    async complete({ task, model, messages, signal }) {
+      if (latencyMs) {
+        await new Promise((resolve, reject) => {
+          const timer = setTimeout(resolve, latencyMs);
+          signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new Error('Request aborted'));
+          });
+        });
+      }
+      const text = task === 'rerank' ? rerank(messages) : '';
+      return {
+        text,
+        model: model || 'mock',
+        usage: { promptTokens: estimateTokens(JSON.stringify(messages)), completionTokens: estimateTokens(text) }
+      };
+    }
+  };
+}
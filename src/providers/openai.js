@@ -0,0 +1,31 @@
+import OpenAI from 'openai';
+
+// OpenAI, or any OpenAI-compatible chat endpoint (Ollama, vLLM, LM Studio, …) via baseURL.
+// Endpoints that don't report usage get an estimate from the prompt and answer length.
+export function createOpenAIProvider({ name = 'openai', apiKey, baseURL, defaultModel, estimateTokens }) {
+  const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+  return {
+    name,
+    defaultModel,
+    async complete({ model, messages, temperature = 0, json = false, timeoutMs, maxRetries, signal }) {
+      const res = await client.chat.completions.create(
+        {
+          model: model || defaultModel,
+          messages,
+          temperature,
+          ...(json ? { response_format: { type: 'json_object' } } : {})
+        },
+        { signal, ...(timeoutMs ? { timeout: timeoutMs } : {}), ...(maxRetries !== undefined ? { maxRetries } : {}) }
+      );
+      const text = res.choices?.[0]?.message?.content?.trim() || '';
+      return {
+        text,
+        model: res.model || model || defaultModel,
+        usage: {
+          promptTokens: res.usage?.prompt_tokens ?? estimateTokens(JSON.stringify(messages)),
+          completionTokens: res.usage?.completion_tokens ?? estimateTokens(text)
+        }
+      };
+    }
+  };
+}
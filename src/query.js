@@ -0,0 +1,269 @@
+// Structured filters parsed from natural language, applied to file rows.
+//
+// Filters shape (every field optional):
+//   { since, until,            ISO timestamps bounding uploaded_at
+//     uploaderIds: [],         Slack user ids
+//     uploaderNames: [],       names still to be resolved to ids by the caller
+//     tags: [], fileTypes: [], lower-case tag names / extensions ('pdf', 'png', ...)
+//     projects: [],            lower-case project names
+//     collections: [],         lower-case collection names (resolved by searchFiles)
+//     versions: 'latest' | 'all',
+//     archived: 'include' | 'only' }     archived files are excluded unless asked for
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// extension aliases people type in chat
+const FILE_TYPE_ALIASES = {
+  pdf: ['pdf'],
+  png: ['png'],
+  jpg: ['jpg', 'jpeg'],
+  jpeg: ['jpg', 'jpeg'],
+  gif: ['gif'],
+  svg: ['svg'],
+  sketch: ['sketch'],
+  figma: ['fig', 'figma'],
+  fig: ['fig', 'figma'],
+  json: ['json'],
+  image: ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp'],
+  images: ['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp']
+};
+
+export function expandFileTypes(types = []) {
+  return [...new Set(types.flatMap(t => FILE_TYPE_ALIASES[t] || [t]))];
+}
+
+// words that carry no meaning once filters are extracted from a follow-up
+const FOLLOW_UP_FILLER = new Set([
+  'only', 'just', 'show', 'me', 'the', 'a', 'an', 'of', 'that', 'those', 'these', 'this', 'it', 'them',
+  'one', 'ones', 'version', 'file', 'files', 'from', 'by', 'in', 'with', 'and', 'or', 'what', 'about',
+  'any', 'some', 'please', 'instead', 'now', 'same', 'but', 'uploaded', 'made', 'for'
+]);
+
+function startOfDay(d) {
+  const x = new Date(d);
+  x.setUTCHours(0, 0, 0, 0);
+  return x;
+}
+
+// Pull date expressions out of text; returns { since, until, rest }
+export function extractDateRange(text, now = new Date()) {
+  let since = null;
+  let until = null;
+  let rest = text;
+  // "from last week" and "in the last 3 days" take their preposition with them
+  const take = (re, fn) => {
+    const full = new RegExp(String.raw`(?:\b(?:from|in|during)\s+)?` + re.source, re.flags);
+    const m = rest.match(full);
+    if (!m) return;
+    fn(m);
+    rest = rest.replace(full, ' ');
+  };
+  const today = startOfDay(now);
+  take(/\b(?:in the |over the )?(?:last|past)\s+(\d+)\s+days?\b/i, m => { since = new Date(today - Number(m[1]) * DAY_MS); });
+  take(/\b(?:in the |over the )?(?:last|past)\s+(\d+)\s+weeks?\b/i, m => { since = new Date(today - Number(m[1]) * 7 * DAY_MS); });
+  take(/\btoday\b/i, () => { since = today; });
+  take(/\byesterday\b/i, () => { since = new Date(today - DAY_MS); until = today; });
+  take(/\b(?:this|current)\s+week\b/i, () => { since = new Date(today - ((today.getUTCDay() + 6) % 7) * DAY_MS); });
+  take(/\b(?:last|past|previous)\s+week\b/i, () => { since = new Date(today - 7 * DAY_MS); });
+  take(/\b(?:this|current)\s+month\b/i, () => { since = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1)); });
+  take(/\b(?:last|past|previous)\s+month\b/i, () => { since = new Date(today - 30 * DAY_MS); });
+  take(/\bsince\s+(\d{4}-\d{2}-\d{2})\b/i, m => { since = new Date(`${m[1]}T00:00:00Z`); });
+  take(/\bbefore\s+(\d{4}-\d{2}-\d{2})\b/i, m => { until = new Date(`${m[1]}T00:00:00Z`); });
+  return {
+    since: since && !Number.isNaN(since.getTime()) ? since.toISOString() : null,
+    until: until && !Number.isNaN(until.getTime()) ? until.toISOString() : null,
+    rest
+  };
+}
+
+// Pull filters out of free text: dates, uploader mentions/names, tags, projects,
+// collections, versions and file types. Returns { filters, words } where words is what's left.
+function extractFilters(text, now) {
+  const filters = {};
+  const dates = extractDateRange(String(text || ''), now);
+  if (dates.since) filters.since = dates.since;
+  if (dates.until) filters.until = dates.until;
+  let rest = dates.rest;
+
+  const uploaderIds = [...rest.matchAll(/<@([UW][A-Z0-9]+)(?:\|[^>]*)?>/g)].map(m => m[1]);
+  rest = rest.replace(/(?:\b(?:from|by|uploaded by)\s+)?<@[UW][A-Z0-9]+(?:\|[^>]*)?>/g, ' ');
+  if (uploaderIds.length) filters.uploaderIds = uploaderIds;
+
+  const names = [...rest.matchAll(/\b(?:from|by|uploaded by)\s+@?([a-z][\w.-]*)/gi)].map(m => m[1].toLowerCase())
+    .filter(n => !FOLLOW_UP_FILLER.has(n));
+  if (names.length) {
+    filters.uploaderNames = names;
+    for (const n of names) rest = rest.replace(new RegExp(`\\b(?:from|by|uploaded by)\\s+@?${n}\\b`, 'i'), ' ');
+  }
+
+  const tags = [...rest.matchAll(/\b(?:tagged|tag|tags)\s+#?([\w-]+)/gi)].map(m => m[1].toLowerCase());
+  rest = rest.replace(/\b(?:tagged|tag|tags)\s+#?[\w-]+/gi, ' ');
+  const hashTags = [...rest.matchAll(/(^|\s)#([\w-]+)/g)].map(m => m[2].toLowerCase());
+  rest = rest.replace(/(^|\s)#[\w-]+/g, ' ');
+  if (tags.length || hashTags.length) filters.tags = [...new Set([...tags, ...hashTags])];
+
+  const projects = [...rest.matchAll(/\b(?:in |for )?project\s+([\w-]+)/gi)].map(m => m[1].toLowerCase());
+  rest = rest.replace(/\b(?:in |for )?project\s+[\w-]+/gi, ' ');
+  if (projects.length) filters.projects = projects;
+
+  // collection names can have spaces, so those are quoted: in collection "ORCA Q3 redesign"
+  const collectionRe = /\b(?:in |from )?collection\s+(?:"([^"]+)"|“([^”]+)”|([\w-]+))/gi;
+  const collections = [...rest.matchAll(collectionRe)].map(m => (m[1] || m[2] || m[3]).trim().toLowerCase());
+  rest = rest.replace(collectionRe, ' ');
+  if (collections.length) filters.collections = collections;
+
+  if (/\b(?:all|older|previous|past|old)\s+versions?\b/i.test(rest)) {
+    filters.versions = 'all';
+    rest = rest.replace(/\b(?:all|older|previous|past|old)\s+versions?\b/gi, ' ');
+  } else if (/\blatest\s+version\b/i.test(rest)) {
+    filters.versions = 'latest';
+    rest = rest.replace(/\blatest\s+version\b/gi, ' ');
+  }
+
+  if (/\b(?:incl(?:\.|ude|uding)?|with|plus|and)\s+archived\b/i.test(rest)) {
+    filters.archived = 'include';
+    rest = rest.replace(/\b(?:incl(?:\.|ude|uding)?|with|plus|and)\s+archived\b/gi, ' ');
+  } else if (/\barchived\b/i.test(rest)) {
+    filters.archived = 'only';
+    rest = rest.replace(/\barchived\b/gi, ' ');
+  }
+
+  const words = [];
+  const fileTypes = new Set();
+  for (const word of rest.toLowerCase().split(/[^a-z0-9-]+/).filter(Boolean)) {
+    const alias = FILE_TYPE_ALIASES[word] || (word.endsWith('s') && FILE_TYPE_ALIASES[word.slice(0, -1)]);
+    if (alias) alias.forEach(t => fileTypes.add(t));
+    else words.push(word);
+  }
+  if (fileTypes.size) filters.fileTypes = [...fileTypes];
+  return { filters, words };
+}
+
+// Token-based follow-up parser, used when AI is disabled or fails. Returns { filters, keywords }.
+export function parseFollowUp(text, { now = new Date() } = {}) {
+  const { filters, words } = extractFilters(text, now);
+  const keywords = words.filter(w => !FOLLOW_UP_FILLER.has(w) && w.length >= 2);
+  return { filters, keywords };
+}
+
+const SORT_NEWEST = /\b(?:latest|newest|most\s+recent|recent|new)\b/i;
+const SORT_OLDEST = /\b(?:oldest|earliest)\b/i;
+
+// Parse a search query into free text plus structured filters and a sort intent.
+// Returns { text, filters, sort } with sort 'relevance' | 'newest' | 'oldest'.
+// uploaderNames still need resolving to Slack ids; searchFiles treats unresolved names as text.
+export function parseQuery(queryText, { now = new Date() } = {}) {
+  let rest = String(queryText || '');
+  // "latest version" is a version filter, not a sort, so let extractFilters see it first
+  const { filters, words } = extractFilters(rest, now);
+  rest = words.join(' ');
+
+  let sort = 'relevance';
+  if (SORT_OLDEST.test(rest)) sort = 'oldest';
+  else if (SORT_NEWEST.test(rest)) sort = 'newest';
+  rest = rest
+    .replace(new RegExp(SORT_OLDEST.source, 'gi'), ' ')
+    .replace(new RegExp(SORT_NEWEST.source, 'gi'), ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return { text: rest, filters, sort };
+}
+
+// Later filters refine earlier ones: ranges narrow, lists replace
+export function mergeFilters(base = {}, next = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(next)) {
+    if (value == null || (Array.isArray(value) && !value.length)) continue;
+    if (key === 'since') merged.since = base.since && base.since > value ? base.since : value;
+    else if (key === 'until') merged.until = base.until && base.until < value ? base.until : value;
+    else merged[key] = value;
+  }
+  return merged;
+}
+
+export function hasFilters(filters = {}) {
+  return Object.values(filters).some(v => (Array.isArray(v) ? v.length : v != null));
+}
+
+// Lower-case extension of a file row, from its stored object, name or link
+export function fileTypeOf(row) {
+  for (const source of [row.storage_path, row.file_name, row.name, row.file_url]) {
+    const m = String(source || '').toLowerCase().split(/[?#]/)[0].match(/\.([a-z0-9]{2,6})$/);
+    if (m) return m[1];
+  }
+  if (/figma\.com\//i.test(row.file_url || '')) return 'fig';
+  return null;
+}
+
+function tagsOf(row) {
+  const raw = Array.isArray(row.tags) ? row.tags.join(',') : String(row.tags || row.tags_text || '');
+  return raw.toLowerCase().split(/[,\s]+/).filter(Boolean);
+}
+
+// In-memory filtering of file rows (uploaderNames must be resolved to ids first;
+// collections need their members, so searchFiles applies those)
+export function applyFilters(rows, filters = {}) {
+  return rows.filter(r => {
+    if (filters.since && !(r.uploaded_at >= filters.since)) return false;
+    if (filters.until && !(r.uploaded_at < filters.until)) return false;
+    if (filters.uploaderIds?.length && !filters.uploaderIds.includes(r.user_id)) return false;
+    if (filters.tags?.length) {
+      const tags = tagsOf(r);
+      if (!filters.tags.every(t => tags.some(x => x.includes(t)))) return false;
+    }
+    if (filters.fileTypes?.length) {
+      const type = fileTypeOf(r);
+      const mime = String(r.mime_type || '').toLowerCase();
+      const wanted = expandFileTypes(filters.fileTypes);
+      if (!wanted.some(t => t === type || mime.endsWith(`/${t}`))) return false;
+    }
+    if (filters.projects?.length) {
+      const project = String(r.project || '').toLowerCase();
+      if (!filters.projects.some(p => project.includes(p))) return false;
+    }
+    if (filters.versions === 'latest' && r.is_latest === false) return false;
+    if (filters.archived === 'only' ? !r.archived_at : r.archived_at && filters.archived !== 'include') return false;
+    return true;
+  });
+}
+
+// User text for Slack mrkdwn: with & < > escaped, a file name or query can't mention
+// @channel or pass itself off as a link
+export function escapeMrkdwn(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Short human-readable summary of active filters, for result headers (mrkdwn)
+export function describeFilters(filters = {}) {
+  const parts = [];
+  if (filters.since) parts.push(`since ${filters.since.slice(0, 10)}`);
+  if (filters.until) parts.push(`before ${filters.until.slice(0, 10)}`);
+  if (filters.uploaderIds?.length) parts.push(`by ${filters.uploaderIds.map(id => `<@${id}>`).join(', ')}`);
+  if (filters.uploaderNames?.length) parts.push(`by ${escapeMrkdwn(filters.uploaderNames.join(', '))}`);
+  if (filters.tags?.length) parts.push(`tagged ${escapeMrkdwn(filters.tags.join(', '))}`);
+  if (filters.projects?.length) parts.push(`project ${escapeMrkdwn(filters.projects.join(', '))}`);
+  if (filters.collections?.length) parts.push(`collection ${escapeMrkdwn(filters.collections.join(', '))}`);
+  if (filters.fileTypes?.length) parts.push(escapeMrkdwn(filters.fileTypes.join('/')));
+  if (filters.versions === 'all') parts.push('all versions');
+  if (filters.archived === 'include') parts.push('including archived');
+  if (filters.archived === 'only') parts.push('archived only');
+  return parts.join(' · ');
+}
+
+const MAX_SUGGESTED_TAGS = 8;
+
+// Tag suggestions from free text (e.g. the message a file was shared with): #hashtags,
+// plus words matching tags already used in the workspace
+export function suggestTags(text, knownTags = []) {
+  const raw = String(text || '');
+  const suggested = [...raw.matchAll(/(^|\s)#([\w-]+)/g)].map(m => m[2].toLowerCase());
+  const known = new Set(knownTags.map(t => String(t).toLowerCase()));
+  for (const word of raw.toLowerCase().replace(/<[^>]*>/g, ' ').split(/[^a-z0-9-]+/)) {
+    if (word.length < 3) continue;
+    const singular = word.endsWith('s') ? word.slice(0, -1) : word;
+    if (known.has(word)) suggested.push(word);
+    else if (known.has(singular)) suggested.push(singular);
+  }
+  return [...new Set(suggested)].slice(0, MAX_SUGGESTED_TAGS);
+}
@@ -1,12 +1,31 @@
 import 'dotenv/config';
+import { createReadStream } from 'node:fs';
+import { stat, unlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 import bolt from '@slack/bolt';
-const { App, ExpressReceiver } = bolt;
+const { App, ExpressReceiver, webApi } = bolt;
+const { WebClient } = webApi;
 import pino from 'pino';
-import { supabase, getOrCreateWorkspace, searchFiles, uploadFileToStorage, saveUploadedFileMetadata, storeSlackInstallation, fetchSlackInstallation, deleteSlackInstallation } from './supabase.js';
-import { aiEnabled, rerankFilesWithAI } from './ai.js';
+import { getOrCreateWorkspace, getWorkspaceById, searchFiles, refineSearchResults, getFilesByIds, listFileVersions, updateFileAccess, fileDownloadUrl, signedUrlTtlSeconds, setSignedUrlTtl, setLinkTokens, storeFileContent, downloadStoredFile, contentHashOf, findFileByContentHash, findNearDuplicates, saveUploadedFileMetadata, storeThumbnail, embedFile, fileThumbnailUrl, createSearchSession, getSearchSession, updateSearchSession, findThreadSession, recordSearchFeedback, recordSearchEvent, recordSearchOpen, markFilesUsed, listSearchEvents, aiTokenBudget, aiUsageFor, recordAiUsage, listFiles, getFileBySlackFileId, getFileByUrl, listCollections, findCollections, createCollection, addFileToCollections, listCollectionFiles, isAutoIngestChannel, setAutoIngestChannel, listAutoIngestChannels, listRetentionSettings, applyRetention, updateFileMetadata, setFileArchived, deleteFile, markUserWelcomed, enqueueJob, getJob, listStuckJobs, retryJob, dismissJob, createSubscription, listSubscriptions, getSubscription, updateSubscription, deleteSubscription, listDueSubscriptions, exportWorkspaceBundle, markWorkspaceUninstalled, listWorkspacesToPurge, purgeWorkspaceData, storeSlackInstallation, fetchSlackInstallation, deleteSlackInstallation } from './supabase.js';
+import { aiEnabled, aiModelFor, rerankFilesWithAI, parseFollowUpWithAI, suggestFileMetadata } from './ai.js';
+import { describeFilters, escapeMrkdwn, mergeFilters, parseFollowUp, parseQuery, suggestTags } from './query.js';
+import { addToCollectionView, collectionDigestBlocks, collectionListBlocks, confirmMetadataView, deleteModalView, displayNameOf, duplicatePromptBlocks, homeBlocks, linkUnfurlBlocks, progressModalView, searchResultsBlocks, settingsHomeBlocks, settingsModalView, sharedFileBlocks, subscribeModalView, subscriptionDigestBlocks, subscriptionListBlocks, tagsOf, uploadModalView, versionHistoryBlocks, visibilityBlocks } from './blocks.js';
+import { extractText } from './extract/index.js';
+import { canManageFile, canViewFile, createChannelAudience, createSlackViewer, filterViewable, filterViewableByAudience, isOpenPrivacy, isWorkspaceAdmin, sourceChannelAccess } from './access.js';
+import { ANALYTICS_WINDOW_DAYS, summarizeSearches, searchAnalyticsCsv } from './analytics.js';
+import { store } from './store/index.js';
+import { TOKEN_LINK_PROVIDERS, detectLinkProvider, fetchLinkMetadata, isHttpUrl } from './links/index.js';
+import { startJobWorker } from './jobs.js';
+import { defaultAccess, settingsErrors, updateWorkspaceSettings, workspaceSettings } from './settings.js';
+import { renderThumbnail } from './thumbnails.js';
+import { DIGEST_SEARCH_LIMIT, SUBSCRIPTIONS_PER_USER_MAX, digestPage, nextDigestAt, subscriptionSearch } from './subscriptions.js';
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
+// How many candidates a DM search keeps for paging; the page size is a workspace setting
+const SEARCH_RESULT_LIMIT = 25;
+
 // Enable OAuth installer if client credentials are present
 const useOAuth = Boolean(process.env.SLACK_CLIENT_ID && process.env.SLACK_CLIENT_SECRET && process.env.SLACK_STATE_SECRET);
 
@@ -22,10 +41,21 @@ const receiver = new ExpressReceiver({
           'commands',
           'chat:write',
           'files:read',
+          'files:write',
           'im:read',
           'im:write',
           'im:history',
-          'users:read'
+          'channels:history',
+          'groups:history',
+          'channels:join',
+          'links:read',
+          'links:write',
+          'users:read',
+          'users:read.email',
+          'usergroups:read',
+          'channels:read',
+          'groups:read',
+          'app_mentions:read'
         ],
         installationStore: {
           storeInstallation: async (installation) => {
@@ -57,17 +87,67 @@ receiver.app.get('/health', (_req, res) => {
   res.status(200).send('ok');
 });
 
+// Signed download links for the local store backend (Supabase serves its own)
+if (store.name === 'local') {
+  receiver.app.get('/storage/:bucket', async (req, res) => {
+    const { bucket } = req.params;
+    if (!store.storage.verifySignedUrl(bucket, req.query)) {
+      res.status(403).send('Link expired or invalid');
+      return;
+    }
+    try {
+      const buf = await store.storage.download(bucket, String(req.query.path));
+      res.setHeader('Content-Disposition', `inline; filename="${String(req.query.path).split('/').pop()}"`);
+      res.status(200).send(buf);
+    } catch {
+      res.status(404).send('Not found');
+    }
+  });
+}
+
 // Optional landing route to avoid 404s on '/'
 receiver.app.get('/', (_req, res) => {
   res.status(200).send('Slack Design Assistant is running');
 });
 
+// "previous versions of X", "version history for X", "older versions X" -> "X"
+function parseVersionHistoryQuery(text) {
+  const m = text.match(/^(?:show\s+(?:me\s+)?)?(?:(?:all|previous|older|old|past)\s+versions?|version\s+history)\s+(?:of\s+|for\s+)?(?:the\s+)?(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+// Attach short-lived download and thumbnail links to files just before showing them to an authorized user
+async function withDownloadUrls(files, workspace) {
+  const ttl = signedUrlTtlSeconds(workspace);
+  return Promise.all(files.map(async f => ({
+    ...f,
+    file_url: await fileDownloadUrl(f, ttl),
+    thumbnail_url: await fileThumbnailUrl(f, ttl)
+  })));
+}
+
+async function replyWithVersionHistory({ client, channel, workspace, target, viewer, say }) {
+  const [match] = await searchFiles(target, workspace.id, 1, { viewer });
+  if (!match) {
+    await say(`I couldn't find a file matching "${target}".`);
+    return;
+  }
+  const versions = await filterViewable(await listFileVersions(workspace.id, match.version_group_id || match.id), viewer);
+  logger.info({ evt: 'version_history', workspaceId: workspace.id, fileId: match.id, count: versions.length });
+  await client.chat.postMessage({
+    channel,
+    text: `Versions of ${escapeMrkdwn(displayNameOf(match))}`,
+    blocks: versionHistoryBlocks(await withDownloadUrls(versions, workspace))
+  });
+}
+
 app.event('message', async ({ event, client, say, logger: boltLogger }) => {
   try {
     if (event.channel_type !== 'im' || event.bot_id) return;
     const text = (event.text || '').trim();
     if (!text) return;
     if (text.startsWith('/')) return;
+    const startedAt = Date.now();
 
     // Workspace scoping (robust team_id resolution)
     let teamId = event.team;
@@ -84,67 +164,611 @@ app.event('message', async ({ event, client, say, logger: boltLogger }) => {
     const workspace = await getOrCreateWorkspace(teamId, 'Unknown Team');
     logger.info({ evt: 'search_start', teamId, workspaceId: workspace?.id, text });
 
-    const userInfo = await client.users.info({ user: event.user });
-    const userEmail = userInfo.user?.profile?.email;
+    const viewer = createSlackViewer({ client, userId: event.user });
 
-    let results = await searchFiles(text, workspace.id, 10);
-    logger.info({ evt: 'search_results_raw', count: results?.length || 0 });
-    // AI re-rank (optional)
-    if (aiEnabled && results.length > 1) {
-      results = await rerankFilesWithAI(text, results, 5);
+    // Replies in a results thread refine that search instead of starting a new one
+    if (event.thread_ts) {
+      const previous = await findThreadSession(workspace.id, event.user, event.thread_ts);
+      if (previous) {
+        await refineSearch({ client, event, workspace, viewer, previous, text, startedAt });
+        return;
+      }
     }
 
-    // simple access gate (company/public)
-    const accessible = results.filter(f => {
-      if (!f.privacy || f.privacy === 'public' || f.privacy === 'company') return true;
-      const allowed = (f.allowed_user_emails || []).map(e => String(e).toLowerCase());
-      return userEmail && allowed.includes(userEmail.toLowerCase());
-    });
-    logger.info({ evt: 'search_results_accessible', count: accessible.length });
+    const versionTarget = parseVersionHistoryQuery(text);
+    if (versionTarget) {
+      await replyWithVersionHistory({ client, channel: event.channel, workspace, target: versionTarget, viewer, say });
+      return;
+    }
 
-    if (accessible.length === 0) {
+    const { parsed, results, reranked } = await searchFor({ client, workspace, viewer, text });
+    const searchEvent = { workspace, userId: event.user, query: text, parsed, results, latencyMs: Date.now() - startedAt, reranked };
+
+    if (results.length === 0) {
+      await logSearchEvent(searchEvent);
       await say("I couldn't find any matching files. Try different keywords, or upload with /upload-design.");
       return;
     }
 
-    // Prefer best single result to avoid confusion
-    if (accessible.length >= 1) {
-      const f = accessible[0];
-      const displayName = (f.file_name || f.name || '').trim() || 'Untitled';
+    const session = await postSearchResults({ client, channel: event.channel, workspace, userId: event.user, query: text, results, filters: parsed.filters });
+    await logSearchEvent({ ...searchEvent, session });
+  } catch (err) {
+    boltLogger?.error(err);
+    logger.error({ evt: 'search_error', err: String(err?.message || err) });
+    try { await say('Something went wrong while searching. Please try again.'); } catch {}
+  }
+});
+
+// A new search: parse the query, search what the viewer may see and re-rank
+async function searchFor({ client, workspace, viewer, text }) {
+  const parsed = await parseSearchQuery(client, text);
+  logger.info({ evt: 'search_parsed', text: parsed.text, filters: parsed.filters, sort: parsed.sort });
+
+  // access-filtered in the search layer, before the limit
+  let results = await searchFiles(text, workspace.id, SEARCH_RESULT_LIMIT, { viewer, parsed });
+  logger.info({ evt: 'search_results_accessible', count: results?.length || 0 });
+  // AI re-rank (optional); keep every candidate so the tail can still be paged.
+  // An explicit "latest"/"oldest" order wins over relevance, so skip it then.
+  let reranked = false;
+  if (aiEnabled && (await workspaceSettings(workspace.id)).ai_rerank_enabled && results.length > 1 && parsed.sort === 'relevance') {
+    ({ files: results, reranked } = await rerankForWorkspace(workspace, text, results));
+  }
+  return { parsed, results, reranked };
+}
+
+// Options every AI call takes: the workspace's model, what's left of its monthly token
+// budget, and where its usage is counted (ai_usage, under `feature`)
+async function aiOptionsFor(workspace, feature) {
+  const budget = aiTokenBudget(workspace);
+  return {
+    model: aiModelFor(workspace),
+    tokensLeft: budget ? budget - (await aiUsageFor(workspace.id)).tokens : Infinity,
+    onUsage: usage => recordAiUsage(workspace.id, { feature, ...usage })
+  };
+}
+
+// AI re-rank within the workspace's budget. Any failure (provider, timeout, usage
+// store) keeps the lexical order.
+async function rerankForWorkspace(workspace, text, results) {
+  try {
+    const out = await rerankFilesWithAI(text, results, results.length, await aiOptionsFor(workspace, 'rerank'));
+    logger.info({ evt: 'search_rerank', source: out.source, reranked: out.reranked });
+    return out;
+  } catch (err) {
+    logger.warn({ evt: 'search_rerank_error', err: String(err?.message || err) });
+    return { files: results, reranked: false, source: 'error' };
+  }
+}
+
+// Persist a search for the admin analytics; never fails the search itself
+async function logSearchEvent({ workspace, userId, session, query, parsed, results, latencyMs, reranked = false, refined = false }) {
+  try {
+    await recordSearchEvent({
+      workspace_id: workspace.id,
+      user_id: userId,
+      session_id: session?.id,
+      query,
+      parsed,
+      result_ids: results.map(f => f.id),
+      latency_ms: latencyMs,
+      ai_reranked: reranked,
+      refined
+    });
+  } catch (err) {
+    logger.warn({ evt: 'search_event_error', err: String(err?.message || err) });
+  }
+}
+
+// Header label for a result set: the query, plus the active filters for refined searches
+// (a first search's filters are already spelled out in its query)
+function resultsLabel(query, filters, refined) {
+  const described = refined ? describeFilters(filters) : '';
+  return described ? `${escapeMrkdwn(query)} (${described})` : escapeMrkdwn(query);
+}
+
+// Store the result set as a search session and post its first page. Top-level results
+// start a thread (the session remembers its ts); follow-ups reply inside it.
+async function postSearchResults({ client, channel, threadTs, workspace, userId, query, results, filters, parentSessionId }) {
+  const session = await createSearchSession({
+    workspace_id: workspace.id,
+    user_id: userId,
+    channel_id: channel,
+    query,
+    result_ids: results.map(f => f.id),
+    filters,
+    thread_ts: threadTs,
+    parent_session_id: parentSessionId
+  });
+  const pageSize = (await workspaceSettings(workspace.id)).results_page_size;
+  const files = await withDownloadUrls(results.slice(0, pageSize), workspace);
+  const posted = await client.chat.postMessage({
+    channel,
+    ...(threadTs ? { thread_ts: threadTs } : {}),
+    text: `Found ${results.length} matching file(s)`,
+    blocks: searchResultsBlocks({
+      sessionId: session.id,
+      query: resultsLabel(query, filters, Boolean(parentSessionId)),
+      files,
+      page: 0,
+      pageSize,
+      total: results.length,
+      subscribe: true
+    })
+  });
+  if (!threadTs && posted?.ts) await updateSearchSession(session.id, workspace.id, { thread_ts: posted.ts });
+  return session;
+}
+
+// Map uploader names ("from maria") to Slack user ids: { ids, unresolved }
+async function resolveUploaderNames(client, names) {
+  const wanted = names.map(n => n.toLowerCase());
+  const found = new Map();
+  let cursor;
+  do {
+    const res = await client.users.list({ limit: 200, cursor });
+    for (const u of res.members || []) {
+      if (u.deleted || u.is_bot) continue;
+      const candidates = [u.name, u.real_name, u.profile?.display_name, u.profile?.real_name]
+        .map(x => String(x || '').toLowerCase())
+        .filter(Boolean);
+      for (const n of wanted) {
+        if (candidates.some(c => c === n || c.split(/\s+/).includes(n))) {
+          found.set(n, [...(found.get(n) || []), u.id]);
+        }
+      }
+    }
+    cursor = res.response_metadata?.next_cursor;
+  } while (cursor);
+  return { ids: [...found.values()].flat(), unresolved: wanted.filter(n => !found.has(n)) };
+}
+
+// Parse a search query and resolve "from maria" style uploader names to Slack ids.
+// Names that match nobody stay in uploaderNames and are searched as plain text.
+async function parseSearchQuery(client, text) {
+  const parsed = parseQuery(text);
+  if (!parsed.filters.uploaderNames?.length) return parsed;
+  try {
+    const { ids, unresolved } = await resolveUploaderNames(client, parsed.filters.uploaderNames);
+    const filters = { ...parsed.filters, uploaderIds: [...(parsed.filters.uploaderIds || []), ...ids] };
+    if (unresolved.length) filters.uploaderNames = unresolved;
+    else delete filters.uploaderNames;
+    if (!filters.uploaderIds.length) delete filters.uploaderIds;
+    return { ...parsed, filters };
+  } catch (err) {
+    logger.warn({ evt: 'uploader_resolve_error', err: String(err?.message || err) });
+    return parsed;
+  }
+}
+
+// Follow-up in a results thread: parse it into filters (AI, or tokens when AI is off or
+// fails), then narrow the previous results or re-search when it adds new keywords
+async function refineSearch({ client, event, workspace, viewer, previous, text, startedAt }) {
+  let parsed = null;
+  if (aiEnabled) {
+    try {
+      parsed = await parseFollowUpWithAI(text, { previousQuery: previous.query, ...(await aiOptionsFor(workspace, 'follow_up')) });
+    } catch (err) {
+      logger.warn({ evt: 'follow_up_ai_error', err: String(err?.message || err) });
+    }
+  }
+  parsed = parsed || parseFollowUp(text);
+
+  const filters = mergeFilters(previous.filters || {}, parsed.filters);
+  if (filters.uploaderNames?.length) {
+    const { ids, unresolved } = await resolveUploaderNames(client, filters.uploaderNames);
+    if (unresolved.length) {
       await client.chat.postMessage({
         channel: event.channel,
-        text: displayName,
-        blocks: [
-          {
-            type: 'section',
-            text: { type: 'mrkdwn', text: `*${displayName}*\n<${f.file_url}|Open file>` }
-          }
-        ]
+        thread_ts: event.thread_ts,
+        text: `I couldn't find a teammate named ${escapeMrkdwn(unresolved.join(' or '))}.`
       });
       return;
     }
+    filters.uploaderIds = ids;
+    delete filters.uploaderNames;
+  }
+
+  const query = parsed.keywords.length ? `${previous.query} ${parsed.keywords.join(' ')}` : previous.query;
+  const results = await refineSearchResults(workspace.id, {
+    query,
+    filters,
+    keywords: parsed.keywords,
+    previousIds: previous.result_ids,
+    limit: SEARCH_RESULT_LIMIT,
+    viewer
+  });
+  logger.info({ evt: 'search_refined', sessionId: previous.id, filters, keywords: parsed.keywords, count: results.length });
+  const searchEvent = {
+    workspace,
+    userId: event.user,
+    query,
+    parsed: { text: query, filters, sort: 'relevance' },
+    results,
+    latencyMs: Date.now() - startedAt,
+    refined: true
+  };
+
+  if (!results.length) {
+    await logSearchEvent(searchEvent);
+    await client.chat.postMessage({
+      channel: event.channel,
+      thread_ts: event.thread_ts,
+      text: `Nothing matches ${resultsLabel(query, filters, true)}. Try loosening the filters or start a new search.`
+    });
+    return;
+  }
+  const session = await postSearchResults({
+    client,
+    channel: event.channel,
+    threadTs: event.thread_ts,
+    workspace,
+    userId: event.user,
+    query,
+    results,
+    filters,
+    parentSessionId: previous.id
+  });
+  await logSearchEvent({ ...searchEvent, session });
+}
+
+// Resolve the workspace an interactive payload belongs to
+async function workspaceForBody(body) {
+  const teamId = body.team?.id || body.user?.team_id;
+  if (!teamId) throw new Error('Missing team id on interaction payload');
+  return getOrCreateWorkspace(teamId, body.team?.domain || 'Unknown Team');
+}
+
+// Pagination: re-render the same message with another page of the stored result set.
+// Ephemeral results (/design) are replaced through the response URL; results posted in
+// a channel thread stay limited to what everyone there may see.
+async function showSearchPage({ ack, body, client, action, respond, logger: boltLogger }) {
+  await ack();
+  try {
+    const [sessionId, pageStr] = String(action.value || '').split(':');
+    const workspace = await workspaceForBody(body);
+    const session = await getSearchSession(sessionId, workspace.id);
+    if (!session || session.user_id !== body.user?.id) return;
+
+    const page = Math.max(0, Number(pageStr) || 0);
+    const pageSize = (await workspaceSettings(workspace.id)).results_page_size;
+    const ids = session.result_ids.slice(page * pageSize, (page + 1) * pageSize);
+    // re-check access: visibility may have changed since the search ran
+    const viewer = createSlackViewer({ client, userId: body.user?.id });
+    const channel = body.channel?.id || session.channel_id;
+    const ephemeral = Boolean(body.container?.is_ephemeral);
+    let visible = await filterViewable(await getFilesByIds(workspace.id, ids), viewer);
+    if (!ephemeral && !isDirectMessage(channel)) {
+      visible = await filterViewableByAudience(visible, createChannelAudience({ client, channelId: channel }));
+    }
+    const message = {
+      text: `Found ${session.result_ids.length} matching file(s)`,
+      blocks: searchResultsBlocks({
+        sessionId: session.id,
+        query: resultsLabel(session.query, session.filters, Boolean(session.parent_session_id)),
+        files: await withDownloadUrls(visible, workspace),
+        page,
+        pageSize,
+        total: session.result_ids.length,
+        share: ephemeral,
+        subscribe: page === 0
+      })
+    };
+    if (ephemeral) await respond({ response_type: 'ephemeral', replace_original: true, ...message });
+    else await client.chat.update({ channel, ts: body.message?.ts, ...message });
+    logger.info({ evt: 'search_page', sessionId: session.id, page });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+}
+
+app.action('search_show_more', showSearchPage);
+app.action('search_show_previous', showSearchPage);
+
+// URL buttons still send an interaction payload, which must be acknowledged.
+// Opens from search results ("session:file") are recorded for analytics; every open
+// (version history and shared files carry just the file id) counts as use for retention.
+app.action(/^search_open_file_\d+$/, async ({ ack, body, action, logger: boltLogger }) => {
+  await ack();
+  try {
+    const value = String(action.value || '');
+    if (!value) return;
+    const workspace = await workspaceForBody(body);
+    if (!value.includes(':')) {
+      await markFilesUsed(workspace.id, [value]);
+      return;
+    }
+    const [sessionId, fileId] = value.split(':');
+    await recordSearchOpen(workspace.id, sessionId, fileId);
+    logger.info({ evt: 'search_open', sessionId, fileId });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+app.action(/^search_not_this_one_\d+$/, async ({ ack, body, action, respond, logger: boltLogger }) => {
+  await ack();
+  try {
+    const [sessionId, fileId] = String(action.value || '').split(':');
+    const workspace = await workspaceForBody(body);
+    const session = await getSearchSession(sessionId, workspace.id);
+    // results in a channel thread are visible to others; only the searcher's feedback counts
+    if (!session || session.user_id !== body.user?.id) return;
+    await recordSearchFeedback({
+      workspace_id: workspace.id,
+      user_id: body.user?.id,
+      session_id: session.id,
+      query: session.query,
+      file_id: fileId
+    });
+    logger.info({ evt: 'search_feedback', sessionId: session.id, fileId, feedback: 'negative' });
+    await respond({ response_type: 'ephemeral', replace_original: false, text: 'Thanks, noted. Try *Show more* or rephrase your search.' });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+// DM channel ids start with D; anything else is read by more than the searcher
+function isDirectMessage(channelId) {
+  return String(channelId || '').startsWith('D');
+}
+
+// /design <query>: search from any channel. Results are ephemeral, so only files the
+// invoker may see are listed, and each card can be shared to the channel.
+app.command('/design', async ({ command, ack, client, respond, logger: boltLogger }) => {
+  await ack();
+  const text = (command.text || '').trim();
+  if (!text) {
+    await respond({ response_type: 'ephemeral', text: 'Usage: `/design <what you are looking for>`, e.g. `/design orca homepage mockups from maria`' });
+    return;
+  }
+  const startedAt = Date.now();
+  try {
+    const workspace = await getOrCreateWorkspace(command.team_id, command.team_domain || 'Unknown Team');
+    logger.info({ evt: 'search_start', teamId: command.team_id, workspaceId: workspace.id, text, source: 'command' });
+    const viewer = createSlackViewer({ client, userId: command.user_id });
+    const { parsed, results, reranked } = await searchFor({ client, workspace, viewer, text });
+    const searchEvent = { workspace, userId: command.user_id, query: text, parsed, results, latencyMs: Date.now() - startedAt, reranked };
+
+    if (results.length === 0) {
+      await logSearchEvent(searchEvent);
+      await respond({ response_type: 'ephemeral', text: "I couldn't find any matching files. Try different keywords, or upload with /upload-design." });
+      return;
+    }
+    const session = await createSearchSession({
+      workspace_id: workspace.id,
+      user_id: command.user_id,
+      channel_id: command.channel_id,
+      query: text,
+      result_ids: results.map(f => f.id),
+      filters: parsed.filters
+    });
+    const pageSize = (await workspaceSettings(workspace.id)).results_page_size;
+    await respond({
+      response_type: 'ephemeral',
+      text: `Found ${results.length} matching file(s)`,
+      blocks: searchResultsBlocks({
+        sessionId: session.id,
+        query: resultsLabel(text, parsed.filters, false),
+        files: await withDownloadUrls(results.slice(0, pageSize), workspace),
+        page: 0,
+        pageSize,
+        total: results.length,
+        share: true,
+        subscribe: true
+      })
+    });
+    await logSearchEvent({ ...searchEvent, session });
   } catch (err) {
     boltLogger?.error(err);
     logger.error({ evt: 'search_error', err: String(err?.message || err) });
-    try { await say('Something went wrong while searching. Please try again.'); } catch {}
+    try { await respond({ response_type: 'ephemeral', text: 'Something went wrong while searching. Please try again.' }); } catch {}
+  }
+});
+
+// Post a file to a channel for everyone there; joins public channels it isn't in yet.
+// Returns false when the bot can't post there.
+async function postToChannel(client, channel, message) {
+  try {
+    await client.chat.postMessage({ channel, ...message });
+    return true;
+  } catch (err) {
+    if (err?.data?.error !== 'not_in_channel') throw err;
+  }
+  try {
+    await client.conversations.join({ channel });
+    await client.chat.postMessage({ channel, ...message });
+    return true;
+  } catch {
+    return false; // a private channel the bot wasn't invited to
+  }
+}
+
+// "Share to channel" on an ephemeral /design result: only the searcher can share, and
+// only files every member of the channel may see
+app.action(/^search_share_file_\d+$/, async ({ ack, body, action, client, respond, logger: boltLogger }) => {
+  await ack();
+  try {
+    const [sessionId, fileId] = String(action.value || '').split(':');
+    const userId = body.user?.id;
+    const workspace = await workspaceForBody(body);
+    const session = await getSearchSession(sessionId, workspace.id);
+    if (!session || session.user_id !== userId) return;
+    const channel = session.channel_id;
+    const reply = text => respond({ response_type: 'ephemeral', replace_original: false, text });
+
+    const [file] = await getFilesByIds(workspace.id, [fileId]);
+    if (!file || !(await canViewFile(file, createSlackViewer({ client, userId })))) {
+      await reply('That file is no longer available.');
+      return;
+    }
+    const name = escapeMrkdwn(displayNameOf(file));
+    if (!(await createChannelAudience({ client, channelId: channel }).canView(file))) {
+      logger.info({ evt: 'search_share_blocked', workspaceId: workspace.id, fileId, channel });
+      await reply(`🔒 Not everyone in <#${channel}> can see *${name}*, so I didn't share it. Change who can see it first, or share it somewhere smaller.`);
+      return;
+    }
+    const [shared] = await withDownloadUrls([file], workspace);
+    const posted = await postToChannel(client, channel, { text: `<@${userId}> shared ${name}`, blocks: sharedFileBlocks(shared, { sharedBy: userId }) });
+    if (!posted) {
+      await reply(`I can't post in <#${channel}>. Invite me there first, then share again.`);
+      return;
+    }
+    await markFilesUsed(workspace.id, [file.id]);
+    logger.info({ evt: 'search_share', workspaceId: workspace.id, sessionId, fileId, channel });
+    await reply(`Shared *${name}* in <#${channel}>.`);
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+// "find orca mockups", "search for …", "show me …" -> the query
+function parseMentionQuery(text) {
+  const m = text.match(/^(?:please\s+)?(?:find|search(?:\s+for)?|look\s+for|show(?:\s+me)?)\s+(.+)$/i);
+  return m ? m[1].trim() : null;
+}
+
+// @assistant find … in a channel: results are posted in the thread, so they're limited to
+// files the asker and everyone else in the channel may see
+app.event('app_mention', async ({ event, client, context, logger: boltLogger }) => {
+  const threadTs = event.thread_ts || event.ts;
+  const reply = text => client.chat.postMessage({ channel: event.channel, thread_ts: threadTs, text });
+  try {
+    if (event.bot_id) return;
+    const teamId = event.team || context.teamId;
+    const workspace = await getOrCreateWorkspace(teamId, 'Unknown Team');
+    const text = String(event.text || '').replace(new RegExp(`<@${context.botUserId}>`, 'g'), '').trim();
+    const query = parseMentionQuery(text);
+    if (!query) {
+      const name = (await workspaceSettings(workspace.id)).assistant_name;
+      await reply(`Ask me like this: \`@${escapeMrkdwn(name)} find orca homepage mockups\`, or use \`/design <query>\` to see results only you can see.`);
+      return;
+    }
+    const startedAt = Date.now();
+    logger.info({ evt: 'search_start', teamId, workspaceId: workspace.id, text: query, source: 'mention' });
+    const viewer = createSlackViewer({ client, userId: event.user });
+    const { parsed, results: found, reranked } = await searchFor({ client, workspace, viewer, text: query });
+    const results = await filterViewableByAudience(found, createChannelAudience({ client, channelId: event.channel }));
+    const hidden = found.length - results.length;
+    const searchEvent = { workspace, userId: event.user, query, parsed, results, latencyMs: Date.now() - startedAt, reranked };
+
+    if (hidden) {
+      await client.chat.postEphemeral({
+        channel: event.channel,
+        thread_ts: threadTs,
+        user: event.user,
+        text: `${hidden} more matching file(s) aren't visible to everyone here. Use \`/design ${escapeMrkdwn(query)}\` to see them.`
+      });
+    }
+    if (!results.length) {
+      await logSearchEvent(searchEvent);
+      await reply(hidden ? "I couldn't find any matching files that everyone here can see." : "I couldn't find any matching files. Try different keywords.");
+      return;
+    }
+    const session = await postSearchResults({ client, channel: event.channel, threadTs, workspace, userId: event.user, query, results, filters: parsed.filters });
+    await logSearchEvent({ ...searchEvent, session });
+  } catch (err) {
+    boltLogger?.error(err);
+    logger.error({ evt: 'search_error', err: String(err?.message || err) });
+    try { await reply('Something went wrong while searching. Please try again.'); } catch {}
+  }
+});
+
+async function searchAnalyticsFor(workspace) {
+  const since = new Date(Date.now() - ANALYTICS_WINDOW_DAYS * 86400000).toISOString();
+  const [events, files, usage] = await Promise.all([listSearchEvents(workspace.id, { since }), listFiles(workspace.id), aiUsageFor(workspace.id)]);
+  return { ...summarizeSearches(events, files), aiUsage: { ...usage, budget: aiTokenBudget(workspace) } };
+}
+
+// Admins only: DM the analytics report as a CSV file
+app.action('analytics_export_csv', async ({ ack, body, client, logger: boltLogger }) => {
+  await ack();
+  try {
+    const userId = body.user?.id;
+    if (!(await isWorkspaceAdmin(client, userId))) return;
+    const workspace = await workspaceForBody(body);
+    const csv = searchAnalyticsCsv(await searchAnalyticsFor(workspace));
+    const dm = await client.conversations.open({ users: userId });
+    await client.files.uploadV2({
+      channel_id: dm.channel.id,
+      filename: `search-analytics-${new Date().toISOString().slice(0, 10)}.csv`,
+      title: 'Search analytics',
+      content: csv,
+      initial_comment: 'Here is the search analytics export.'
+    });
+    logger.info({ evt: 'analytics_export', workspaceId: workspace.id, userId });
+  } catch (err) {
+    boltLogger?.error(err);
   }
 });
 
-// Installation-like bootstrap using app_home_opened to create workspace and DM welcome
+// App Home: the workspace's design library, plus search analytics and failed or stuck
+// background jobs for admins.
+// Section and filters live in the published view's private_metadata between clicks.
+const HOME_FILE_LIMIT = 15;
+
+function homeStateOf(view) {
+  try {
+    return JSON.parse(view?.private_metadata || '{}');
+  } catch {
+    return {};
+  }
+}
+
+async function publishHome({ client, workspace, userId, state = {} }) {
+  const viewer = createSlackViewer({ client, userId });
+  const visible = await filterViewable(await listFiles(workspace.id, { limit: 500 }), viewer);
+  const tags = [...new Set(visible.flatMap(f => tagsOf(f).map(t => t.toLowerCase())))].sort();
+  const projects = [...new Set(visible.map(f => f.project).filter(Boolean))].sort();
+
+  const uploaderId = state.section === 'mine' ? userId : state.uploaderId;
+  const files = visible
+    .filter(f => !uploaderId || f.user_id === uploaderId)
+    .filter(f => !state.tag || tagsOf(f).some(t => t.toLowerCase() === state.tag))
+    .filter(f => !state.project || f.project === state.project)
+    .slice(0, HOME_FILE_LIMIT);
+
+  const isAdmin = await isWorkspaceAdmin(client, userId);
+  const manageable = new Set(files.filter(f => isAdmin || f.user_id === userId).map(f => String(f.id)));
+  await client.views.publish({
+    user_id: userId,
+    view: {
+      type: 'home',
+      private_metadata: JSON.stringify(state),
+      blocks: homeBlocks({
+        files: await withDownloadUrls(files, workspace),
+        state,
+        tags,
+        projects,
+        manageable,
+        settingsSummary: isAdmin ? await settingsSummaryFor(workspace) : null,
+        analytics: isAdmin ? await searchAnalyticsFor(workspace) : null,
+        jobs: isAdmin ? await listStuckJobs(workspace.id) : null
+      })
+    }
+  });
+}
+
+// Installation-like bootstrap using app_home_opened: create the workspace, welcome the
+// user once, and publish the Home tab
 app.event('app_home_opened', async ({ event, client, logger: boltLogger }) => {
   try {
     const teamId = event?.view?.team_id || event?.team;
     if (!teamId) return;
     const teamInfo = await client.team.info();
     const teamName = teamInfo?.team?.name || 'Unknown Team';
-    await getOrCreateWorkspace(teamId, teamName);
+    const workspace = await getOrCreateWorkspace(teamId, teamName);
+    if (event.tab === 'home') {
+      await publishHome({ client, workspace, userId: event.user, state: homeStateOf(event.view) });
+    }
+    if (!(await markUserWelcomed(workspace.id, event.user))) return;
+    const { assistant_name: assistantName } = await workspaceSettings(workspace.id);
     await client.chat.postMessage({
       channel: event.user,
       text: 'Welcome to Design Assistant! 👋',
       blocks: [
         {
           type: 'section',
-          text: { type: 'mrkdwn', text: `👋 Hey there! I’m Popeye, your Design Assistant in Slack.\n\nYou can upload design files, search, or ask me to fetch files anytime, all right here in Slack.\n\nTry:\n• \`/upload-design\` → Upload a file\n• Find the latest ORCA dashboard mockup → retrieve files` }
+          text: { type: 'mrkdwn', text: `👋 Hey there! I’m ${assistantName}, your Design Assistant in Slack.\n\nYou can upload design files, search, or ask me to fetch files anytime, all right here in Slack.\n\nTry:\n• \`/upload-design\` → Upload a file\n• Find the latest ORCA dashboard mockup → retrieve files\n• The *Home* tab → browse and manage the library` }
         }
       ]
     });
@@ -153,162 +777,1575 @@ app.event('app_home_opened', async ({ event, client, logger: boltLogger }) => {
   }
 });
 
-// Slash command: /upload-design → open modal
-app.command('/upload-design', async ({ command, ack, client, logger: boltLogger }) => {
+// Re-render the Home tab after an interaction, with its state changed by `update`
+function homeAction(update) {
+  return async ({ ack, body, action, client, logger: boltLogger }) => {
+    await ack();
+    try {
+      const workspace = await workspaceForBody(body);
+      const state = update({ ...homeStateOf(body.view) }, action);
+      await publishHome({ client, workspace, userId: body.user.id, state });
+    } catch (err) {
+      boltLogger?.error(err);
+    }
+  };
+}
+
+app.action('home_section_recent', homeAction(state => ({ ...state, section: 'recent' })));
+app.action('home_section_mine', homeAction(state => ({ ...state, section: 'mine', uploaderId: null })));
+app.action('home_filter_tag', homeAction((state, action) => ({ ...state, tag: action.selected_option?.value || null })));
+app.action('home_filter_project', homeAction((state, action) => ({ ...state, project: action.selected_option?.value || null })));
+app.action('home_filter_uploader', homeAction((state, action) => ({ ...state, uploaderId: action.selected_user || null })));
+app.action('home_clear_filters', homeAction(state => ({ section: state.section })));
+
+// Admin buttons on a failed or stuck job
+function jobAction(apply) {
+  return async ({ ack, body, action, client, logger: boltLogger }) => {
+    await ack();
+    try {
+      const workspace = await workspaceForBody(body);
+      if (!(await isWorkspaceAdmin(client, body.user.id))) throw new Error('Only workspace admins can manage jobs');
+      await apply(workspace, action.value);
+      logger.info({ evt: 'job_admin_action', workspaceId: workspace.id, jobId: action.value, action: action.action_id, userId: body.user.id });
+      await publishHome({ client, workspace, userId: body.user.id, state: homeStateOf(body.view) });
+    } catch (err) {
+      boltLogger?.error(err);
+    }
+  };
+}
+
+app.action('home_retry_job', jobAction(async (workspace, jobId) => {
+  if (await retryJob(workspace.id, jobId)) jobWorker.kick();
+}));
+app.action('home_dismiss_job', jobAction((workspace, jobId) => dismissJob(workspace.id, jobId)));
+
+app.action('home_open_file', async ({ ack, body, action, logger: boltLogger }) => {
+  await ack();
+  try {
+    if (action.value) await markFilesUsed((await workspaceForBody(body)).id, [action.value]);
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+app.action('home_upload', async ({ ack, body, client, logger: boltLogger }) => {
   await ack();
   try {
+    const workspace = await workspaceForBody(body);
     await client.views.open({
-      trigger_id: command.trigger_id,
-      view: {
-        type: 'modal',
-        callback_id: 'upload_design_modal',
-        private_metadata: command.channel_id,
-        title: { type: 'plain_text', text: 'Upload Design File' },
-        submit: { type: 'plain_text', text: 'Upload' },
-        close: { type: 'plain_text', text: 'Cancel' },
-        blocks: [
-          {
-            type: 'input',
-            block_id: 'file_name',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'file_name_input',
-              placeholder: { type: 'plain_text', text: 'e.g., ORCA Dashboard Mockup v2' }
-            },
-            label: { type: 'plain_text', text: 'File Name' }
-          },
-          {
-            type: 'input',
-            block_id: 'file_upload',
-            element: {
-              type: 'file_input',
-              action_id: 'file_upload_input'
-            },
-            label: { type: 'plain_text', text: 'File (optional if URL provided)' },
-            optional: true
-          },
-          {
-            type: 'input',
-            block_id: 'file_url',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'file_url_input',
-              placeholder: { type: 'plain_text', text: 'https://example.com/file.pdf' }
-            },
-            label: { type: 'plain_text', text: 'File URL (optional)' },
-            optional: true
-          },
-          {
-            type: 'input',
-            block_id: 'tags',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'tags_input',
-              placeholder: { type: 'plain_text', text: 'dashboard, mockup, orca' }
-            },
-            label: { type: 'plain_text', text: 'Tags (optional)' },
-            optional: true
-          },
-          {
-            type: 'input',
-            block_id: 'description',
-            element: {
-              type: 'plain_text_input',
-              action_id: 'description_input',
-              multiline: true,
-              placeholder: { type: 'plain_text', text: 'Optional description' }
-            },
-            label: { type: 'plain_text', text: 'Description (optional)' },
-            optional: true
-          }
-        ]
-      }
+      trigger_id: body.trigger_id,
+      view: uploadModalView({ channelId: body.user.id, prefill: await uploadPrefillFor(workspace, body.user.id) })
     });
   } catch (err) {
     boltLogger?.error(err);
-    await client.chat.postMessage({ channel: command.channel_id, text: 'Could not open upload modal.' });
   }
 });
 
-// Modal submission: download Slack file, upload to Supabase, save metadata
-app.view('upload_design_modal', async ({ ack, view, client, body, logger: boltLogger }) => {
+// A file the user may edit, archive or delete (uploader or workspace admin)
+async function managedFile({ client, workspace, fileId, userId }) {
+  const [file] = await getFilesByIds(workspace.id, [fileId]);
+  if (!file) throw new Error('That file no longer exists');
+  if (!(await canManageFile(client, file, userId))) throw new Error('Only the uploader or a workspace admin can change this file');
+  return file;
+}
+
+app.action('home_edit_file', async ({ ack, body, action, client, logger: boltLogger }) => {
+  await ack();
   try {
-    const channelId = view.private_metadata || body.user?.id;
-    const teamId = body.team?.id;
-    const workspace = await getOrCreateWorkspace(teamId, body.team?.name || 'Unknown Team');
-    const fileName = view.state.values.file_name?.file_name_input?.value?.trim();
-    const fileObj = view.state.values.file_upload?.file_upload_input?.files?.[0];
-    const fileUrlInput = view.state.values.file_url?.file_url_input?.value?.trim();
-    const tags = view.state.values.tags?.tags_input?.value?.trim();
-    const description = view.state.values.description?.description_input?.value?.trim();
-
-    const errors = {};
-    if (!fileName) errors['file_name'] = 'Required';
-    if (!fileObj?.id && !fileUrlInput) {
-      errors['file_upload'] = 'Select a file or provide a URL';
-      errors['file_url'] = 'Provide a URL or select a file';
-    }
-    if (Object.keys(errors).length) {
-      await ack({ response_action: 'errors', errors });
+    const workspace = await workspaceForBody(body);
+    const file = await managedFile({ client, workspace, fileId: action.value, userId: body.user.id });
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: uploadModalView({ channelId: body.user.id, file, metadata: { homeState: homeStateOf(body.view) } })
+    });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+// Manage menu on search result cards: edit, archive/restore or delete the file, or add
+// it to a collection
+app.action(/^search_file_menu_\d+$/, async ({ ack, body, action, client, respond, logger: boltLogger }) => {
+  await ack();
+  const [verb, fileId] = String(action.selected_option?.value || '').split(':');
+  try {
+    const workspace = await workspaceForBody(body);
+    const channelId = body.channel?.id || body.user.id;
+    if (verb === 'collect') {
+      const [file] = await getFilesByIds(workspace.id, [fileId]);
+      if (!file || !(await canViewFile(file, createSlackViewer({ client, userId: body.user.id })))) throw new Error('That file no longer exists');
+      await client.views.open({
+        trigger_id: body.trigger_id,
+        view: addToCollectionView({ file, collections: await listCollections(workspace.id), channelId })
+      });
       return;
     }
-
-    await ack();
-
-    await client.chat.postMessage({ channel: channelId, text: 'Uploading your file...' });
-
-    let finalFileUrl = fileUrlInput || '';
-    let slackFileId = fileObj?.id || null;
-
-    if (fileObj?.id) {
-      // Get Slack file info
-      const info = await client.files.info({ file: fileObj.id });
-      const slackFile = info.file;
-
-      // Download file with bot token
-      const authToken = client?.token || process.env.SLACK_BOT_TOKEN;
-      const res = await fetch(slackFile.url_private, {
-        headers: { Authorization: `Bearer ${authToken}` }
+    const file = await managedFile({ client, workspace, fileId, userId: body.user.id });
+    if (verb === 'edit') {
+      await client.views.open({ trigger_id: body.trigger_id, view: uploadModalView({ channelId, file }) });
+    } else if (verb === 'delete') {
+      await client.views.open({ trigger_id: body.trigger_id, view: deleteModalView({ file, channelId }) });
+    } else if (verb === 'archive' || verb === 'restore') {
+      await setFileArchived(workspace.id, file.id, verb === 'archive');
+      logger.info({ evt: verb === 'archive' ? 'file_archived' : 'file_restored', workspaceId: workspace.id, fileId: file.id });
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: verb === 'archive'
+          ? `Archived *${escapeMrkdwn(displayNameOf(file))}*. It's hidden from search unless you ask to "include archived".`
+          : `Restored *${escapeMrkdwn(displayNameOf(file))}*.`
       });
-      if (!res.ok) throw new Error('Failed to download file from Slack');
-      const buf = Buffer.from(await res.arrayBuffer());
-
-      // Upload to Supabase storage (workspace-scoped)
-      const stored = await uploadFileToStorage(buf, slackFile.name || fileName, workspace.id);
-      finalFileUrl = stored.url;
-    } else if (fileUrlInput) {
-      // Use provided URL directly
-      finalFileUrl = fileUrlInput;
-      slackFileId = null;
     }
+  } catch (err) {
+    boltLogger?.error(err);
+    try { await respond({ response_type: 'ephemeral', replace_original: false, text: `❌ ${err.message}` }); } catch {}
+  }
+});
 
-    // Save metadata compatible with retrieval (workspace-scoped)
-    await saveUploadedFileMetadata({
-      workspace_id: workspace.id,
-      team_id: teamId, // Store team_id for direct filtering
-      user_id: body.user?.id,
-      file_name: fileName,
-      tags: tags || null,
-      description: description || null,
-      file_url: finalFileUrl,
-      slack_file_id: slackFileId
+// Message shortcut on a message with a saved Slack file: edit that file's details
+app.shortcut('edit_design_shortcut', async ({ ack, shortcut, client, respond, logger: boltLogger }) => {
+  await ack();
+  try {
+    const workspace = await workspaceForBody(shortcut);
+    let file = null;
+    for (const f of shortcut.message?.files || []) {
+      file = await getFileBySlackFileId(workspace.id, f.id);
+      if (file) break;
+    }
+    if (!file) {
+      await respond({ response_type: 'ephemeral', text: "This message has no file saved in the design library." });
+      return;
+    }
+    await managedFile({ client, workspace, fileId: file.id, userId: shortcut.user.id });
+    await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: uploadModalView({ channelId: shortcut.channel?.id || shortcut.user.id, file })
     });
+  } catch (err) {
+    boltLogger?.error(err);
+    try { await respond({ response_type: 'ephemeral', text: `❌ ${err.message}` }); } catch {}
+  }
+});
 
-    await client.chat.postMessage({
-      channel: channelId,
-      text: '✅ File uploaded successfully! You can now ask me to fetch it by name or tags.'
+app.view('delete_design_modal', async ({ ack, view, client, body, logger: boltLogger }) => {
+  await ack();
+  const { fileId, channelId } = JSON.parse(view.private_metadata || '{}');
+  try {
+    const workspace = await workspaceForBody(body);
+    const file = await managedFile({ client, workspace, fileId, userId: body.user.id });
+    await deleteFile(workspace.id, file);
+    logger.info({ evt: 'file_deleted', workspaceId: workspace.id, fileId: file.id });
+    await client.chat.postEphemeral({ channel: channelId, user: body.user.id, text: `🗑️ Deleted *${escapeMrkdwn(displayNameOf(file))}*.` });
+  } catch (err) {
+    boltLogger?.error(err);
+    try {
+      await client.chat.postEphemeral({ channel: channelId, user: body.user.id, text: `❌ Could not delete the file: ${err.message}` });
+    } catch {}
+  }
+});
+
+app.view('edit_design_modal', async ({ ack, view, client, body, logger: boltLogger }) => {
+  const values = view.state.values;
+  const fileName = values.file_name?.file_name_input?.value?.trim();
+  if (!fileName) {
+    await ack({ response_action: 'errors', errors: { file_name: 'Required' } });
+    return;
+  }
+  await ack();
+
+  const { fileId, channelId, homeState } = JSON.parse(view.private_metadata || '{}');
+  try {
+    const workspace = await workspaceForBody(body);
+    await managedFile({ client, workspace, fileId, userId: body.user.id });
+    await updateFileMetadata(workspace.id, fileId, {
+      file_name: fileName,
+      tags: values.tags?.tags_input?.value?.trim() || null,
+      description: values.description?.description_input?.value?.trim() || null,
+      project: values.project?.project_input?.value?.trim() || null
     });
+    logger.info({ evt: 'file_metadata_updated', workspaceId: workspace.id, fileId });
+    if (homeState) await publishHome({ client, workspace, userId: body.user.id, state: homeState });
+    else await client.chat.postEphemeral({ channel: channelId, user: body.user.id, text: `✅ Saved changes to *${escapeMrkdwn(fileName)}*.` });
   } catch (err) {
     boltLogger?.error(err);
     try {
-      await ack();
+      await client.chat.postMessage({ channel: channelId || body.user.id, text: `❌ Could not save your changes: ${err.message}` });
     } catch {}
-    const channelId = view?.private_metadata || body?.user?.id;
-    if (channelId) {
-      await client.chat.postMessage({ channel: channelId, text: `❌ Upload failed: ${err.message}` });
-    }
   }
 });
 
+app.action('home_archive_file', async ({ ack, body, action, client, logger: boltLogger }) => {
+  await ack();
+  try {
+    const workspace = await workspaceForBody(body);
+    await managedFile({ client, workspace, fileId: action.value, userId: body.user.id });
+    await setFileArchived(workspace.id, action.value, true);
+    logger.info({ evt: 'file_archived', workspaceId: workspace.id, fileId: action.value });
+    await publishHome({ client, workspace, userId: body.user.id, state: homeStateOf(body.view) });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+app.action('home_delete_file', async ({ ack, body, action, client, logger: boltLogger }) => {
+  await ack();
+  try {
+    const workspace = await workspaceForBody(body);
+    const file = await managedFile({ client, workspace, fileId: action.value, userId: body.user.id });
+    await deleteFile(workspace.id, file);
+    logger.info({ evt: 'file_deleted', workspaceId: workspace.id, fileId: file.id });
+    await publishHome({ client, workspace, userId: body.user.id, state: homeStateOf(body.view) });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+// Slash command: /upload-design → open modal
+app.command('/upload-design', async ({ command, ack, client, logger: boltLogger }) => {
+  await ack();
+  try {
+    const workspace = await getOrCreateWorkspace(command.team_id, command.team_domain || 'Unknown Team');
+    await client.views.open({
+      trigger_id: command.trigger_id,
+      view: uploadModalView({ channelId: command.channel_id, prefill: await uploadPrefillFor(workspace, command.user_id) })
+    });
+  } catch (err) {
+    boltLogger?.error(err);
+    await client.chat.postMessage({ channel: command.channel_id, text: 'Could not open upload modal.' });
+  }
+});
+
+// Visibility fields from the upload or /design-access modal state
+function readVisibility(values) {
+  return {
+    privacy: values.visibility?.visibility_select?.selected_option?.value || 'company',
+    allowed_user_ids: values.visibility_users?.visibility_users_select?.selected_users || [],
+    allowed_usergroup_ids: (values.visibility_usergroups?.visibility_usergroups_select?.selected_options || []).map(o => o.value),
+    allowed_channel_ids: values.visibility_channels?.visibility_channels_select?.selected_conversations || []
+  };
+}
+
+// A restricted mode needs its matching allow list
+function visibilityErrors(access) {
+  if (access.privacy === 'people' && !access.allowed_user_ids.length) return { visibility_users: 'Pick at least one person' };
+  if (access.privacy === 'usergroups' && !access.allowed_usergroup_ids.length) return { visibility_usergroups: 'Pick at least one user group' };
+  if (access.privacy === 'channel' && !access.allowed_channel_ids.length) return { visibility_channels: 'Pick at least one channel' };
+  return {};
+}
+
+// User-group picker for the visibility fields
+app.options('visibility_usergroups_select', async ({ ack, body, client, logger: boltLogger }) => {
+  try {
+    const res = await client.usergroups.list({ include_disabled: false });
+    const q = String(body.value || '').toLowerCase();
+    const groups = (res.usergroups || [])
+      .filter(g => !q || `${g.name} ${g.handle}`.toLowerCase().includes(q))
+      .slice(0, 100);
+    await ack({
+      options: groups.map(g => ({
+        text: { type: 'plain_text', text: `${g.name} (@${g.handle})`.slice(0, 75) },
+        value: g.id
+      }))
+    });
+  } catch (err) {
+    boltLogger?.error(err);
+    await ack({ options: [] });
+  }
+});
+
+// External select in the upload modal: pick the design this upload is a new version of
+app.options('parent_file_select', async ({ ack, body, client, logger: boltLogger }) => {
+  try {
+    const workspace = await workspaceForBody(body);
+    const viewer = createSlackViewer({ client, userId: body.user?.id });
+    const files = await searchFiles(body.value || '', workspace.id, 20, { viewer });
+    await ack({
+      options: files.map(f => ({
+        // option text is capped at 75 chars by Slack
+        text: { type: 'plain_text', text: `${displayNameOf(f)}${f.version > 1 ? ` (v${f.version})` : ''}`.slice(0, 75) },
+        value: String(f.id)
+      }))
+    });
+  } catch (err) {
+    boltLogger?.error(err);
+    await ack({ options: [] });
+  }
+});
+
+// Slack client for work done outside a request (background jobs): the installation's
+// bot token with OAuth, SLACK_BOT_TOKEN otherwise
+async function slackClientFor(teamId) {
+  if (!useOAuth) return new WebClient(process.env.SLACK_BOT_TOKEN);
+  const installation = await fetchSlackInstallation({ teamId });
+  const token = installation?.bot?.token;
+  if (!token) throw new Error(`No bot token for team ${teamId}`);
+  return new WebClient(token);
+}
+
+async function downloadSlackFile(client, slackFile) {
+  const res = await fetch(slackFile.url_private, {
+    headers: { Authorization: `Bearer ${client.token}` }
+  });
+  if (!res.ok) throw new Error(`Failed to download file from Slack (HTTP ${res.status})`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+// Queue an upload_design job and wake the worker
+async function enqueueUpload(workspace, payload) {
+  const job = await enqueueJob({ workspace_id: workspace.id, type: 'upload_design', payload });
+  logger.info({ evt: 'upload_queued', workspaceId: workspace.id, jobId: job.id, items: payload.items.length });
+  jobWorker.kick();
+  return job;
+}
+
+// several files: each keeps its own name, prefixed with the one typed in
+function uploadName({ fileName, items }, title) {
+  return (items.length === 1 && fileName ? fileName : [fileName, title].filter(Boolean).join(' — ')) || 'Untitled';
+}
+
+// Upload job: each Slack file is downloaded, checked for duplicates by content hash and
+// stored (once per workspace), its text extracted, a thumbnail rendered, its row saved
+// and embedded; a link is checked against existing links and similar names, gets its
+// provider metadata and is saved. Every finished step is checkpointed in
+// ctx.state.items, so a retry after a Slack, storage or embedding outage resumes there
+// instead of storing the file twice.
+// Payload: { teamId, channelId?, messageTs?, viewId?, fileName, metadata, items }, each
+// item { slackFileId } or { url } plus onDuplicate: undefined (ask the uploader), 'skip',
+// 'version' or 'anyway'.
+async function runUploadJob(job, ctx) {
+  const { teamId, channelId, messageTs, viewId, fileName, metadata, items } = job.payload;
+  const workspaceId = job.workspace_id;
+  const workspace = await getWorkspaceById(workspaceId);
+  const client = await slackClientFor(teamId);
+  const viewer = createSlackViewer({ client, userId: metadata.user_id });
+  const results = { ...(ctx.state.items || {}) };
+  const checkpoint = (i, patch) => {
+    // in place, so `done` below keeps seeing the latest checkpoint
+    results[i] = Object.assign(results[i] || {}, patch);
+    return ctx.checkpoint({ items: results });
+  };
+  // An existing file this item duplicates, unless the uploader already chose to keep
+  // both. Files the uploader can't see aren't named to them; the upload just goes ahead.
+  const duplicateOf = async (item, find) => {
+    if (item.onDuplicate === 'version' || item.onDuplicate === 'anyway') return null;
+    const existing = await find();
+    if (!existing) return null;
+    return item.onDuplicate === 'skip' || (await canViewFile(existing, viewer)) ? existing : null;
+  };
+
+  for (const [i, item] of items.entries()) {
+    if (results[i]?.duplicateOf) continue;
+    const of = items.length > 1 ? ` (${i + 1} of ${items.length})` : '';
+    const progress = async (step) => {
+      const text = `⏳ Uploading your file${of}: ${step}`;
+      await ctx.progress(text);
+      // the "Uploading your file..." message posted when the job was queued
+      if (messageTs) await client.chat.update({ channel: channelId, ts: messageTs, text }).catch(() => {});
+    };
+
+    if (item.url) {
+      if (!results[i]?.fileId) {
+        await progress('checking for duplicates…');
+        let exact = true;
+        const existing = await duplicateOf(item, async () => {
+          const sameUrl = await getFileByUrl(workspaceId, item.url);
+          if (sameUrl) return sameUrl;
+          exact = false;
+          return (await findNearDuplicates(workspaceId, { fileName, tags: metadata.tags }))[0] || null;
+        });
+        if (existing) {
+          await checkpoint(i, { duplicateOf: existing.id, exact });
+          continue;
+        }
+        await progress('fetching link details…');
+        // Store the link, with title/owner/thumbnail from its provider when we know it
+        const link = await linkMetadataFor(item.url, workspace);
+        const file = await saveUploadedFileMetadata({ ...metadata, file_name: fileName, file_url: item.url, slack_file_id: null, link });
+        await addFileToCollections(workspaceId, file, metadata.collection_ids || [], metadata.user_id);
+        await checkpoint(i, { fileId: file.id, embedded: Boolean(file.embedding_model) });
+      }
+    } else {
+      let buffer = null;
+      if (!results[i]?.storagePath) {
+        await progress('downloading from Slack…');
+        const { file: slackFile } = await client.files.info({ file: item.slackFileId });
+        buffer = await downloadSlackFile(client, slackFile);
+        const about = {
+          name: slackFile.name || null,
+          title: slackFile.title || slackFile.name || null,
+          mimeType: slackFile.mimetype || null
+        };
+        const existing = await duplicateOf(item, () => findFileByContentHash(workspaceId, contentHashOf(buffer)));
+        if (existing) {
+          await checkpoint(i, { ...about, duplicateOf: existing.id, exact: true });
+          continue;
+        }
+        // Upload to private storage (workspace-scoped); links are signed when results are shown.
+        // The same bytes already stored come with their thumbnail and text.
+        await progress('storing…');
+        const stored = await storeFileContent(buffer, slackFile.name || slackFile.title, workspaceId);
+        await checkpoint(i, {
+          ...about,
+          storagePath: stored.path,
+          contentHash: stored.contentHash,
+          ...(stored.reused ? { thumbnailPath: stored.thumbnailPath, contentText: stored.contentText } : {})
+        });
+      }
+      const done = results[i];
+      // a retry no longer has the bytes in memory; read them back from storage
+      const load = async () => buffer || (buffer = await downloadStoredFile(workspaceId, done.storagePath));
+
+      // Index the text inside the file; a file we can't parse is still uploaded
+      if (done.contentText === undefined) {
+        await progress('extracting text…');
+        const buf = await load();
+        let contentText = null;
+        try {
+          contentText = extractText(buf, { fileName: done.name, mimeType: done.mimeType });
+          logger.info({ evt: 'content_extracted', slackFileId: item.slackFileId, chars: contentText?.length || 0 });
+        } catch (extractErr) {
+          logger.warn({ evt: 'content_extract_error', slackFileId: item.slackFileId, err: String(extractErr?.message || extractErr) });
+        }
+        await checkpoint(i, { contentText });
+      }
+
+      // Card thumbnail for images, PDFs and SVGs; a file we can't render just has none
+      if (done.thumbnailPath === undefined) {
+        await progress('rendering thumbnail…');
+        const png = await renderThumbnail(await load(), { fileName: done.name, mimeType: done.mimeType });
+        await checkpoint(i, { thumbnailPath: png ? await storeThumbnail(workspaceId, done.storagePath, png) : null });
+      }
+
+      if (!done.fileId) {
+        await progress('saving…');
+        const file = await saveUploadedFileMetadata({
+          ...metadata,
+          file_name: uploadName(job.payload, done.title),
+          file_url: null,
+          storage_path: done.storagePath,
+          thumbnail_path: done.thumbnailPath,
+          slack_file_id: item.slackFileId,
+          mime_type: done.mimeType,
+          content_text: done.contentText,
+          content_hash: done.contentHash
+        });
+        await addFileToCollections(workspaceId, file, metadata.collection_ids || [], metadata.user_id);
+        await checkpoint(i, { fileId: file.id, embedded: Boolean(file.embedding_model) });
+      }
+    }
+
+    // saving embeds inline but shrugs off provider errors; here they're retried
+    if (!results[i].embedded) {
+      await progress('indexing for search…');
+      await embedFile(workspaceId, results[i].fileId);
+      await checkpoint(i, { embedded: true });
+    }
+  }
+
+  const fileIds = items.map((_, i) => results[i]?.fileId).filter(Boolean);
+  const duplicates = items.map((item, i) => ({ item, index: i, ...results[i] })).filter(d => d.duplicateOf);
+  if (duplicates.length) {
+    logger.info({ evt: 'upload_duplicates', jobId: job.id, count: duplicates.length, existing: duplicates.map(d => d.duplicateOf) });
+  }
+  if (messageTs) {
+    let text = fileIds.length > 1
+      ? `✅ Saved ${fileIds.length} files! You can now ask me to fetch them by name or tags.`
+      : '✅ File uploaded successfully! You can now ask me to fetch it by name or tags.';
+    if (duplicates.length) {
+      const where = isDirectMessage(channelId) || channelId === metadata.user_id ? 'see below' : 'I sent you a direct message about it';
+      text = fileIds.length
+        ? `✅ Saved ${fileIds.length} of ${items.length} files. The others are already in the design library; ${where}.`
+        : `⚠️ This file is already in the design library; ${where}.`;
+    }
+    await client.chat.update({ channel: channelId, ts: messageTs, text });
+
+    // ask the uploader, in a DM, what to do about each duplicate: the prompt names the
+    // existing file and carries a signed link, which the channel mustn't see. The answer
+    // queues a follow-up job.
+    const existing = new Map((await getFilesByIds(workspaceId, duplicates.map(d => d.duplicateOf))).map(f => [String(f.id), f]));
+    for (const d of duplicates) {
+      const file = existing.get(String(d.duplicateOf));
+      if (!file) continue;
+      const name = d.item.url ? fileName : uploadName(job.payload, d.title);
+      const [withUrl] = await withDownloadUrls([file], workspace);
+      await client.chat.postMessage({
+        channel: metadata.user_id,
+        text: `${escapeMrkdwn(name)} is already in the design library`,
+        blocks: duplicatePromptBlocks({ name, existing: withUrl, exact: d.exact, jobId: job.id, index: d.index })
+      });
+    }
+  }
+
+  // The upload modal is still open, waiting for suggested tags and descriptions
+  if (viewId) {
+    const files = await getFilesByIds(workspaceId, fileIds);
+    const saved = await Promise.all(files.map(async file => ({
+      file,
+      image: file.storage_path && String(file.mime_type || '').startsWith('image/')
+        ? await downloadStoredFile(workspaceId, file.storage_path).catch(() => null)
+        : null
+    })));
+    const view = saved.length
+      ? confirmMetadataView({ channelId, items: await suggestionsFor(workspace, saved) })
+      : progressModalView('Upload Design File', '⚠️ This file is already in the design library. Choose what to do in the message I sent you.');
+    try {
+      await client.views.update({ view_id: viewId, view });
+    } catch (err) {
+      // closed in the meantime; the files are saved either way
+      logger.info({ evt: 'upload_view_gone', jobId: job.id, err: String(err?.data?.error || err?.message || err) });
+    }
+  }
+  return { fileIds, duplicates: duplicates.map(d => d.duplicateOf) };
+}
+
+// Answer to a duplicate prompt: add the upload as a new version of the existing file,
+// keep just the existing one, or upload it anyway. Only the uploader may answer.
+function duplicateChoice(choice) {
+  return async ({ ack, body, action, client, respond, logger: boltLogger }) => {
+    await ack();
+    try {
+      const { job: jobId, index } = JSON.parse(action.value || '{}');
+      const workspace = await workspaceForBody(body);
+      const job = await getJob(workspace.id, jobId);
+      const done = job?.state?.items?.[index];
+      if (!job || !done?.duplicateOf) {
+        await respond({ response_type: 'ephemeral', replace_original: false, text: 'That upload has expired; please upload the file again.' });
+        return;
+      }
+      if (job.payload.metadata.user_id !== body.user.id) {
+        await respond({ response_type: 'ephemeral', replace_original: false, text: 'Only the person who uploaded the file can choose.' });
+        return;
+      }
+      const item = job.payload.items[index];
+      const channel = body.channel?.id || job.payload.channelId;
+      if (choice === 'link') {
+        const [existing] = await withDownloadUrls(await getFilesByIds(workspace.id, [done.duplicateOf]), workspace);
+        const name = existing ? escapeMrkdwn(displayNameOf(existing)) : 'the existing file';
+        // the collections picked for the upload get the existing file instead
+        if (existing) await addFileToCollections(workspace.id, existing, job.payload.metadata.collection_ids || [], body.user.id);
+        await client.chat.update({
+          channel,
+          ts: body.message.ts,
+          text: `👍 Kept ${existing?.file_url ? `<${existing.file_url}|${name}>` : name}; nothing new was saved.`,
+          blocks: []
+        });
+        logger.info({ evt: 'duplicate_linked', workspaceId: workspace.id, jobId, fileId: done.duplicateOf });
+        return;
+      }
+      await client.chat.update({ channel, ts: body.message.ts, text: 'Uploading your file...', blocks: [] });
+      await enqueueUpload(workspace, {
+        ...job.payload,
+        channelId: channel,
+        messageTs: body.message.ts,
+        viewId: null,
+        fileName: item.url ? job.payload.fileName : uploadName(job.payload, done.title),
+        items: [{ ...item, onDuplicate: choice }],
+        metadata: choice === 'version' ? { ...job.payload.metadata, parent_file_id: done.duplicateOf } : job.payload.metadata
+      });
+      logger.info({ evt: 'duplicate_choice', workspaceId: workspace.id, jobId, choice });
+    } catch (err) {
+      boltLogger?.error(err);
+    }
+  };
+}
+
+app.action('duplicate_add_version', duplicateChoice('version'));
+app.action('duplicate_link', duplicateChoice('link'));
+app.action('duplicate_upload_anyway', duplicateChoice('anyway'));
+
+// Tell the uploader when an attempt fails: retrying, or given up on for good
+async function uploadJobFailed(job, err, { retryAt }) {
+  const { teamId, channelId, messageTs, viewId } = job.payload;
+  if (!messageTs && !viewId) return;
+  const client = await slackClientFor(teamId);
+  if (retryAt) {
+    const seconds = Math.max(1, Math.round((retryAt.getTime() - Date.now()) / 1000));
+    if (messageTs) {
+      await client.chat.update({ channel: channelId, ts: messageTs, text: `⚠️ Upload hit a problem (${err.message}); retrying in ${seconds}s…` });
+    }
+    return;
+  }
+  if (messageTs) {
+    await client.chat.update({ channel: channelId, ts: messageTs, text: `❌ Upload failed: ${err.message}` });
+  }
+  if (viewId) {
+    await client.views.update({ view_id: viewId, view: progressModalView('Upload Design File', `❌ Upload failed: ${err.message}`) }).catch(() => {});
+  }
+}
+
+// Modal submission: validate, then queue the download/storage/indexing as a background job
+app.view('upload_design_modal', async ({ ack, view, client, body, logger: boltLogger }) => {
+  let channelId = body.user?.id;
+  try {
+    const { channelId: metaChannelId } = JSON.parse(view.private_metadata || '{}');
+    channelId = metaChannelId || channelId;
+    const teamId = body.team?.id;
+    const workspace = await getOrCreateWorkspace(teamId, body.team?.name || 'Unknown Team');
+    const values = view.state.values;
+    const fileName = values.file_name?.file_name_input?.value?.trim();
+    const fileObj = values.file_upload?.file_upload_input?.files?.[0];
+    const fileUrlInput = values.file_url?.file_url_input?.value?.trim();
+    // files already shared in Slack (Save to Design Library shortcut)
+    const sharedIds = (values.slack_files?.slack_files_select?.selected_options || []).map(o => o.value);
+    const tags = values.tags?.tags_input?.value?.trim();
+    const description = values.description?.description_input?.value?.trim();
+    const project = values.project?.project_input?.value?.trim();
+    const parentFileId = values.parent_file?.parent_file_select?.selected_option?.value || null;
+    const changeNotes = values.change_notes?.change_notes_input?.value?.trim();
+    const collectionIds = (values.collections?.collections_select?.selected_options || []).map(o => o.value);
+    const access = readVisibility(values);
+
+    const errors = { ...visibilityErrors(access) };
+    if (values.slack_files) {
+      if (!sharedIds.length) errors['slack_files'] = 'Pick at least one file';
+      if (!fileName && sharedIds.length === 1) errors['file_name'] = 'Required';
+    } else {
+      if (!fileName) errors['file_name'] = 'Required';
+      if (!fileObj?.id && !fileUrlInput) {
+        errors['file_upload'] = 'Select a file or provide a URL';
+        errors['file_url'] = 'Provide a URL or select a file';
+      } else if (!fileObj?.id && !isHttpUrl(fileUrlInput)) {
+        errors['file_url'] = 'Enter a valid http(s) link';
+      }
+    }
+    if (Object.keys(errors).length) {
+      await ack({ response_action: 'errors', errors });
+      return;
+    }
+
+    // Missing tags or description: keep the modal open and follow up with suggestions
+    const suggest = !tags || !description;
+    if (suggest) {
+      await ack({ response_action: 'update', view: progressModalView('Upload Design File', '⏳ Saving your file and suggesting tags…') });
+    } else {
+      await ack();
+    }
+
+    const posted = await client.chat.postMessage({ channel: channelId, text: 'Uploading your file...' });
+
+    const slackFileIds = fileObj?.id ? [fileObj.id] : sharedIds;
+    await enqueueUpload(workspace, {
+      teamId,
+      channelId: posted.channel || channelId,
+      messageTs: posted.ts,
+      viewId: suggest ? view.id : null,
+      fileName: fileName || null,
+      items: slackFileIds.length ? slackFileIds.map(slackFileId => ({ slackFileId })) : [{ url: fileUrlInput }],
+      metadata: {
+        workspace_id: workspace.id,
+        team_id: teamId, // Store team_id for direct filtering
+        user_id: body.user?.id,
+        tags: tags || null,
+        description: description || null,
+        project: project || null,
+        parent_file_id: parentFileId,
+        change_notes: changeNotes || null,
+        collection_ids: collectionIds,
+        ...access
+      }
+    });
+  } catch (err) {
+    boltLogger?.error(err);
+    try {
+      await ack();
+    } catch {}
+    try {
+      await client.views.update({ view_id: view.id, view: progressModalView('Upload Design File', `❌ Upload failed: ${err.message}`) });
+    } catch {}
+    if (channelId) {
+      await client.chat.postMessage({ channel: channelId, text: `❌ Upload failed: ${err.message}` });
+    }
+  }
+});
+
+// Provider metadata for a link, read with the workspace's own tokens; a provider that is
+// down or refuses only loses the extras
+async function linkMetadataFor(url, workspace) {
+  try {
+    const link = await fetchLinkMetadata(url, { tokens: workspace?.link_tokens });
+    if (link) logger.info({ evt: 'link_metadata', provider: link.provider, found: Boolean(link.title) });
+    return link;
+  } catch (err) {
+    logger.warn({ evt: 'link_metadata_error', err: String(err?.message || err) });
+    const found = detectLinkProvider(url);
+    return found ? { provider: found.adapter.name } : null;
+  }
+}
+
+// Unfurl Figma/Drive/Dropbox/Miro links posted where the bot is present
+app.event('link_shared', async ({ event, client, context, logger: boltLogger }) => {
+  try {
+    const links = (event.links || []).filter(l => detectLinkProvider(l.url));
+    if (!links.length) return;
+    const teamId = context.teamId || event.team_id;
+    const workspace = teamId ? await getOrCreateWorkspace(teamId, 'Unknown Team') : null;
+    const unfurls = {};
+    for (const { url } of links) {
+      const meta = await linkMetadataFor(url, workspace);
+      if (!meta?.title) continue; // nothing better than Slack's own preview
+      const saved = workspace ? await getFileByUrl(workspace.id, url) : null;
+      // a restricted library entry is only named if it's open to everyone
+      unfurls[url] = { blocks: linkUnfurlBlocks(meta, saved && isOpenPrivacy(saved.privacy) ? saved : null) };
+    }
+    if (!Object.keys(unfurls).length) return;
+    await client.chat.unfurl({
+      ...(event.unfurl_id ? { unfurl_id: event.unfurl_id, source: event.source } : { channel: event.channel, ts: event.message_ts }),
+      unfurls
+    });
+    logger.info({ evt: 'links_unfurled', count: Object.keys(unfurls).length });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+// Suggested tags/description/project for freshly saved files; a failed suggestion
+// leaves that file's fields for the uploader to fill in
+async function suggestionsFor(workspace, saved) {
+  const library = await listFiles(workspace.id, { limit: 500 });
+  const knownTags = [...new Set(library.flatMap(f => tagsOf(f).map(t => t.toLowerCase())))];
+  const knownProjects = [...new Set(library.map(f => f.project).filter(Boolean))];
+  const ai = aiEnabled ? await aiOptionsFor(workspace, 'suggest_metadata') : {};
+  return Promise.all(saved.map(async ({ file, image }) => {
+    let suggestion = { tags: [], description: null, project: null, source: 'keywords' };
+    try {
+      suggestion = await suggestFileMetadata({
+        fileName: file.file_name,
+        contentText: file.content_text,
+        mimeType: file.mime_type,
+        image,
+        knownTags,
+        knownProjects,
+        ...ai
+      });
+    } catch (err) {
+      logger.warn({ evt: 'metadata_suggest_error', fileId: file.id, err: String(err?.message || err) });
+    }
+    logger.info({ evt: 'metadata_suggested', fileId: file.id, source: suggestion.source, tags: suggestion.tags.length });
+    return { file, suggestion };
+  }));
+}
+
+// Second upload step: save the confirmed (or edited) suggestions
+app.view('confirm_design_metadata', async ({ ack, view, client, body, logger: boltLogger }) => {
+  await ack();
+  const { channelId, fileIds = [] } = JSON.parse(view.private_metadata || '{}');
+  try {
+    const workspace = await workspaceForBody(body);
+    const values = view.state.values;
+    for (const [i, fileId] of fileIds.entries()) {
+      const file = await managedFile({ client, workspace, fileId, userId: body.user.id });
+      await updateFileMetadata(workspace.id, fileId, {
+        file_name: file.file_name,
+        tags: values[`tags_${i}`]?.value?.value?.trim() || null,
+        description: values[`description_${i}`]?.value?.value?.trim() || null,
+        project: values[`project_${i}`]?.value?.value?.trim() || null
+      });
+    }
+    logger.info({ evt: 'metadata_confirmed', workspaceId: workspace.id, count: fileIds.length });
+  } catch (err) {
+    boltLogger?.error(err);
+    try {
+      await client.chat.postMessage({ channel: channelId || body.user.id, text: `❌ Could not save the details: ${err.message}` });
+    } catch {}
+  }
+});
+
+// Tags already used in a workspace, for suggestions
+async function workspaceTags(workspace) {
+  const files = await listFiles(workspace.id, { limit: 500 });
+  return [...new Set(files.flatMap(f => tagsOf(f).map(t => t.toLowerCase())))];
+}
+
+function baseName(name) {
+  return String(name || '').replace(/\.[a-z0-9]{1,6}$/i, '');
+}
+
+// Message shortcut: open the upload modal pre-filled with the message's files and text
+app.shortcut('save_to_design_library', async ({ ack, shortcut, client, respond, logger: boltLogger }) => {
+  await ack();
+  try {
+    const files = (shortcut.message?.files || []).filter(f => f.mode !== 'tombstone' && f.mode !== 'external');
+    if (!files.length) {
+      await respond({ response_type: 'ephemeral', text: 'That message has no files to save.' });
+      return;
+    }
+    const workspace = await workspaceForBody(shortcut);
+    const text = shortcut.message?.text || '';
+    const prefill = await uploadPrefillFor(workspace, shortcut.user.id);
+    await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: uploadModalView({
+        channelId: shortcut.channel?.id || shortcut.user.id,
+        prefill: {
+          fileName: files.length === 1 ? baseName(files[0].title || files[0].name) : '',
+          tags: suggestTags(text, await workspaceTags(workspace)).join(', '),
+          description: text.slice(0, 3000),
+          slackFiles: files.map(f => ({ id: f.id, name: f.title || f.name })),
+          ...prefill,
+          access: await sourceChannelAccess(client, shortcut.channel?.id) || prefill.access
+        }
+      })
+    });
+  } catch (err) {
+    boltLogger?.error(err);
+    try { await respond({ response_type: 'ephemeral', text: 'Could not open the save dialog.' }); } catch {}
+  }
+});
+
+// Auto-ingest only picks up design-ish files
+const AUTO_INGEST_TYPES = new Set(['pdf', 'svg', 'sketch', 'fig', 'xd', 'ai', 'psd', 'eps']);
+
+function isDesignFile(slackFile) {
+  return String(slackFile.mimetype || '').startsWith('image/') || AUTO_INGEST_TYPES.has(String(slackFile.filetype || '').toLowerCase());
+}
+
+// Text of the message a file was shared with, for tags and description
+async function sharedMessageText(client, slackFile, channelId) {
+  const shares = slackFile.shares || {};
+  const ts = (shares.public?.[channelId] || shares.private?.[channelId] || [])[0]?.ts;
+  if (!ts) return '';
+  try {
+    const res = await client.conversations.history({ channel: channelId, latest: ts, inclusive: true, limit: 1 });
+    return res.messages?.[0]?.text || '';
+  } catch {
+    return '';
+  }
+}
+
+// Opt-in auto-ingest: files shared in enabled channels are saved to the library.
+// Files from private channels stay visible to that channel's members only.
+app.event('file_shared', async ({ event, client, context, logger: boltLogger }) => {
+  try {
+    const teamId = context.teamId || event.team_id;
+    if (!teamId || !event.channel_id || event.user_id === context.botUserId) return;
+    const workspace = await getOrCreateWorkspace(teamId, 'Unknown Team');
+    if (!(await isAutoIngestChannel(workspace.id, event.channel_id))) return;
+    if (await getFileBySlackFileId(workspace.id, event.file_id)) return;
+
+    const info = await client.files.info({ file: event.file_id });
+    if (!isDesignFile(info.file)) return;
+    const text = await sharedMessageText(client, info.file, event.channel_id);
+    const job = await enqueueUpload(workspace, {
+      teamId,
+      fileName: baseName(info.file.title || info.file.name) || 'Untitled',
+      // the same bytes already in the library are skipped rather than asked about
+      items: [{ slackFileId: event.file_id, onDuplicate: 'skip' }],
+      metadata: {
+        workspace_id: workspace.id,
+        team_id: teamId,
+        user_id: event.user_id,
+        tags: suggestTags(text, await workspaceTags(workspace)).join(', ') || null,
+        description: text ? text.slice(0, 3000) : null,
+        ...(await sourceChannelAccess(client, event.channel_id) || await defaultAccessFor(workspace, event.user_id))
+      }
+    });
+    logger.info({ evt: 'file_auto_ingest_queued', workspaceId: workspace.id, channelId: event.channel_id, jobId: job.id });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+// Visibility a new upload starts with, from the workspace's default privacy
+async function defaultAccessFor(workspace, userId) {
+  return defaultAccess(await workspaceSettings(workspace.id), userId);
+}
+
+// What every new upload modal starts with: default visibility and the collections to offer
+async function uploadPrefillFor(workspace, userId) {
+  return { access: await defaultAccessFor(workspace, userId), collections: await listCollections(workspace.id) };
+}
+
+async function settingsSummaryFor(workspace) {
+  return {
+    settings: await workspaceSettings(workspace.id),
+    autoIngestChannelIds: await listAutoIngestChannels(workspace.id),
+    aiAvailable: aiEnabled,
+    linkTtl: { seconds: workspace.signed_url_ttl_seconds || null, defaultSeconds: signedUrlTtlSeconds(null) },
+    linkTokenProviders: Object.keys(workspace.link_tokens || {}).filter(name => workspace.link_tokens[name])
+  };
+}
+
+async function openSettingsModal({ client, workspace, triggerId, metadata }) {
+  await client.views.open({ trigger_id: triggerId, view: settingsModalView({ ...(await settingsSummaryFor(workspace)), metadata }) });
+}
+
+// Slash command: /design-admin [show|export] → workspace settings and data export (admins only)
+app.command('/design-admin', async ({ command, ack, client, respond, logger: boltLogger }) => {
+  await ack();
+  try {
+    const arg = (command.text || '').trim().toLowerCase();
+    if (!['', 'show', 'export'].includes(arg)) {
+      await respond({ response_type: 'ephemeral', text: 'Usage: `/design-admin` to edit settings, `/design-admin show` to list them, `/design-admin export` to get a copy of the library' });
+      return;
+    }
+    if (!(await isWorkspaceAdmin(client, command.user_id))) {
+      await respond({ response_type: 'ephemeral', text: 'Only workspace admins and owners can change the assistant settings.' });
+      return;
+    }
+    const workspace = await getOrCreateWorkspace(command.team_id, command.team_domain || 'Unknown Team');
+    if (arg === 'show') {
+      const blocks = settingsHomeBlocks(await settingsSummaryFor(workspace)).filter(b => b.type !== 'actions');
+      await respond({ response_type: 'ephemeral', text: 'Assistant settings', blocks });
+      return;
+    }
+    if (arg === 'export') {
+      const job = await enqueueJob({ workspace_id: workspace.id, type: 'export_workspace', payload: { teamId: command.team_id, userId: command.user_id } });
+      logger.info({ evt: 'export_queued', workspaceId: workspace.id, jobId: job.id, userId: command.user_id });
+      jobWorker.kick();
+      await respond({ response_type: 'ephemeral', text: '📦 Exporting the library; I\'ll DM you the zip when it\'s ready.' });
+      return;
+    }
+    await openSettingsModal({ client, workspace, triggerId: command.trigger_id, metadata: { channelId: command.channel_id } });
+  } catch (err) {
+    boltLogger?.error(err);
+    await respond({ response_type: 'ephemeral', text: 'Could not open the settings.' });
+  }
+});
+
+app.action('home_edit_settings', async ({ ack, body, client, logger: boltLogger }) => {
+  await ack();
+  try {
+    if (!(await isWorkspaceAdmin(client, body.user.id))) return;
+    const workspace = await workspaceForBody(body);
+    await openSettingsModal({ client, workspace, triggerId: body.trigger_id, metadata: { homeState: homeStateOf(body.view) } });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+function readSettings(values) {
+  const number = (blockId) => {
+    const raw = values[blockId]?.value?.value;
+    return raw === undefined || raw === null || raw === '' ? null : Number(raw);
+  };
+  return {
+    assistant_name: values.assistant_name?.value?.value?.trim() || '',
+    default_privacy: values.default_privacy?.value?.selected_option?.value,
+    ai_rerank_enabled: (values.ai_rerank_enabled?.value?.selected_options || []).some(o => o.value === 'on'),
+    results_page_size: number('results_page_size'),
+    archive_after_days: number('archive_after_days'),
+    delete_archived_after_days: number('delete_archived_after_days'),
+    signed_url_ttl_minutes: number('signed_url_ttl_minutes')
+  };
+}
+
+// Link preview tokens from the settings modal: empty keeps the saved one, "-" removes it.
+// Null when nothing changed.
+function readLinkTokens(values, current = {}) {
+  const tokens = { ...(current || {}) };
+  let changed = false;
+  for (const { name } of TOKEN_LINK_PROVIDERS) {
+    const raw = values[`link_token_${name}`]?.value?.value?.trim();
+    if (!raw) continue;
+    if (raw === '-') delete tokens[name];
+    else tokens[name] = raw;
+    changed = true;
+  }
+  return changed ? tokens : null;
+}
+
+app.view('design_settings_modal', async ({ ack, view, client, body, logger: boltLogger }) => {
+  const { channelId, homeState } = JSON.parse(view.private_metadata || '{}');
+  const patch = readSettings(view.state.values);
+  const errors = settingsErrors(patch);
+  if (Object.keys(errors).length) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+  await ack();
+  try {
+    if (!(await isWorkspaceAdmin(client, body.user.id))) throw new Error('Only workspace admins can change settings');
+    const workspace = await workspaceForBody(body);
+    await updateWorkspaceSettings(workspace.id, patch, body.user.id);
+    // link lifetime is a workspaces column, read wherever signed links are made
+    await setSignedUrlTtl(workspace.id, patch.signed_url_ttl_minutes ? patch.signed_url_ttl_minutes * 60 : null);
+    const linkTokens = readLinkTokens(view.state.values, workspace.link_tokens);
+    if (linkTokens) await setLinkTokens(workspace.id, linkTokens);
+
+    // auto-save channels live in auto_ingest_channels, shared with /design-autosave
+    const wanted = new Set(view.state.values.auto_ingest_channels?.value?.selected_conversations || []);
+    const current = new Set(await listAutoIngestChannels(workspace.id));
+    for (const id of wanted) {
+      if (current.has(id)) continue;
+      try { await client.conversations.join({ channel: id }); } catch {}
+      await setAutoIngestChannel(workspace.id, id, true, body.user.id);
+    }
+    for (const id of current) {
+      if (!wanted.has(id)) await setAutoIngestChannel(workspace.id, id, false, body.user.id);
+    }
+    logger.info({ evt: 'settings_updated', workspaceId: workspace.id, userId: body.user.id, settings: patch, autoIngestChannels: wanted.size });
+
+    if (homeState) {
+      await publishHome({ client, workspace, userId: body.user.id, state: homeState });
+    } else if (channelId) {
+      await client.chat.postEphemeral({ channel: channelId, user: body.user.id, text: '✅ Settings saved.' });
+    }
+  } catch (err) {
+    boltLogger?.error(err);
+    try {
+      await client.chat.postMessage({ channel: channelId || body.user.id, text: `❌ Could not save the settings: ${err.message}` });
+    } catch {}
+  }
+});
+
+// Slack refuses uploads above 1 GB; bigger exports have to be written from the command line
+const SLACK_UPLOAD_MAX_BYTES = Number(process.env.SLACK_UPLOAD_MAX_BYTES || 1024 ** 3);
+
+// Export job: every file row, collection and stored object in one zip, DMed to the admin
+async function runExportJob(job, { progress }) {
+  const { teamId, userId } = job.payload;
+  const client = await slackClientFor(teamId);
+  const zipPath = join(tmpdir(), `design-library-${job.id}.zip`);
+  try {
+    const manifest = await exportWorkspaceBundle(job.workspace_id, zipPath, {
+      onProgress: ({ done, total }) => (done % 25 === 0 ? progress(`${done}/${total} objects`) : null)
+    });
+    const { channel } = await client.conversations.open({ users: userId });
+    const { size } = await stat(zipPath);
+    if (size > SLACK_UPLOAD_MAX_BYTES) {
+      await client.chat.postMessage({
+        channel: channel.id,
+        text: `📦 The library export is ${Math.ceil(size / 1024 ** 2)} MB, more than Slack accepts in one upload (${Math.floor(SLACK_UPLOAD_MAX_BYTES / 1024 ** 2)} MB). Ask whoever runs the app to write it with \`npm run export:bundle ${teamId}\` instead.`
+      });
+      logger.info({ evt: 'workspace_export_too_large', workspaceId: job.workspace_id, userId, size, limit: SLACK_UPLOAD_MAX_BYTES });
+      return { counts: manifest.counts, objects: manifest.objects, tooLarge: true };
+    }
+    const missing = manifest.missing.length ? ` ${manifest.missing.length} stored object(s) were missing and are listed in manifest.json.` : '';
+    await client.files.uploadV2({
+      channel_id: channel.id,
+      file: createReadStream(zipPath),
+      filename: `design-library-${teamId}-${manifest.exported_at.slice(0, 10)}.zip`,
+      initial_comment: `📦 Design library export: ${manifest.counts.files} file(s), ${manifest.counts.collections} collection(s), ${manifest.objects} stored object(s).${missing}`
+    });
+    logger.info({ evt: 'workspace_exported', workspaceId: job.workspace_id, userId, counts: manifest.counts, objects: manifest.objects, bytes: manifest.bytes, missing: manifest.missing.length });
+    return { counts: manifest.counts, objects: manifest.objects };
+  } finally {
+    await unlink(zipPath).catch(() => {});
+  }
+}
+
+async function exportJobFailed(job, err, { retryAt }) {
+  if (retryAt) return;
+  const client = await slackClientFor(job.payload.teamId);
+  await client.chat.postMessage({ channel: job.payload.userId, text: `❌ The library export failed: ${err.message}` });
+}
+
+// Uninstall: the installation goes now, the workspace's data after the retention window
+// (reinstalling before then keeps it; see storeSlackInstallation)
+const UNINSTALL_RETENTION_DAYS = Number(process.env.UNINSTALL_RETENTION_DAYS || 30);
+
+app.event('app_uninstalled', async ({ body, logger: boltLogger }) => {
+  try {
+    const teamId = body.team_id;
+    if (useOAuth) {
+      await deleteSlackInstallation({ teamId, enterpriseId: body.enterprise_id, isEnterpriseInstall: Boolean(body.is_enterprise_install) });
+    }
+    const workspace = await markWorkspaceUninstalled(teamId);
+    logger.info({ evt: 'app_uninstalled', teamId, workspaceId: workspace?.id || null, purgeAfterDays: UNINSTALL_RETENTION_DAYS });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+async function sweepUninstalled() {
+  let workspaces = [];
+  try {
+    workspaces = await listWorkspacesToPurge(UNINSTALL_RETENTION_DAYS);
+  } catch (err) {
+    logger.error({ evt: 'workspace_purge_error', err: String(err?.message || err) });
+  }
+  for (const workspace of workspaces) {
+    try {
+      const { rows, objects, errors } = await purgeWorkspaceData(workspace.id);
+      logger[errors.length ? 'warn' : 'info']({ evt: 'workspace_purged', workspaceId: workspace.id, teamId: workspace.team_id, uninstalledAt: workspace.uninstalled_at, rows, objects, errors });
+    } catch (err) {
+      logger.error({ evt: 'workspace_purge_error', workspaceId: workspace.id, err: String(err?.message || err) });
+    }
+  }
+}
+
+// Retention: archive and delete files per each workspace's rules, a few times a day
+const RETENTION_SWEEP_MS = Number(process.env.RETENTION_SWEEP_MS || 6 * 60 * 60 * 1000);
+
+async function sweepRetention() {
+  let rows = [];
+  try {
+    rows = await listRetentionSettings();
+  } catch (err) {
+    logger.error({ evt: 'retention_error', err: String(err?.message || err) });
+  }
+  for (const row of rows) {
+    try {
+      const { archived, deleted } = await applyRetention(row.workspace_id, {
+        archiveAfterDays: row.archive_after_days,
+        deleteArchivedAfterDays: row.delete_archived_after_days
+      });
+      if (archived.length || deleted.length) {
+        logger.info({ evt: 'retention_applied', workspaceId: row.workspace_id, archived, deleted });
+      }
+    } catch (err) {
+      logger.error({ evt: 'retention_error', workspaceId: row.workspace_id, err: String(err?.message || err) });
+    }
+  }
+}
+
+// Slash command: /design-autosave [on|off] → toggle auto-ingest for the current channel
+app.command('/design-autosave', async ({ command, ack, client, respond, logger: boltLogger }) => {
+  await ack();
+  try {
+    const workspace = await getOrCreateWorkspace(command.team_id, command.team_domain || 'Unknown Team');
+    const arg = (command.text || '').trim().toLowerCase();
+    if (!['on', 'off', ''].includes(arg)) {
+      await respond({ response_type: 'ephemeral', text: 'Usage: `/design-autosave [on|off]`' });
+      return;
+    }
+    if (!arg) {
+      const enabled = await isAutoIngestChannel(workspace.id, command.channel_id);
+      await respond({ response_type: 'ephemeral', text: `Auto-saving designs shared in this channel is *${enabled ? 'on' : 'off'}*.` });
+      return;
+    }
+    // same as the auto-save channels in the settings modal, so admins only
+    if (!(await isWorkspaceAdmin(client, command.user_id))) {
+      await respond({ response_type: 'ephemeral', text: 'Only workspace admins and owners can turn auto-saving on or off.' });
+      return;
+    }
+    if (arg === 'on') {
+      // the bot must be in the channel to receive its file_shared events
+      try { await client.conversations.join({ channel: command.channel_id }); } catch {}
+    }
+    await setAutoIngestChannel(workspace.id, command.channel_id, arg === 'on', command.user_id);
+    logger.info({ evt: 'auto_ingest_toggled', workspaceId: workspace.id, channelId: command.channel_id, enabled: arg === 'on' });
+    await respond({
+      response_type: 'in_channel',
+      text: arg === 'on'
+        ? `<@${command.user_id}> turned on auto-saving: design files shared here will be added to the design library.`
+        : `<@${command.user_id}> turned off auto-saving for this channel.`
+    });
+  } catch (err) {
+    boltLogger?.error(err);
+    await respond({ response_type: 'ephemeral', text: 'Could not change auto-save for this channel.' });
+  }
+});
+
+// Slash command: /design-access <file name> → owner changes who can see a file
+app.command('/design-access', async ({ command, ack, client, respond, logger: boltLogger }) => {
+  await ack();
+  try {
+    const query = (command.text || '').trim();
+    if (!query) {
+      await respond({ response_type: 'ephemeral', text: 'Usage: `/design-access <file name>`' });
+      return;
+    }
+    const workspace = await getOrCreateWorkspace(command.team_id, command.team_domain || 'Unknown Team');
+    const viewer = createSlackViewer({ client, userId: command.user_id });
+    const owned = (await searchFiles(query, workspace.id, SEARCH_RESULT_LIMIT, { viewer }))
+      .filter(f => f.user_id === command.user_id);
+    const file = owned[0];
+    if (!file) {
+      await respond({ response_type: 'ephemeral', text: `I couldn't find a file you uploaded matching "${escapeMrkdwn(query)}".` });
+      return;
+    }
+
+    // resolve names for the pre-selected user groups (external selects need full options)
+    let usergroupOptions = [];
+    if (file.allowed_usergroup_ids?.length) {
+      try {
+        const res = await client.usergroups.list({ include_disabled: true });
+        usergroupOptions = (res.usergroups || [])
+          .filter(g => file.allowed_usergroup_ids.includes(g.id))
+          .map(g => ({ text: { type: 'plain_text', text: `${g.name} (@${g.handle})`.slice(0, 75) }, value: g.id }));
+      } catch {}
+    }
+
+    await client.views.open({
+      trigger_id: command.trigger_id,
+      view: {
+        type: 'modal',
+        callback_id: 'design_access_modal',
+        private_metadata: JSON.stringify({ fileId: file.id, channelId: command.channel_id }),
+        title: { type: 'plain_text', text: 'File Access' },
+        submit: { type: 'plain_text', text: 'Save' },
+        close: { type: 'plain_text', text: 'Cancel' },
+        blocks: [
+          {
+            type: 'section',
+            text: { type: 'mrkdwn', text: `Who can find *${escapeMrkdwn(displayNameOf(file))}*?${file.version_group_id ? '\nApplies to all of its versions.' : ''}` }
+          },
+          ...visibilityBlocks(file, { usergroupOptions })
+        ]
+      }
+    });
+  } catch (err) {
+    boltLogger?.error(err);
+    await respond({ response_type: 'ephemeral', text: 'Could not open the access settings.' });
+  }
+});
+
+app.view('design_access_modal', async ({ ack, view, client, body, logger: boltLogger }) => {
+  const access = readVisibility(view.state.values);
+  const errors = visibilityErrors(access);
+  if (Object.keys(errors).length) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+  await ack();
+
+  const { fileId, channelId } = JSON.parse(view.private_metadata || '{}');
+  try {
+    const workspace = await workspaceForBody(body);
+    const [file] = await getFilesByIds(workspace.id, [fileId]);
+    // only the uploader may change visibility
+    if (!file || file.user_id !== body.user?.id) throw new Error('Only the uploader can change who can see this file');
+    await updateFileAccess(workspace.id, file, access);
+    logger.info({ evt: 'file_access_updated', workspaceId: workspace.id, fileId, privacy: access.privacy });
+    await client.chat.postEphemeral({
+      channel: channelId,
+      user: body.user.id,
+      text: `✅ Updated who can see *${escapeMrkdwn(displayNameOf(file))}*.`
+    });
+  } catch (err) {
+    boltLogger?.error(err);
+    try {
+      await client.chat.postEphemeral({ channel: channelId, user: body.user.id, text: `❌ Could not update access: ${err.message}` });
+    } catch {}
+  }
+});
+
+// "ORCA Q3" or ORCA Q3 -> ORCA Q3
+function unquote(text) {
+  return String(text || '').trim().replace(/^["“](.*)["”]$/, '$1').trim();
+}
+
+// The one collection a command names, or a reply explaining why there isn't one
+async function namedCollection(workspace, name) {
+  if (!name) return { reply: 'Which collection? Add its name, e.g. `/design-collection share ORCA Q3 redesign`.' };
+  const matches = await findCollections(workspace.id, name);
+  if (!matches.length) return { reply: `There's no collection called "${escapeMrkdwn(name)}". \`/design-collection list\` shows them all.` };
+  if (matches.length > 1) return { reply: `"${escapeMrkdwn(name)}" matches ${matches.map(c => `*${escapeMrkdwn(c.name)}*`).join(', ')}. Which one?` };
+  return { collection: matches[0] };
+}
+
+const COLLECTION_USAGE = 'Usage: `/design-collection list`, `/design-collection create <name> [| description]`, `/design-collection show <name>` or `/design-collection share <name>`';
+
+// Slash command: /design-collection list | create <name> | show <name> | share <name>.
+// Sharing posts the collection to the channel as one digest, with only the files
+// everyone there may see.
+app.command('/design-collection', async ({ command, ack, client, respond, logger: boltLogger }) => {
+  await ack();
+  const reply = text => respond({ response_type: 'ephemeral', text });
+  try {
+    const workspace = await getOrCreateWorkspace(command.team_id, command.team_domain || 'Unknown Team');
+    const [, word, rest] = (command.text || '').trim().match(/^(\S*)\s*([\s\S]*)$/);
+    const verb = word.toLowerCase() || 'list';
+    const userId = command.user_id;
+
+    if (verb === 'list') {
+      const collections = await listCollections(workspace.id, { viewer: createSlackViewer({ client, userId }) });
+      await respond({ response_type: 'ephemeral', text: 'Collections', blocks: collectionListBlocks(collections) });
+      return;
+    }
+
+    if (verb === 'create') {
+      const [name, description] = rest.split('|').map(x => unquote(x));
+      if (!name) {
+        await reply('Usage: `/design-collection create <name> [| description]`');
+        return;
+      }
+      const collection = await createCollection(workspace.id, { name, description: description || null, userId });
+      logger.info({ evt: 'collection_created', workspaceId: workspace.id, collectionId: collection.id });
+      await reply(`✅ Created *${escapeMrkdwn(collection.name)}*. Add files from the upload dialog or *Add to collection…* on search results.`);
+      return;
+    }
+
+    if (verb === 'show' || verb === 'share') {
+      const { collection, reply: problem } = await namedCollection(workspace, unquote(rest));
+      if (!collection) {
+        await reply(problem);
+        return;
+      }
+      const viewer = createSlackViewer({ client, userId });
+      const visible = await filterViewable(await listCollectionFiles(workspace.id, collection.id), viewer);
+      if (verb === 'show') {
+        const files = await withDownloadUrls(visible, workspace);
+        await respond({ response_type: 'ephemeral', text: collection.name, blocks: collectionDigestBlocks({ collection, files }) });
+        return;
+      }
+      const shared = await filterViewableByAudience(visible, createChannelAudience({ client, channelId: command.channel_id }));
+      const hiddenCount = visible.length - shared.length;
+      const posted = await postToChannel(client, command.channel_id, {
+        text: `<@${userId}> shared the collection ${escapeMrkdwn(collection.name)}`,
+        blocks: collectionDigestBlocks({ collection, files: await withDownloadUrls(shared, workspace), sharedBy: userId, hiddenCount })
+      });
+      if (!posted) {
+        await reply("I can't post in this channel. Invite me here first, then share again.");
+        return;
+      }
+      await markFilesUsed(workspace.id, shared.map(f => f.id));
+      logger.info({ evt: 'collection_shared', workspaceId: workspace.id, collectionId: collection.id, channelId: command.channel_id, files: shared.length, hidden: hiddenCount });
+      if (hiddenCount) await reply(`Shared *${escapeMrkdwn(collection.name)}*. ${hiddenCount} file(s) were left out because not everyone here can see them.`);
+      return;
+    }
+
+    await reply(COLLECTION_USAGE);
+  } catch (err) {
+    boltLogger?.error(err);
+    try { await reply(`❌ ${err.message}`); } catch {}
+  }
+});
+
+// "Add to collection…" on a result card: picked collections, plus a new one if named
+app.view('add_to_collection_modal', async ({ ack, view, client, body, logger: boltLogger }) => {
+  const values = view.state.values;
+  const picked = (values.collections?.collections_select?.selected_options || []).map(o => o.value);
+  const newName = values.new_collection?.value?.value?.trim();
+  if (!picked.length && !newName) {
+    await ack({ response_action: 'errors', errors: { new_collection: 'Pick a collection or name a new one' } });
+    return;
+  }
+  const { fileId, channelId } = JSON.parse(view.private_metadata || '{}');
+  try {
+    const workspace = await workspaceForBody(body);
+    if (newName && (await findCollections(workspace.id, newName)).some(c => c.name.toLowerCase() === newName.toLowerCase())) {
+      await ack({ response_action: 'errors', errors: { new_collection: 'That collection already exists; pick it above' } });
+      return;
+    }
+    await ack();
+    const [file] = await getFilesByIds(workspace.id, [fileId]);
+    if (!file || !(await canViewFile(file, createSlackViewer({ client, userId: body.user.id })))) throw new Error('That file no longer exists');
+    const created = newName ? await createCollection(workspace.id, { name: newName, userId: body.user.id }) : null;
+    const ids = [...picked, ...(created ? [String(created.id)] : [])];
+    await addFileToCollections(workspace.id, file, ids, body.user.id);
+    logger.info({ evt: 'collection_files_added', workspaceId: workspace.id, fileId, collections: ids });
+    const names = (await listCollections(workspace.id)).filter(c => ids.includes(String(c.id))).map(c => `*${escapeMrkdwn(c.name)}*`);
+    await client.chat.postEphemeral({ channel: channelId, user: body.user.id, text: `✅ Added *${escapeMrkdwn(displayNameOf(file))}* to ${names.join(', ')}.` });
+  } catch (err) {
+    boltLogger?.error(err);
+    try { await ack(); } catch {}
+    try {
+      await client.chat.postEphemeral({ channel: channelId, user: body.user.id, text: `❌ Could not add to the collection: ${err.message}` });
+    } catch {}
+  }
+});
+
+const SUBSCRIPTIONS_USAGE = 'Usage: `/design-subscriptions` to list your saved searches, `/design-subscriptions add <query>` to save one';
+
+// "🔔 Notify me about new matches" under search results: save that search
+app.action('search_subscribe', async ({ ack, body, action, client, logger: boltLogger }) => {
+  await ack();
+  try {
+    const workspace = await workspaceForBody(body);
+    const session = await getSearchSession(action.value, workspace.id);
+    if (!session) return;
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: subscribeModalView({ query: session.query, metadata: { sessionId: session.id, channelId: body.channel?.id } })
+    });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+// Slash command: /design-subscriptions [list] | add <query>
+app.command('/design-subscriptions', async ({ command, ack, client, respond, logger: boltLogger }) => {
+  await ack();
+  try {
+    const workspace = await getOrCreateWorkspace(command.team_id, command.team_domain || 'Unknown Team');
+    const [, word, rest] = (command.text || '').trim().match(/^(\S*)\s*([\s\S]*)$/);
+    const verb = word.toLowerCase() || 'list';
+    if (verb === 'list') {
+      const subscriptions = await listSubscriptions(workspace.id, { userId: command.user_id });
+      await respond({ response_type: 'ephemeral', text: 'Your saved searches', blocks: subscriptionListBlocks(subscriptions) });
+      return;
+    }
+    if (verb === 'add') {
+      await client.views.open({
+        trigger_id: command.trigger_id,
+        view: subscribeModalView({ query: rest.trim(), metadata: { channelId: command.channel_id } })
+      });
+      return;
+    }
+    await respond({ response_type: 'ephemeral', text: SUBSCRIPTIONS_USAGE });
+  } catch (err) {
+    boltLogger?.error(err);
+    try { await respond({ response_type: 'ephemeral', text: `❌ ${err.message}` }); } catch {}
+  }
+});
+
+app.view('subscribe_modal', async ({ ack, view, client, body, logger: boltLogger }) => {
+  const values = view.state.values;
+  const query = values.query?.value?.value?.replace(/\s+/g, ' ').trim() || '';
+  const frequency = values.frequency?.value?.selected_option?.value || 'daily';
+  const channelId = values.channel?.value?.selected_conversation || null;
+  const { sessionId, channelId: replyChannel } = JSON.parse(view.private_metadata || '{}');
+  const userId = body.user.id;
+  const confirm = text => client.chat.postEphemeral({ channel: replyChannel || userId, user: userId, text }).catch(() => client.chat.postMessage({ channel: userId, text }));
+  try {
+    const workspace = await workspaceForBody(body);
+    const mine = await listSubscriptions(workspace.id, { userId });
+    if (mine.length >= SUBSCRIPTIONS_PER_USER_MAX) {
+      await ack({ response_action: 'errors', errors: { query: `You can save up to ${SUBSCRIPTIONS_PER_USER_MAX} searches; remove one with /design-subscriptions first` } });
+      return;
+    }
+    if (mine.some(s => s.query.toLowerCase() === query.toLowerCase() && (s.channel_id || null) === channelId)) {
+      await ack({ response_action: 'errors', errors: { query: channelId ? 'That channel already gets this digest' : "You're already subscribed to this search" } });
+      return;
+    }
+    await ack();
+
+    // keep the filters a refined search narrowed down to, unless the query was edited
+    const session = sessionId ? await getSearchSession(sessionId, workspace.id) : null;
+    const filters = session && session.query === query ? session.filters || {} : (await parseSearchQuery(client, query)).filters;
+    const subscription = await createSubscription(workspace.id, {
+      userId,
+      query,
+      filters,
+      frequency,
+      channelId,
+      nextRunAt: nextDigestAt(frequency).toISOString()
+    });
+    logger.info({ evt: 'subscription_created', workspaceId: workspace.id, subscriptionId: subscription.id, userId, frequency, channelId });
+    const where = channelId ? `in <#${channelId}>` : 'by DM';
+    await confirm(`🔔 Saved. You'll get a ${frequency} digest of new designs matching _${escapeMrkdwn(query)}_ ${where}. Manage it with \`/design-subscriptions\`.`);
+  } catch (err) {
+    boltLogger?.error(err);
+    try { await ack(); } catch {}
+    try { await confirm(`❌ Could not save the search: ${err.message}`); } catch {}
+  }
+});
+
+// Manage menu on /design-subscriptions: switch frequency or unsubscribe, then redraw the list
+app.action('subscription_menu', async ({ ack, body, action, respond, logger: boltLogger }) => {
+  await ack();
+  try {
+    const [verb, id, frequency] = String(action.selected_option?.value || '').split(':');
+    const workspace = await workspaceForBody(body);
+    const subscription = await getSubscription(workspace.id, id);
+    if (!subscription || subscription.user_id !== body.user.id) return;
+    if (verb === 'remove') {
+      await deleteSubscription(workspace.id, id);
+      logger.info({ evt: 'subscription_removed', workspaceId: workspace.id, subscriptionId: id });
+    } else if (verb === 'frequency') {
+      await updateSubscription(workspace.id, id, { frequency, next_run_at: nextDigestAt(frequency).toISOString() });
+      logger.info({ evt: 'subscription_updated', workspaceId: workspace.id, subscriptionId: id, frequency });
+    }
+    const subscriptions = await listSubscriptions(workspace.id, { userId: body.user.id });
+    await respond({ response_type: 'ephemeral', replace_original: true, text: 'Your saved searches', blocks: subscriptionListBlocks(subscriptions) });
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+// "Unsubscribe" on a digest; only the subscriber can use it, also in channels
+app.action('subscription_unsubscribe', async ({ ack, body, action, respond, logger: boltLogger }) => {
+  await ack();
+  try {
+    const workspace = await workspaceForBody(body);
+    const subscription = await getSubscription(workspace.id, action.value);
+    const reply = text => respond({ response_type: 'ephemeral', replace_original: false, text });
+    if (!subscription) {
+      await reply('That subscription was already removed.');
+      return;
+    }
+    if (subscription.user_id !== body.user.id) {
+      await reply(`Only <@${subscription.user_id}> can unsubscribe from this digest.`);
+      return;
+    }
+    await deleteSubscription(workspace.id, subscription.id);
+    logger.info({ evt: 'subscription_removed', workspaceId: workspace.id, subscriptionId: subscription.id });
+    await reply(`Unsubscribed from _${escapeMrkdwn(subscription.query)}_.`);
+  } catch (err) {
+    boltLogger?.error(err);
+  }
+});
+
+// Scheduled digests: run each due saved search over files uploaded since the last digest
+// and post the oldest page of new matches. Returns { posted, boundary }, where boundary is
+// the newest match handled (posted, or left out of a channel digest), or null when the
+// digest couldn't be delivered (its matches then roll into the next one).
+async function runSubscription(subscription) {
+  const workspace = await getWorkspaceById(subscription.workspace_id);
+  if (!workspace || workspace.uninstalled_at) return null;
+  const client = await slackClientFor(workspace.team_id);
+  const viewer = createSlackViewer({ client, userId: subscription.user_id });
+  const matches = await searchFiles(subscription.query, workspace.id, DIGEST_SEARCH_LIMIT, { viewer, parsed: subscriptionSearch(subscription), allMatches: true });
+  const { files: page, boundary, more } = digestPage(matches);
+  let files = page;
+  let hiddenCount = 0;
+  if (subscription.channel_id) {
+    files = await filterViewableByAudience(page, createChannelAudience({ client, channelId: subscription.channel_id }));
+    hiddenCount = page.length - files.length;
+  }
+  if (!files.length) return { posted: 0, boundary };
+  files.reverse();
+  const message = {
+    text: `New designs matching ${escapeMrkdwn(subscription.query)}`,
+    blocks: subscriptionDigestBlocks({ subscription, files: await withDownloadUrls(files, workspace), hiddenCount, more })
+  };
+  if (!subscription.channel_id) {
+    await client.chat.postMessage({ channel: subscription.user_id, ...message });
+  } else if (!(await postToChannel(client, subscription.channel_id, message))) {
+    await client.chat.postMessage({
+      channel: subscription.user_id,
+      text: `I couldn't post your digest for _${escapeMrkdwn(subscription.query)}_ in <#${subscription.channel_id}>. Invite me there, or change it with \`/design-subscriptions\`.`
+    });
+    return null;
+  }
+  return { posted: files.length, boundary };
+}
+
+const SUBSCRIPTION_SWEEP_MS = Number(process.env.SUBSCRIPTION_SWEEP_MS || 15 * 60 * 1000);
+let sweepingSubscriptions = false;
+
+async function sweepSubscriptions() {
+  // a slow sweep mustn't overlap the next one and post the same digest twice
+  if (sweepingSubscriptions) return;
+  sweepingSubscriptions = true;
+  try {
+    await runDueSubscriptions();
+  } finally {
+    sweepingSubscriptions = false;
+  }
+}
+
+async function runDueSubscriptions() {
+  const now = new Date();
+  let due = [];
+  try {
+    due = await listDueSubscriptions({ now });
+  } catch (err) {
+    logger.error({ evt: 'subscription_error', err: String(err?.message || err) });
+  }
+  for (const subscription of due) {
+    const patch = { next_run_at: nextDigestAt(subscription.frequency, now).toISOString() };
+    try {
+      const run = await runSubscription(subscription);
+      // the next digest starts after the newest match this one handled, so nothing
+      // uploaded (or still being saved) while it ran is skipped or sent twice
+      if (run?.boundary) patch.last_run_at = run.boundary;
+      logger.info({ evt: 'subscription_run', workspaceId: subscription.workspace_id, subscriptionId: subscription.id, posted: run ? run.posted : null });
+    } catch (err) {
+      logger.error({ evt: 'subscription_error', workspaceId: subscription.workspace_id, subscriptionId: subscription.id, err: String(err?.message || err) });
+    }
+    // a failed run waits for the next slot rather than retrying every sweep
+    await updateSubscription(subscription.workspace_id, subscription.id, patch).catch(() => {});
+  }
+}
+
+// Uploads and their post-processing run here, one job at a time
+const jobWorker = startJobWorker({
+  logger,
+  handlers: {
+    upload_design: { run: runUploadJob, onError: uploadJobFailed },
+    export_workspace: { run: runExportJob, onError: exportJobFailed }
+  }
+});
+
+setTimeout(sweepRetention, 60 * 1000).unref();
+setInterval(sweepRetention, RETENTION_SWEEP_MS).unref();
+setTimeout(sweepUninstalled, 90 * 1000).unref();
+setInterval(sweepUninstalled, RETENTION_SWEEP_MS).unref();
+setTimeout(sweepSubscriptions, 30 * 1000).unref();
+setInterval(sweepSubscriptions, SUBSCRIPTION_SWEEP_MS).unref();
+
 const port = process.env.PORT || 3000;
 app.start(port).then(() => logger.info(`Slack app listening on :${port}`));
@@ -0,0 +1,88 @@
+import { getWorkspaceSettingsRow, saveWorkspaceSettingsRow } from './supabase.js';
+
+// Per-workspace settings, edited by admins with /design-admin or from the App Home.
+// Fields a workspace hasn't set fall back to these process-wide defaults.
+export const DEFAULT_SETTINGS = {
+  assistant_name: process.env.ASSISTANT_NAME || 'Popeye',
+  default_privacy: 'company',
+  ai_rerank_enabled: true,
+  results_page_size: Number(process.env.RESULTS_PAGE_SIZE || 3),
+  // retention, in days; null keeps files forever
+  archive_after_days: null,
+  delete_archived_after_days: null
+};
+
+// Visibility new uploads start with; 'people' means only the uploader
+export const DEFAULT_PRIVACY_OPTIONS = [
+  { value: 'company', label: 'Company (everyone in this workspace)' },
+  { value: 'public', label: 'Public (anyone with the link)' },
+  { value: 'people', label: 'Only the uploader' }
+];
+
+const ASSISTANT_NAME_MAX = 40;
+const PAGE_SIZE_MAX = 10;
+// signed download links: one minute to a week
+const LINK_TTL_MINUTES_MAX = 7 * 24 * 60;
+const SETTINGS_CACHE_TTL_MS = Number(process.env.SETTINGS_CACHE_TTL_MS || 60 * 1000);
+const cache = new Map(); // workspaceId -> { settings, expires }
+
+function withDefaults(row) {
+  const settings = { ...DEFAULT_SETTINGS };
+  for (const key of Object.keys(DEFAULT_SETTINGS)) {
+    if (row?.[key] !== null && row?.[key] !== undefined) settings[key] = row[key];
+  }
+  return settings;
+}
+
+// A workspace's settings with defaults filled in. Cached per process for
+// SETTINGS_CACHE_TTL_MS, so other processes see an admin's change within that time.
+export async function workspaceSettings(workspaceId) {
+  const hit = cache.get(workspaceId);
+  if (hit && hit.expires > Date.now()) return hit.settings;
+  const settings = withDefaults(await getWorkspaceSettingsRow(workspaceId));
+  cache.set(workspaceId, { settings, expires: Date.now() + SETTINGS_CACHE_TTL_MS });
+  return settings;
+}
+
+// Field errors for a settings change, keyed like the settings modal's blocks
+export function settingsErrors(patch) {
+  const errors = {};
+  const positiveInt = v => Number.isInteger(v) && v > 0;
+  if ('assistant_name' in patch) {
+    const name = String(patch.assistant_name || '').trim();
+    if (!name || name.length > ASSISTANT_NAME_MAX) errors.assistant_name = `1 to ${ASSISTANT_NAME_MAX} characters`;
+  }
+  if ('default_privacy' in patch && !DEFAULT_PRIVACY_OPTIONS.some(o => o.value === patch.default_privacy)) {
+    errors.default_privacy = 'Pick one of the options';
+  }
+  if ('results_page_size' in patch && !(positiveInt(patch.results_page_size) && patch.results_page_size <= PAGE_SIZE_MAX)) {
+    errors.results_page_size = `A whole number from 1 to ${PAGE_SIZE_MAX}`;
+  }
+  for (const key of ['archive_after_days', 'delete_archived_after_days']) {
+    if (patch[key] !== null && patch[key] !== undefined && !positiveInt(patch[key])) errors[key] = 'A whole number of days, or empty';
+  }
+  const ttl = patch.signed_url_ttl_minutes;
+  if (ttl !== null && ttl !== undefined && !(positiveInt(ttl) && ttl <= LINK_TTL_MINUTES_MAX)) {
+    errors.signed_url_ttl_minutes = `A whole number of minutes up to ${LINK_TTL_MINUTES_MAX}, or empty`;
+  }
+  return errors;
+}
+
+// Save a (validated) change and return the new settings
+export async function updateWorkspaceSettings(workspaceId, patch, userId) {
+  const errors = settingsErrors(patch);
+  if (Object.keys(errors).length) throw new Error(`Invalid settings: ${Object.keys(errors).join(', ')}`);
+  const current = (await getWorkspaceSettingsRow(workspaceId)) || {};
+  const row = {};
+  for (const key of Object.keys(DEFAULT_SETTINGS)) row[key] = key in patch ? patch[key] : (current[key] ?? null);
+  await saveWorkspaceSettingsRow(workspaceId, row, userId);
+  cache.delete(workspaceId);
+  return workspaceSettings(workspaceId);
+}
+
+// Access columns a new upload starts with under the workspace's default privacy
+export function defaultAccess(settings, userId) {
+  return settings.default_privacy === 'people'
+    ? { privacy: 'people', allowed_user_ids: [userId].filter(Boolean) }
+    : { privacy: settings.default_privacy };
+}
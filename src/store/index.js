@@ -0,0 +1,25 @@
+import { createSupabaseStore } from './supabase.js';
+import { createLocalStore } from './local.js';
+
+// Pick the metadata/storage backend once per process.
+// STORE_BACKEND=supabase|local; defaults to supabase when SUPABASE_URL is configured.
+function createStore() {
+  const backend = (process.env.STORE_BACKEND || (process.env.SUPABASE_URL ? 'supabase' : 'local')).toLowerCase();
+  if (backend === 'supabase') {
+    return createSupabaseStore({
+      url: process.env.SUPABASE_URL,
+      serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY
+    });
+  }
+  if (backend === 'local') {
+    return createLocalStore({
+      dir: process.env.LOCAL_DATA_DIR || '.data',
+      publicBaseUrl: process.env.LOCAL_PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`,
+      signingSecret: process.env.LOCAL_STORAGE_SECRET || process.env.SLACK_SIGNING_SECRET
+    });
+  }
+  throw new Error(`Unknown STORE_BACKEND "${backend}" (expected "supabase" or "local")`);
+}
+
+export const store = createStore();
+export const { db, storage } = store;
@@ -0,0 +1,230 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+import { mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+// In-process store: tables kept in memory and, unless dir is ':memory:',
+// persisted as one JSON file per table with storage objects as plain files.
+// Signed URLs point at `${publicBaseUrl}/storage/<bucket>` and are checked with
+// verifySignedUrl() by the route server.js mounts for this backend.
+export function createLocalStore({ dir = '.data', publicBaseUrl = 'http://localhost:3000', signingSecret } = {}) {
+  const inMemory = dir === ':memory:';
+  const root = inMemory ? null : resolve(dir);
+  const tables = new Map();
+  const objects = new Map();
+  let writes = Promise.resolve();
+
+  async function load(table) {
+    if (tables.has(table)) return tables.get(table);
+    let rows = [];
+    if (!inMemory) {
+      try {
+        rows = JSON.parse(await readFile(join(root, 'db', `${table}.json`), 'utf8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+    // another caller may have loaded it while we were reading
+    if (!tables.has(table)) tables.set(table, rows);
+    return tables.get(table);
+  }
+
+  function persist(table) {
+    if (inMemory) return Promise.resolve();
+    const file = join(root, 'db', `${table}.json`);
+    writes = writes.then(async () => {
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(file, JSON.stringify(tables.get(table), null, 2));
+    });
+    return writes;
+  }
+
+  function matches(row, { eq, neq, in: inList, gte, lte, ilike } = {}) {
+    for (const [col, val] of Object.entries(eq || {})) {
+      if (val === null ? row[col] != null : row[col] !== val) return false;
+    }
+    // SQL semantics: NULL is neither equal nor unequal to anything
+    for (const [col, val] of Object.entries(neq || {})) {
+      if (row[col] == null || row[col] === val) return false;
+    }
+    for (const [col, vals] of Object.entries(inList || {})) {
+      if (!vals.includes(row[col])) return false;
+    }
+    for (const [col, val] of Object.entries(gte || {})) {
+      if (row[col] == null || row[col] < val) return false;
+    }
+    for (const [col, val] of Object.entries(lte || {})) {
+      if (row[col] == null || row[col] > val) return false;
+    }
+    // each entry is an OR across its columns x values; entries are ANDed together
+    for (const { columns, value, values } of [].concat(ilike || [])) {
+      const needles = (values || [value]).filter(Boolean).map(v => String(v).toLowerCase());
+      if (!needles.length) continue;
+      const hit = columns.some(c => row[c] != null && needles.some(n => String(row[c]).toLowerCase().includes(n)));
+      if (!hit) return false;
+    }
+    return true;
+  }
+
+  const clone = (row) => structuredClone(row);
+
+  const db = {
+    async select(table, opts = {}) {
+      let rows = (await load(table)).filter(r => matches(r, opts));
+      if (opts.order) {
+        const { column, ascending } = opts.order;
+        rows = rows.slice().sort((a, b) => {
+          // nulls sort last either way, like Postgres' default for DESC
+          if (a[column] == null) return b[column] == null ? 0 : 1;
+          if (b[column] == null) return -1;
+          const cmp = a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0;
+          return ascending ? cmp : -cmp;
+        });
+      }
+      if (opts.offset) rows = rows.slice(opts.offset);
+      if (opts.limit) rows = rows.slice(0, opts.limit);
+      return rows.map(clone);
+    },
+
+    async selectOne(table, opts = {}) {
+      const rows = await db.select(table, { ...opts, limit: 1 });
+      return rows[0] || null;
+    },
+
+    async insert(table, row) {
+      const rows = await load(table);
+      const stored = { id: randomUUID(), created_at: new Date().toISOString(), ...clone(row) };
+      rows.push(stored);
+      await persist(table);
+      return clone(stored);
+    },
+
+    async upsert(table, row, { onConflict }) {
+      const rows = await load(table);
+      // onConflict may list several columns ("a,b"), like PostgREST
+      const keys = onConflict.split(',').map(k => k.trim());
+      const existing = rows.find(r => keys.every(k => r[k] === row[k]));
+      if (!existing) return db.insert(table, row);
+      Object.assign(existing, clone(row));
+      await persist(table);
+      return clone(existing);
+    },
+
+    // Upsert that adds the `increment` columns to the existing row's instead of replacing
+    // them. Nothing is awaited between the lookup and the write, so it's atomic here.
+    async increment(table, row, { onConflict, increment }) {
+      const rows = await load(table);
+      const keys = onConflict.split(',').map(k => k.trim());
+      let stored = rows.find(r => keys.every(k => r[k] === row[k]));
+      if (stored) {
+        for (const [col, val] of Object.entries(row)) {
+          stored[col] = increment.includes(col) ? Number(stored[col] || 0) + Number(val || 0) : clone(val);
+        }
+      } else {
+        stored = { id: randomUUID(), created_at: new Date().toISOString(), ...clone(row) };
+        rows.push(stored);
+      }
+      await persist(table);
+      return clone(stored);
+    },
+
+    // Append values to a JSON array column of the rows matching `eq`. Nothing is awaited
+    // between the lookup and the write, so concurrent appends all land.
+    async append(table, eq, column, values) {
+      const rows = (await load(table)).filter(r => matches(r, { eq }));
+      for (const r of rows) r[column] = [...(r[column] || []), ...clone(values)];
+      if (rows.length) await persist(table);
+      return rows.map(clone);
+    },
+
+    async update(table, filters, patch) {
+      const rows = (await load(table)).filter(r => matches(r, filters));
+      for (const r of rows) Object.assign(r, clone(patch));
+      if (rows.length) await persist(table);
+      return rows.map(clone);
+    },
+
+    async remove(table, filters) {
+      const rows = await load(table);
+      const removed = rows.filter(r => matches(r, filters));
+      if (removed.length) {
+        tables.set(table, rows.filter(r => !removed.includes(r)));
+        await persist(table);
+      }
+      return removed;
+    }
+  };
+
+  const objectPath = (bucket, path) => join(root, 'storage', bucket, path);
+  // per-process fallback: links stop working on restart, which is fine for dev/CI
+  const secret = signingSecret || randomUUID();
+  const sign = (bucket, path, expires) => createHmac('sha256', secret).update(`${bucket}\n${path}\n${expires}`).digest('hex');
+
+  const storage = {
+    async upload(bucket, path, buffer, { upsert = false } = {}) {
+      const key = `${bucket}/${path}`;
+      if (inMemory) {
+        if (objects.has(key) && !upsert) throw new Error(`Object already exists: ${key}`);
+        objects.set(key, Buffer.from(buffer));
+        return;
+      }
+      const file = objectPath(bucket, path);
+      await mkdir(dirname(file), { recursive: true });
+      await writeFile(file, buffer, { flag: upsert ? 'w' : 'wx' });
+    },
+
+    async download(bucket, path) {
+      if (inMemory) {
+        const buf = objects.get(`${bucket}/${path}`);
+        if (!buf) throw new Error(`Object not found: ${bucket}/${path}`);
+        return Buffer.from(buf);
+      }
+      return readFile(objectPath(bucket, path));
+    },
+
+    async remove(bucket, paths) {
+      for (const path of paths) {
+        if (inMemory) objects.delete(`${bucket}/${path}`);
+        else await rm(objectPath(bucket, path), { force: true });
+      }
+    },
+
+    // Paths of the objects directly inside a folder
+    async list(bucket, folder) {
+      const prefix = `${String(folder).replace(/\/$/, '')}/`;
+      if (inMemory) {
+        return [...objects.keys()]
+          .filter(k => k.startsWith(`${bucket}/${prefix}`))
+          .map(k => k.slice(bucket.length + 1))
+          .filter(p => !p.slice(prefix.length).includes('/'));
+      }
+      try {
+        const entries = await readdir(objectPath(bucket, prefix), { withFileTypes: true });
+        return entries.filter(e => e.isFile()).map(e => `${prefix}${e.name}`);
+      } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+      }
+    },
+
+    publicUrl(bucket, path) {
+      return inMemory ? `memory://${bucket}/${path}` : pathToFileURL(objectPath(bucket, path)).href;
+    },
+
+    async signedUrl(bucket, path, expiresIn) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ path, expires: String(expires), signature: sign(bucket, path, expires) });
+      return `${publicBaseUrl.replace(/\/$/, '')}/storage/${encodeURIComponent(bucket)}?${params}`;
+    },
+
+    verifySignedUrl(bucket, { path, expires, signature }) {
+      if (!path || !expires || !signature) return false;
+      if (Number(expires) < Date.now() / 1000) return false;
+      const expected = Buffer.from(sign(bucket, path, Number(expires)));
+      const given = Buffer.from(String(signature));
+      return expected.length === given.length && timingSafeEqual(expected, given);
+    }
+  };
+
+  return { name: 'local', db, storage };
+}
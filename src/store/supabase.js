@@ -0,0 +1,134 @@
+import { createClient } from '@supabase/supabase-js';
+
+// Supabase-backed store: Postgres tables for metadata, the storage API for objects
+export function createSupabaseStore({ url, serviceRoleKey }) {
+  const supabase = createClient(url, serviceRoleKey, { auth: { persistSession: false } });
+
+  function applyFilters(query, { eq, neq, in: inList, gte, lte, ilike } = {}) {
+    for (const [col, val] of Object.entries(eq || {})) {
+      query = val === null ? query.is(col, null) : query.eq(col, val);
+    }
+    for (const [col, val] of Object.entries(neq || {})) query = query.neq(col, val);
+    for (const [col, vals] of Object.entries(inList || {})) query = query.in(col, vals);
+    for (const [col, val] of Object.entries(gte || {})) query = query.gte(col, val);
+    for (const [col, val] of Object.entries(lte || {})) query = query.lte(col, val);
+    // each entry is an OR across its columns x values; entries are ANDed together
+    for (const { columns, value, values } of [].concat(ilike || [])) {
+      const needles = (values || [value]).filter(Boolean);
+      if (!needles.length) continue;
+      query = query.or(columns.flatMap(c => needles.map(v => `${c}.ilike.%${v}%`)).join(','));
+    }
+    return query;
+  }
+
+  const db = {
+    async select(table, opts = {}) {
+      let query = applyFilters(supabase.from(table).select('*'), opts);
+      if (opts.order) query = query.order(opts.order.column, { ascending: Boolean(opts.order.ascending) });
+      if (opts.offset) query = query.range(opts.offset, opts.offset + (opts.limit || 1000) - 1);
+      else if (opts.limit) query = query.limit(opts.limit);
+      const { data, error } = await query;
+      if (error) throw error;
+      return data ?? [];
+    },
+
+    async selectOne(table, opts = {}) {
+      const rows = await db.select(table, { ...opts, limit: 1 });
+      return rows[0] || null;
+    },
+
+    async insert(table, row) {
+      const { data, error } = await supabase.from(table).insert(row).select().single();
+      if (error) throw error;
+      return data;
+    },
+
+    async upsert(table, row, { onConflict }) {
+      const { data, error } = await supabase.from(table).upsert([row], { onConflict }).select().single();
+      if (error) throw error;
+      return data;
+    },
+
+    // Upsert that adds the `increment` columns to the existing row's, in one statement
+    // (the upsert_increment function from ai_usage_migration.sql)
+    async increment(table, row, { onConflict, increment }) {
+      const { data, error } = await supabase.rpc('upsert_increment', {
+        p_table: table,
+        p_row: row,
+        p_conflict: onConflict.split(',').map(k => k.trim()),
+        p_increment: increment
+      });
+      if (error) throw error;
+      return data;
+    },
+
+    // Append values to a JSON array column of the rows matching `eq`, in one statement
+    // (the append_to_array function from search_opens_migration.sql)
+    async append(table, eq, column, values) {
+      const { data, error } = await supabase.rpc('append_to_array', {
+        p_table: table,
+        p_eq: eq,
+        p_column: column,
+        p_values: values
+      });
+      if (error) throw error;
+      return data ?? [];
+    },
+
+    async update(table, filters, patch) {
+      const { data, error } = await applyFilters(supabase.from(table).update(patch), filters).select();
+      if (error) throw error;
+      return data ?? [];
+    },
+
+    async remove(table, filters) {
+      const { data, error } = await applyFilters(supabase.from(table).delete(), filters).select();
+      if (error) throw error;
+      return data ?? [];
+    }
+  };
+
+  const storage = {
+    async upload(bucket, path, buffer, { contentType = 'application/octet-stream', upsert = false } = {}) {
+      const { error } = await supabase.storage.from(bucket).upload(path, buffer, { contentType, upsert });
+      if (error) throw error;
+    },
+
+    async download(bucket, path) {
+      const { data, error } = await supabase.storage.from(bucket).download(path);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(bucket, paths) {
+      if (!paths.length) return;
+      const { error } = await supabase.storage.from(bucket).remove(paths);
+      if (error) throw error;
+    },
+
+    // Paths of the objects directly inside a folder
+    async list(bucket, folder) {
+      const prefix = String(folder).replace(/\/$/, '');
+      const paths = [];
+      for (let offset = 0; ; offset += 1000) {
+        const { data, error } = await supabase.storage.from(bucket).list(prefix, { limit: 1000, offset });
+        if (error) throw error;
+        // entries without an id are sub-folders
+        paths.push(...(data || []).filter(e => e.id).map(e => `${prefix}/${e.name}`));
+        if (!data || data.length < 1000) return paths;
+      }
+    },
+
+    publicUrl(bucket, path) {
+      return supabase.storage.from(bucket).getPublicUrl(path).data.publicUrl;
+    },
+
+    async signedUrl(bucket, path, expiresIn) {
+      const { data, error } = await supabase.storage.from(bucket).createSignedUrl(path, expiresIn);
+      if (error) throw error;
+      return data.signedUrl;
+    }
+  };
+
+  return { name: 'supabase', db, storage };
+}
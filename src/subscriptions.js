@@ -0,0 +1,53 @@
+import { parseQuery } from './query.js';
+
+// Saved-search subscriptions: when their digests are due and what "new matches" means.
+// Rows live in search_subscriptions (see supabase.js); server.js runs and posts them.
+
+export const SUBSCRIPTION_FREQUENCIES = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly (Mondays)' }
+];
+// digests go out at this hour (UTC); weekly ones on Mondays
+export const DIGEST_HOUR_UTC = Number(process.env.DIGEST_HOUR_UTC ?? 9);
+export const SUBSCRIPTIONS_PER_USER_MAX = 20;
+// a digest lists at most this many new matches; the rest wait for the next one
+export const DIGEST_RESULT_LIMIT = 25;
+// a run fetches one match more than a digest lists, to tell whether more are waiting
+export const DIGEST_SEARCH_LIMIT = DIGEST_RESULT_LIMIT + 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The first digest time strictly after `after`
+export function nextDigestAt(frequency, after = new Date()) {
+  const at = new Date(after);
+  at.setUTCHours(DIGEST_HOUR_UTC, 0, 0, 0);
+  if (at <= after) at.setTime(at.getTime() + DAY_MS);
+  if (frequency === 'weekly') {
+    while (at.getUTCDay() !== 1) at.setTime(at.getTime() + DAY_MS);
+  }
+  return at;
+}
+
+// A searchFiles() `parsed` for the subscription's matches uploaded after the newest one
+// the last digest handled (last_run_at), or since it was created, oldest first so each
+// digest continues where the last one stopped. Date bounds in the saved search give way
+// to that window. Upload times have millisecond precision, so it starts a millisecond
+// after last_run_at.
+export function subscriptionSearch(subscription) {
+  const { text } = parseQuery(subscription.query);
+  const { since, until, ...filters } = subscription.filters || {};
+  const after = subscription.last_run_at ? new Date(Date.parse(subscription.last_run_at) + 1).toISOString() : subscription.created_at;
+  return {
+    text,
+    filters: { ...filters, since: after },
+    sort: 'oldest'
+  };
+}
+
+// The matches one digest handles, from a subscriptionSearch() run of DIGEST_SEARCH_LIMIT:
+// the first DIGEST_RESULT_LIMIT. `boundary` is the newest of them, to be saved as
+// last_run_at; `more` is true when matches are left for the next digest.
+export function digestPage(matches) {
+  const files = matches.slice(0, DIGEST_RESULT_LIMIT);
+  return { files, boundary: files.at(-1)?.uploaded_at || null, more: matches.length > files.length };
+}
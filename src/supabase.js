@@ -1,40 +1,41 @@
-import { createClient } from '@supabase/supabase-js';
+import { createHash } from 'node:crypto';
+import { db, storage } from './store/index.js';
+import { cosineSimilarity, currentEmbeddingModel, embedText, embeddingsUseProvider } from './ai.js';
+import { ALLOW_LIST_COLUMNS, canViewFile } from './access.js';
+import { applyFilters, expandFileTypes, hasFilters, parseQuery } from './query.js';
+import { renderThumbnail, thumbnailPathFor } from './thumbnails.js';
+import { createZipWriter, openZip } from './zip.js';
 
-export const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-  { auth: { persistSession: false } }
-);
+// Data access for workspaces, files and installations. The backend (Supabase or the
+// in-process local store) is chosen in ./store/index.js via STORE_BACKEND.
 
 // very small English stopword list to improve matching for natural phrases
 const STOPWORDS = new Set([
-  'a','an','the','and','or','but','if','then','else','when','what','which','who','whom','this','that','those','these','is','are','was','were','be','been','being','am','do','does','did','doing','have','has','had','having','can','could','should','would','may','might','must','will','shall','i','you','he','she','it','we','they','me','him','her','us','them','my','your','our','their','to','from','in','on','at','for','of','by','with','as','about','into','over','after','before','up','down','out','off','again','further','then','once','here','there','why','how','hey','please','share','send','latest','new','newest'
+  'a','an','the','and','or','but','if','then','else','when','what','which','who','whom','this','that','those','these','is','are','was','were','be','been','being','am','do','does','did','doing','have','has','had','having','can','could','should','would','may','might','must','will','shall','i','you','he','she','it','we','they','me','him','her','us','them','my','your','our','their','to','from','in','on','at','for','of','by','with','as','about','into','over','after','before','up','down','out','off','again','further','then','once','here','there','why','how','hey','please','share','send','latest','new','newest',
+  'file','find','show','get','give','need','want','any','all','some','one','just','only'
 ]);
 
-function normalizeAndTokenize(queryText) {
+function normalizeAndTokenize(queryText, { fallbackToAll = true } = {}) {
   const raw = String(queryText || '').toLowerCase();
   const all = raw.split(/[^a-z0-9]+/).filter(Boolean);
   const tokens = all
     .map(t => (t.endsWith('s') ? t.slice(0, -1) : t)) // simple plural -> singular
     .filter(t => t.length >= 3 && !STOPWORDS.has(t));
-  return tokens.length ? tokens : all; // fallback to all tokens if everything filtered
+  if (tokens.length || !fallbackToAll) return tokens;
+  return all; // fallback to all tokens if everything filtered
 }
 
 export async function getOrCreateWorkspace(teamId, teamName) {
-  const { data: existing, error: fetchError } = await supabase
-    .from('workspaces')
-    .select('*')
-    .eq('team_id', teamId)
-    .single();
-  if (existing && !fetchError) return existing;
-
-  const { data, error } = await supabase
-    .from('workspaces')
-    .insert({ team_id: teamId, team_name: teamName, installed_at: new Date().toISOString() })
-    .select()
-    .single();
-  if (error) throw error;
-  return data;
+  const existing = await db.selectOne('workspaces', { eq: { team_id: teamId } });
+  if (existing) return existing;
+
+  return db.insert('workspaces', { team_id: teamId, team_name: teamName, installed_at: new Date().toISOString() });
+}
+
+// For background work that only has a workspace id (e.g. scheduled digests)
+export async function getWorkspaceById(workspaceId) {
+  validateWorkspaceScope(workspaceId, 'getWorkspaceById');
+  return db.selectOne('workspaces', { eq: { id: workspaceId } });
 }
 
 /**
@@ -46,77 +47,235 @@ function validateWorkspaceScope(workspaceId, operation) {
   }
 }
 
-export async function searchFiles(queryText, workspaceId, limit = 10) {
+// Score a row locally across name, description, project, tags (array or text), linked
+// document title/owner and extracted content
+function lexicalScore(r, tokens) {
+  const name = String(r.file_name || r.name || '').toLowerCase();
+  const project = String(r.project || '').toLowerCase();
+  const tagsStr = Array.isArray(r.tags)
+    ? r.tags.map(x => String(x)).join(' ').toLowerCase()
+    : String(r.tags || r.tags_text || '').toLowerCase();
+  const desc = String(r.description || '').toLowerCase();
+  const content = String(r.content_text || '').toLowerCase();
+  const link = `${r.link_title || ''} ${r.link_owner || ''}`.toLowerCase();
+  let score = 0;
+  for (const t of tokens) {
+    if (!t) continue;
+    if (name.includes(t)) score += 8;
+    if (name.startsWith(t)) score += 4;
+    if (project.includes(t)) score += 3;
+    if (tagsStr.includes(t)) score += 3;
+    if (link.includes(t)) score += 3;
+    if (desc.includes(t)) score += 2;
+    if (content.includes(t)) score += 1;
+  }
+  return score;
+}
+
+// Only the head of extracted content is embedded; metadata carries most of the signal
+const EMBEDDING_CONTENT_CHARS = 2000;
+
+// Text that represents a file for embedding purposes
+export function fileEmbeddingText(r) {
+  const tags = Array.isArray(r.tags) ? r.tags.join(', ') : (r.tags || r.tags_text || '');
+  return [r.file_name || r.name, r.project, tags, r.description, r.link_title, String(r.content_text || '').slice(0, EMBEDDING_CONTENT_CHARS)]
+    .map(x => String(x || '').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+// Blend weight for vector similarity vs. normalised lexical score, and the minimum
+// similarity for a row with no lexical match to be returned at all
+const SEMANTIC_WEIGHT = Number(process.env.SEMANTIC_WEIGHT ?? 0.5);
+const SEMANTIC_MIN_SIMILARITY = Number(process.env.SEMANTIC_MIN_SIMILARITY ?? 0.3);
+// Semantic candidates come from every embedded row in scope (up to SEMANTIC_SCAN_MAX),
+// read a page at a time; the SEMANTIC_POOL_SIZE most similar are kept
+const SEMANTIC_SCAN_MAX = Number(process.env.SEMANTIC_SCAN_MAX || 20000);
+const SEMANTIC_POOL_SIZE = 200;
+const SEMANTIC_PAGE_SIZE = 500;
+
+async function embedQuery(workspaceId, queryText) {
+  try {
+    return await embedText(queryText, await embeddingOptionsFor(workspaceId));
+  } catch {
+    // Embedding provider unavailable or over budget: degrade to lexical-only ranking
+    return null;
+  }
+}
+
+// Structured filters from query.js as store filters, so they narrow candidates in the DB.
+// Text-ish filters are approximate here; applyFilters() makes them exact afterwards.
+function storeFiltersFor(workspaceId, filters) {
+  const opts = { eq: { workspace_id: workspaceId }, ilike: [] }; // CRITICAL: workspace isolation
+  if (filters.since) opts.gte = { uploaded_at: filters.since };
+  if (filters.until) opts.lte = { uploaded_at: filters.until };
+  if (filters.uploaderIds?.length) opts.in = { user_id: filters.uploaderIds };
+  for (const tag of filters.tags || []) opts.ilike.push({ columns: ['tags_text'], value: tag });
+  if (filters.projects?.length) opts.ilike.push({ columns: ['project'], values: filters.projects });
+  if (filters.fileTypes?.length) {
+    opts.ilike.push({ columns: ['storage_path', 'file_name', 'file_url', 'mime_type'], values: expandFileTypes(filters.fileTypes) });
+  }
+  return opts;
+}
+
+// The rows most similar to the query embedding, however old, so a strong match isn't
+// missed for being outside the newest few hundred files
+async function semanticCandidates(base, queryEmbedding) {
+  let best = [];
+  for (let offset = 0; offset < SEMANTIC_SCAN_MAX; offset += SEMANTIC_PAGE_SIZE) {
+    const page = await db.select('files', {
+      ...base,
+      eq: { ...base.eq, embedding_model: queryEmbedding.model },
+      order: { column: 'id', ascending: true },
+      offset,
+      limit: SEMANTIC_PAGE_SIZE
+    });
+    for (const row of page) {
+      const similarity = cosineSimilarity(queryEmbedding.vector, row.embedding);
+      if (similarity >= SEMANTIC_MIN_SIMILARITY) best.push({ row, similarity });
+    }
+    if (best.length > SEMANTIC_POOL_SIZE) best = best.sort((a, b) => b.similarity - a.similarity).slice(0, SEMANTIC_POOL_SIZE);
+    if (page.length < SEMANTIC_PAGE_SIZE) break;
+  }
+  return best.map(x => x.row);
+}
+
+// With an explicit date sort, only candidates at least this close to the best
+// relevance score are kept, so "latest X" doesn't surface a newer but weaker match
+const DATE_SORT_RELEVANCE_FLOOR = 0.5;
+
+// Options:
+// - parsed: a parseQuery() result to use instead of parsing queryText (e.g. after the
+//   caller resolved uploader names to Slack ids); unresolved names are searched as text
+// - includeAllVersions: also return superseded revisions (default: latest version only)
+// - includeArchived: also return archived files (as does "include archived" in the query)
+// - viewer: who is searching (see access.js). Restricted files are only returned to
+//   viewers allowed to see them; without a viewer only open files are returned.
+// - allMatches: with a date sort, keep matches however weak (see DATE_SORT_RELEVANCE_FLOOR);
+//   digests page through every match of a saved search
+export async function searchFiles(queryText, workspaceId, limit = 10, { parsed = null, includeAllVersions = false, includeArchived = false, viewer = null, allMatches = false } = {}) {
   // CRITICAL: Always validate workspace scope for privacy
   validateWorkspaceScope(workspaceId, 'searchFiles');
 
-  const tokens = normalizeAndTokenize(queryText);
+  const query = parsed || parseQuery(queryText);
+  const filters = { ...query.filters };
+  if (includeArchived && !filters.archived) filters.archived = 'include';
+  let text = query.text;
+  if (filters.uploaderNames?.length) {
+    text = `${text} ${filters.uploaderNames.join(' ')}`.trim();
+    delete filters.uploaderNames;
+  }
+  // "files from @maria" is a filter-only query; don't fall back to searching for "files"
+  const tokens = text ? normalizeAndTokenize(text, { fallbackToAll: !hasFilters(filters) }) : [];
   const primary = tokens.slice().sort((a, b) => b.length - a.length)[0] || '';
+  const queryEmbedding = tokens.length ? await embedQuery(workspaceId, text) : null;
+  const base = storeFiltersFor(workspaceId, filters);
 
-  // 1) Prefer a DB-side filter on safe text columns using the strongest token
-  // ALWAYS filtered by workspace_id - no cross-workspace queries
   let rows = [];
-  if (primary) {
-    const q = `%${primary}%`;
-    const filtered = await supabase
-      .from('files')
-      .select('*')
-      .eq('workspace_id', workspaceId) // CRITICAL: workspace isolation
-      .or(`file_name.ilike.${q},name.ilike.${q},description.ilike.${q},project.ilike.${q},tags_text.ilike.${q}`)
-      .order('uploaded_at', { ascending: false })
-      .limit(200);
-    if (filtered.error) throw filtered.error;
-    rows = filtered.data ?? [];
-  }
-
-  // 2) If nothing found (or no primary token), fetch recent workspace rows as fallback candidates
-  // STILL filtered by workspace_id - no legacy fallback
-  if (!rows.length) {
-    const scoped = await supabase
-      .from('files')
-      .select('*')
-      .eq('workspace_id', workspaceId) // CRITICAL: workspace isolation
-      .order('uploaded_at', { ascending: false })
-      .limit(200);
-    if (scoped.error) throw scoped.error;
-    rows = scoped.data ?? [];
-  }
-
-  // Score candidates locally across name, description, project, and tags (array or text)
-  const scoreList = (arr) => arr.map(r => {
-    const name = String(r.file_name || r.name || '').toLowerCase();
-    const project = String(r.project || '').toLowerCase();
-    const tagsStr = Array.isArray(r.tags)
-      ? r.tags.map(x => String(x)).join(' ').toLowerCase()
-      : String(r.tags || r.tags_text || '').toLowerCase();
-    const desc = String(r.description || '').toLowerCase();
-    let score = 0;
-    for (const t of tokens) {
-      if (!t) continue;
-      if (name.includes(t)) score += 8;
-      if (name.startsWith(t)) score += 4;
-      if (project.includes(t)) score += 3;
-      if (tagsStr.includes(t)) score += 3;
-      if (desc.includes(t)) score += 2;
-    }
-    return { row: r, score };
-  });
-
-  const scored = scoreList(rows).filter(x => x.score > 0);
+  if (filters.collections?.length) {
+    // 0) Scoped to collections: their files are the candidates, filtered below.
+    // A name that matches no collection matches no files.
+    const matches = await Promise.all(filters.collections.map(name => findCollections(workspaceId, name)));
+    if (matches.some(m => !m.length)) return [];
+    rows = await filesInCollections(workspaceId, matches.flat().map(c => c.id));
+  } else {
+    // 1) Prefer a DB-side filter on safe text columns using the strongest token
+    // ALWAYS filtered by workspace_id - no cross-workspace queries
+    if (primary) {
+      rows = await db.select('files', {
+        ...base,
+        ilike: [...base.ilike, { columns: ['file_name', 'name', 'description', 'project', 'tags_text', 'link_title', 'link_owner', 'content_text'], value: primary }],
+        order: { column: 'uploaded_at', ascending: query.sort === 'oldest' },
+        limit: 200
+      });
+    }
+
+    // 2) When we can rank semantically, the most similar rows join the candidates (no
+    // shared words needed)
+    const seen = new Set(rows.map(r => r.id));
+    if (queryEmbedding) {
+      rows = rows.concat((await semanticCandidates(base, queryEmbedding)).filter(r => !seen.has(r.id)));
+    }
+
+    // 3) Fetch recent workspace rows as a fallback when nothing matched yet, and when
+    // the query is filters only ("PDFs from last week")
+    // STILL filtered by workspace_id - no legacy fallback
+    if (!rows.length) {
+      rows = await db.select('files', {
+        ...base,
+        order: { column: 'uploaded_at', ascending: query.sort === 'oldest' },
+        limit: 200
+      });
+    }
+  }
+  rows = applyFilters(rows, filters); // also drops archived files unless asked for
+
+  // Rows written before versioning have no is_latest and count as latest
+  if (!includeAllVersions && filters.versions !== 'all') rows = rows.filter(r => r.is_latest !== false);
+
+  const scored = rows.map(r => {
+    const lexical = lexicalScore(r, tokens);
+    const semantic = queryEmbedding && r.embedding_model === queryEmbedding.model
+      ? cosineSimilarity(queryEmbedding.vector, r.embedding)
+      : 0;
+    return { row: r, lexical, semantic };
+  }).filter(x => !tokens.length || x.lexical > 0 || x.semantic >= SEMANTIC_MIN_SIMILARITY);
 
   // If no positive matches, return empty (no cross-workspace fallback)
   if (!scored.length) {
     return [];
   }
 
-  const result = scored
-    .sort((a, b) => b.score - a.score)
-    .map(x => x.row);
-  return result.slice(0, limit);
+  // Hybrid rank: lexical scores are normalised to 0..1 against the best candidate
+  const maxLexical = Math.max(...scored.map(x => x.lexical)) || 1;
+  const weight = queryEmbedding ? SEMANTIC_WEIGHT : 0;
+  let ranked = scored
+    .map(x => ({ ...x, score: (1 - weight) * (x.lexical / maxLexical) + weight * x.semantic }))
+    .sort((a, b) => b.score - a.score);
+
+  if (query.sort !== 'relevance') {
+    const floor = tokens.length && !allMatches ? ranked[0].score * DATE_SORT_RELEVANCE_FLOOR : -Infinity;
+    const dir = query.sort === 'oldest' ? 1 : -1;
+    ranked = ranked
+      .filter(x => x.score >= floor)
+      .sort((a, b) => dir * String(a.row.uploaded_at || '').localeCompare(String(b.row.uploaded_at || '')));
+  }
+  ranked = ranked.map(x => x.row);
+
+  // PRIVACY: apply the access gate before the limit so hidden files can't crowd out visible ones
+  const result = [];
+  for (const row of ranked) {
+    if (result.length >= limit) break;
+    if (await canViewFile(row, viewer)) result.push(row);
+  }
+  return result;
 }
 
-// Upload a file buffer to Supabase storage and return a public URL
-// Files are stored in workspace-specific folders for isolation
+// Results for a thread follow-up, with the previous search's filters merged into
+// `filters`: the previous results narrowed down, or a new search under every filter when
+// the follow-up adds keywords or asks for what those results can't hold (older versions,
+// archived files, a collection's members)
+export async function refineSearchResults(workspaceId, { query, filters, keywords = [], previousIds = [], limit = 10, viewer = null }) {
+  validateWorkspaceScope(workspaceId, 'refineSearchResults');
+  if (keywords.length || filters.versions === 'all' || filters.archived || filters.collections?.length) {
+    return searchFiles(query, workspaceId, limit, {
+      viewer,
+      parsed: { ...parseQuery(query), filters },
+      includeAllVersions: filters.versions === 'all',
+      includeArchived: Boolean(filters.archived)
+    });
+  }
+  const result = [];
+  for (const row of applyFilters(await getFilesByIds(workspaceId, previousIds), filters)) {
+    if (result.length >= limit) break;
+    if (await canViewFile(row, viewer)) result.push(row);
+  }
+  return result;
+}
+
+// Upload a file buffer to the (private) design_files bucket and return its storage path.
+// Files are stored in workspace-specific folders for isolation; links are signed on demand
+// with fileDownloadUrl when a result is shown to an authorized user.
 export async function uploadFileToStorage(fileBuffer, fileName, workspaceId) {
   validateWorkspaceScope(workspaceId, 'uploadFileToStorage');
 
@@ -124,19 +283,107 @@ export async function uploadFileToStorage(fileBuffer, fileName, workspaceId) {
   // Store in workspace-specific folder: workspace_id/timestamp_filename
   const filePath = `${workspaceId}/${Date.now()}_${safeName}`;
 
-  const { error: uploadError } = await supabase.storage
-    .from('design_files')
-    .upload(filePath, fileBuffer, {
-      contentType: 'application/octet-stream',
-      upsert: false
-    });
-  if (uploadError) throw uploadError;
+  await storage.upload('design_files', filePath, fileBuffer, {
+    contentType: 'application/octet-stream',
+    upsert: false
+  });
+
+  return { path: filePath };
+}
 
-  const { data: urlData } = supabase.storage
-    .from('design_files')
-    .getPublicUrl(filePath);
+export function contentHashOf(fileBuffer) {
+  return createHash('sha256').update(fileBuffer).digest('hex');
+}
+
+// Store a file's bytes once per workspace: when a file with the same content hash is
+// already stored, its object (and thumbnail and extracted text) are reused.
+// Returns { path, contentHash, reused, thumbnailPath, contentText }.
+export async function storeFileContent(fileBuffer, fileName, workspaceId) {
+  validateWorkspaceScope(workspaceId, 'storeFileContent');
+  const contentHash = contentHashOf(fileBuffer);
+  const [same] = await db.select('files', {
+    eq: { workspace_id: workspaceId, content_hash: contentHash },
+    neq: { storage_path: '' }, // i.e. has a stored object (NULL never matches)
+    order: { column: 'uploaded_at', ascending: false },
+    limit: 1
+  });
+  if (same) {
+    return { path: same.storage_path, contentHash, reused: true, thumbnailPath: same.thumbnail_path || null, contentText: same.content_text || null };
+  }
+  const stored = await uploadFileToStorage(fileBuffer, fileName, workspaceId);
+  return { path: stored.path, contentHash, reused: false, thumbnailPath: undefined, contentText: undefined };
+}
+
+// Bytes of a workspace's stored object (a file or its thumbnail)
+export async function downloadStoredFile(workspaceId, storagePath) {
+  validateWorkspaceScope(workspaceId, 'downloadStoredFile');
+  return storage.download('design_files', storagePath);
+}
+
+// Render and store a thumbnail next to a stored object; returns its path, or null when the
+// file kind has no thumbnail
+export async function createThumbnail(workspaceId, storagePath, fileBuffer, { fileName, mimeType } = {}) {
+  validateWorkspaceScope(workspaceId, 'createThumbnail');
+  const png = await renderThumbnail(fileBuffer, { fileName, mimeType });
+  return png ? storeThumbnail(workspaceId, storagePath, png) : null;
+}
+
+// Store an already rendered thumbnail next to its original; returns its path
+export async function storeThumbnail(workspaceId, storagePath, png) {
+  validateWorkspaceScope(workspaceId, 'storeThumbnail');
+  const path = thumbnailPathFor(storagePath);
+  await storage.upload('design_files', path, png, { contentType: 'image/png', upsert: true });
+  return path;
+}
+
+// How long signed download links stay valid: per-workspace override, else env, else 1h
+export function signedUrlTtlSeconds(workspace) {
+  return Number(workspace?.signed_url_ttl_seconds || process.env.SIGNED_URL_TTL_SECONDS || 3600);
+}
+
+// Set (or with null, clear) a workspace's signed link lifetime; edited in the settings modal
+export async function setSignedUrlTtl(workspaceId, seconds) {
+  validateWorkspaceScope(workspaceId, 'setSignedUrlTtl');
+  return db.update('workspaces', { eq: { id: workspaceId } }, { signed_url_ttl_seconds: seconds || null });
+}
+
+// Replace a workspace's link preview tokens ({ figma, dropbox, miro }); edited in the settings modal
+export async function setLinkTokens(workspaceId, tokens) {
+  validateWorkspaceScope(workspaceId, 'setLinkTokens');
+  return db.update('workspaces', { eq: { id: workspaceId } }, { link_tokens: tokens || {} });
+}
+
+// Link to open a file: a short-lived signed URL for stored objects, the original URL otherwise
+export async function fileDownloadUrl(file, ttlSeconds) {
+  if (file.storage_path) return storage.signedUrl('design_files', file.storage_path, ttlSeconds);
+  return file.file_url || null;
+}
+
+// Image for a result card: our own thumbnail (signed), else the linked document's
+export async function fileThumbnailUrl(file, ttlSeconds) {
+  if (file.thumbnail_path) return storage.signedUrl('design_files', file.thumbnail_path, ttlSeconds);
+  return file.link_thumbnail_url || null;
+}
+
+// Storage path of a design_files object from a public URL (Supabase or local store)
+export function storagePathFromPublicUrl(url) {
+  const m = String(url || '').match(/(?:\/storage\/v1\/object\/public\/|^memory:\/\/|^file:\/\/.*\/storage\/)design_files\/([^?#]+)/);
+  return m ? decodeURIComponent(m[1]) : null;
+}
 
-  return { path: filePath, url: urlData.publicUrl };
+// One-off migration: rows that still point at a public bucket URL get a storage_path
+// and lose the URL, so they're only reachable through signed links from now on.
+export async function migratePublicUrlsToStoragePaths({ dryRun = false, onProgress } = {}) {
+  const rows = await db.select('files', { eq: { storage_path: null } });
+  let migrated = 0;
+  for (const row of rows) {
+    const path = storagePathFromPublicUrl(row.file_url);
+    if (!path) continue;
+    if (!dryRun) await db.update('files', { eq: { id: row.id } }, { storage_path: path, file_url: null });
+    migrated++;
+    onProgress?.(row, path);
+  }
+  return migrated;
 }
 
 // Save uploaded file metadata to the existing files table schema used by retrieval
@@ -148,14 +395,30 @@ export async function saveUploadedFileMetadata({
   file_name,
   tags,
   description,
+  project,
   file_url,
-  slack_file_id
+  storage_path,
+  thumbnail_path,
+  slack_file_id,
+  mime_type,
+  content_text,
+  content_hash,
+  parent_file_id,
+  change_notes,
+  link,
+  privacy,
+  allowed_user_ids,
+  allowed_usergroup_ids,
+  allowed_channel_ids
 }) {
   validateWorkspaceScope(workspace_id, 'saveUploadedFileMetadata');
 
-  const tagsText = Array.isArray(tags)
-    ? tags.map(x => String(x)).join(' ')
-    : String(tags || '') || null;
+  const versioning = parent_file_id
+    ? await nextVersionOf(workspace_id, parent_file_id)
+    : { version_group_id: null, version: 1 };
+  // a new version keeps its group's visibility, like updateFileAccess() changes it for all of them
+  const access = versioning.access || { privacy, allowed_user_ids, allowed_usergroup_ids, allowed_channel_ids };
+
   const payload = {
     workspace_id,
     team_id: team_id || null, // Store team_id for direct filtering if needed
@@ -163,17 +426,1216 @@ export async function saveUploadedFileMetadata({
     file_name,
     // Backward-compat for older schema
     name: file_name,
-    project: null,
+    project: project || null,
     tags: tags || null,
-    tags_text: tagsText,
+    tags_text: tagsTextOf(tags),
     description: description || null,
-    file_url,
+    file_url: file_url || null,
+    storage_path: storage_path || null,
+    thumbnail_path: thumbnail_path || null,
+    // stored files get their thumbnail at upload; the backfill only visits the rest
+    thumbnail_checked_at: storage_path ? new Date().toISOString() : null,
     slack_file_id: slack_file_id || null,
-    uploaded_at: new Date().toISOString(),
+    mime_type: mime_type || null,
+    content_text: content_text || null,
+    content_hash: content_hash || null,
+    parent_file_id: parent_file_id || null,
+    version_group_id: versioning.version_group_id,
+    version: versioning.version,
+    is_latest: true,
+    change_notes: change_notes || null,
+    ...linkColumns(link),
+    ...accessColumns(access),
     last_accessed_at: new Date().toISOString()
   };
-  const { error } = await supabase.from('files').insert(payload);
-  if (error) throw error;
+  Object.assign(payload, await computeFileEmbedding(payload));
+  // stamped once embedding is done, right before the write: digests resume after the
+  // newest uploaded_at they saw, and an older stamp on a late row would fall behind it
+  payload.uploaded_at = new Date().toISOString();
+  const saved = await db.insert('files', payload);
+  if (versioning.version_group_id) {
+    // the new row is now the only latest revision in its group
+    await db.update('files', {
+      eq: { workspace_id, version_group_id: versioning.version_group_id, is_latest: true },
+      neq: { id: saved.id }
+    }, { is_latest: false });
+  }
+  return saved;
+}
+
+// Columns for metadata fetched from a linked document (links/index.js fetchLinkMetadata)
+function linkColumns(link) {
+  return {
+    link_provider: link?.provider || null,
+    link_title: link?.title || null,
+    link_owner: link?.owner || null,
+    link_modified_at: link?.modifiedAt || null,
+    link_thumbnail_url: link?.thumbnailUrl || null
+  };
+}
+
+function tagsTextOf(tags) {
+  return Array.isArray(tags)
+    ? tags.map(x => String(x)).join(' ')
+    : String(tags || '') || null;
+}
+
+// Normalised visibility columns; only the allow list of the chosen mode is kept
+function accessColumns({ privacy, allowed_user_ids, allowed_usergroup_ids, allowed_channel_ids }) {
+  const mode = privacy || 'company';
+  const keep = ALLOW_LIST_COLUMNS[mode];
+  const list = (column, value) => (column === keep ? (value || []) : []);
+  return {
+    privacy: mode,
+    allowed_user_ids: list('allowed_user_ids', allowed_user_ids),
+    allowed_usergroup_ids: list('allowed_usergroup_ids', allowed_usergroup_ids),
+    allowed_channel_ids: list('allowed_channel_ids', allowed_channel_ids)
+  };
+}
+
+// Change who can see a file. Applies to every revision in its version group so
+// older versions don't stay visible after the latest one is locked down.
+export async function updateFileAccess(workspaceId, file, access) {
+  validateWorkspaceScope(workspaceId, 'updateFileAccess');
+  const patch = accessColumns(access);
+  if (file.version_group_id) {
+    return db.update('files', { eq: { workspace_id: workspaceId, version_group_id: file.version_group_id } }, patch);
+  }
+  return db.update('files', { eq: { workspace_id: workspaceId, id: file.id } }, patch);
+}
+
+// ----------------------------
+// Library management
+// ----------------------------
+
+// Latest, non-archived versions of a workspace's files, newest first
+export async function listFiles(workspaceId, { limit = 1000 } = {}) {
+  validateWorkspaceScope(workspaceId, 'listFiles');
+  const rows = await db.select('files', {
+    eq: { workspace_id: workspaceId },
+    order: { column: 'uploaded_at', ascending: false },
+    limit
+  });
+  return rows.filter(r => r.is_latest !== false && !r.archived_at);
+}
+
+// Latest library file stored under a link, if any
+export async function getFileByUrl(workspaceId, url) {
+  validateWorkspaceScope(workspaceId, 'getFileByUrl');
+  const rows = await db.select('files', {
+    eq: { workspace_id: workspaceId, file_url: url },
+    order: { column: 'uploaded_at', ascending: false },
+    limit: 10
+  });
+  return rows.find(r => r.is_latest !== false && !r.archived_at) || null;
+}
+
+// The library file saved from a Slack file, if any
+export async function getFileBySlackFileId(workspaceId, slackFileId) {
+  validateWorkspaceScope(workspaceId, 'getFileBySlackFileId');
+  return db.selectOne('files', {
+    eq: { workspace_id: workspaceId, slack_file_id: slackFileId },
+    order: { column: 'uploaded_at', ascending: false }
+  });
+}
+
+// The library entry an upload with this content hash would duplicate: the latest
+// version of an unarchived file, else any older copy
+export async function findFileByContentHash(workspaceId, contentHash) {
+  validateWorkspaceScope(workspaceId, 'findFileByContentHash');
+  const rows = await db.select('files', {
+    eq: { workspace_id: workspaceId, content_hash: contentHash },
+    order: { column: 'uploaded_at', ascending: false },
+    limit: 20
+  });
+  return rows.find(r => r.is_latest !== false && !r.archived_at) || rows[0] || null;
+}
+
+const nameWords = (name) => new Set(normalizeAndTokenize(String(name || '').replace(/\.[a-z0-9]{1,6}$/i, ''), { fallbackToAll: true }));
+
+const tagSet = (tags) => new Set(String(tagsTextOf(tags) || '').toLowerCase().split(/[\s,]+/).filter(Boolean));
+
+function overlap(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const x of a) if (b.has(x)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// Files whose name (and tags) look like the same design: for link uploads, which have
+// no content to hash. Best match first.
+export async function findNearDuplicates(workspaceId, { fileName, tags }, { limit = 3 } = {}) {
+  validateWorkspaceScope(workspaceId, 'findNearDuplicates');
+  const words = nameWords(fileName);
+  if (!words.size) return [];
+  const wantedTags = tagSet(tags);
+  const files = await listFiles(workspaceId, { limit: 1000 });
+  return files
+    .map(f => {
+      const nameScore = overlap(words, nameWords(f.file_name || f.name));
+      const tagScore = overlap(wantedTags, tagSet(f.tags ?? f.tags_text));
+      return { file: f, nameScore, tagScore };
+    })
+    // near-identical names, or similar names with mostly the same tags
+    .filter(m => m.nameScore >= 0.8 || (m.nameScore >= 0.5 && m.tagScore >= 0.5))
+    .sort((a, b) => b.nameScore + b.tagScore - (a.nameScore + a.tagScore))
+    .slice(0, limit)
+    .map(m => m.file);
+}
+
+// Edit a file's descriptive metadata; search columns and the embedding follow along
+export async function updateFileMetadata(workspaceId, fileId, { file_name, tags, description, project }) {
+  validateWorkspaceScope(workspaceId, 'updateFileMetadata');
+  const [file] = await getFilesByIds(workspaceId, [fileId]);
+  if (!file) throw new Error('That file no longer exists in this workspace');
+  const patch = {
+    file_name,
+    name: file_name,
+    tags: tags || null,
+    tags_text: tagsTextOf(tags),
+    description: description || null,
+    project: project || null
+  };
+  Object.assign(patch, await computeFileEmbedding({ ...file, ...patch }));
+  const [row] = await db.update('files', { eq: { id: fileId, workspace_id: workspaceId } }, patch);
+  return row || null;
+}
+
+// Archived files drop out of search and the App Home but are kept
+export async function setFileArchived(workspaceId, fileId, archived = true) {
+  validateWorkspaceScope(workspaceId, 'setFileArchived');
+  const [row] = await db.update('files', { eq: { id: fileId, workspace_id: workspaceId } }, {
+    archived_at: archived ? new Date().toISOString() : null
+  });
+  return row || null;
+}
+
+// Hard delete: the row and its stored object. Deleting the latest version of a
+// group makes the newest remaining version the latest.
+export async function deleteFile(workspaceId, file) {
+  validateWorkspaceScope(workspaceId, 'deleteFile');
+  await db.remove('files', { eq: { id: file.id, workspace_id: workspaceId } });
+  // deduplicated uploads share one object; it goes with the last row using it
+  const shared = file.storage_path
+    ? await db.selectOne('files', { eq: { workspace_id: workspaceId, storage_path: file.storage_path } })
+    : null;
+  const objects = shared ? [] : [file.storage_path, file.thumbnail_path].filter(Boolean);
+  if (objects.length) await storage.remove('design_files', objects);
+  if (file.version_group_id && file.is_latest !== false) {
+    const [next] = await listFileVersions(workspaceId, file.version_group_id);
+    if (next) await db.update('files', { eq: { id: next.id, workspace_id: workspaceId } }, { is_latest: true });
+  }
+}
+
+// Channels whose shared files are saved to the library automatically (opt-in)
+export async function isAutoIngestChannel(workspaceId, channelId) {
+  validateWorkspaceScope(workspaceId, 'isAutoIngestChannel');
+  return Boolean(await db.selectOne('auto_ingest_channels', { eq: { workspace_id: workspaceId, channel_id: channelId } }));
+}
+
+export async function setAutoIngestChannel(workspaceId, channelId, enabled, userId) {
+  validateWorkspaceScope(workspaceId, 'setAutoIngestChannel');
+  if (!enabled) {
+    await db.remove('auto_ingest_channels', { eq: { workspace_id: workspaceId, channel_id: channelId } });
+    return;
+  }
+  await db.upsert('auto_ingest_channels', {
+    workspace_id: workspaceId,
+    channel_id: channelId,
+    enabled_by: userId || null,
+    created_at: new Date().toISOString()
+  }, { onConflict: 'workspace_id,channel_id' });
+}
+
+// True the first time it's called for a user, so the welcome DM is only sent once
+export async function markUserWelcomed(workspaceId, userId) {
+  validateWorkspaceScope(workspaceId, 'markUserWelcomed');
+  const existing = await db.selectOne('workspace_users', { eq: { workspace_id: workspaceId, user_id: userId } });
+  if (existing?.welcomed_at) return false;
+  await db.upsert('workspace_users', {
+    workspace_id: workspaceId,
+    user_id: userId,
+    welcomed_at: new Date().toISOString()
+  }, { onConflict: 'workspace_id,user_id' });
+  return true;
+}
+
+// Channels with auto-save on
+export async function listAutoIngestChannels(workspaceId) {
+  validateWorkspaceScope(workspaceId, 'listAutoIngestChannels');
+  const rows = await db.select('auto_ingest_channels', { eq: { workspace_id: workspaceId } });
+  return rows.map(r => r.channel_id);
+}
+
+// Raw workspace_settings row (null if never saved); read through settings.js
+export async function getWorkspaceSettingsRow(workspaceId) {
+  validateWorkspaceScope(workspaceId, 'getWorkspaceSettingsRow');
+  return db.selectOne('workspace_settings', { eq: { workspace_id: workspaceId } });
+}
+
+export async function saveWorkspaceSettingsRow(workspaceId, settings, userId) {
+  validateWorkspaceScope(workspaceId, 'saveWorkspaceSettingsRow');
+  return db.upsert('workspace_settings', {
+    ...settings,
+    workspace_id: workspaceId,
+    updated_by: userId || null,
+    updated_at: new Date().toISOString()
+  }, { onConflict: 'workspace_id' });
+}
+
+// Workspaces with a retention rule, for the sweeper
+export async function listRetentionSettings() {
+  const rows = await db.select('workspace_settings', {});
+  return rows.filter(r => r.archive_after_days || r.delete_archived_after_days);
+}
+
+// Retention rules: archive latest versions nobody opened, downloaded or shared (or
+// uploaded) within archiveAfterDays (see markFilesUsed), and delete files archived more than deleteArchivedAfterDays ago.
+// Returns { archived, deleted } lists of { id, file_name }.
+export async function applyRetention(workspaceId, { archiveAfterDays = null, deleteArchivedAfterDays = null, now = new Date() } = {}) {
+  validateWorkspaceScope(workspaceId, 'applyRetention');
+  const daysAgo = (days) => new Date(now.getTime() - days * 86400000).toISOString();
+  const summary = f => ({ id: f.id, file_name: f.file_name || f.name || null });
+  const archived = [];
+  const deleted = [];
+
+  if (archiveAfterDays) {
+    const cutoff = daysAgo(archiveAfterDays);
+    const rows = await db.select('files', { eq: { workspace_id: workspaceId, archived_at: null }, lte: { uploaded_at: cutoff } });
+    for (const f of rows) {
+      if (f.is_latest === false || String(f.last_accessed_at || f.uploaded_at) > cutoff) continue;
+      await setFileArchived(workspaceId, f.id, true);
+      archived.push(summary(f));
+    }
+  }
+  if (deleteArchivedAfterDays) {
+    const rows = await db.select('files', { eq: { workspace_id: workspaceId }, lte: { archived_at: daysAgo(deleteArchivedAfterDays) } });
+    for (const f of rows) {
+      await deleteFile(workspaceId, f);
+      deleted.push(summary(f));
+    }
+  }
+  return { archived, deleted };
+}
+
+// ----------------------------
+// Collections
+// ----------------------------
+
+// Collections hold designs rather than single rows: a file's version group, or the file
+// itself until it's revised (see nextVersionOf), so later versions stay in the collection
+function designIdOf(file) {
+  return String(file.version_group_id || file.id);
+}
+
+// "ORCA Q3", "orca-q3" and "orca_q3" name the same collection
+function collectionKey(name) {
+  return String(name || '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+}
+
+function sameName(a, b) {
+  return collectionKey(a) === collectionKey(b);
+}
+
+// A workspace's collections, by name, each with file_count. With a viewer (see
+// access.js) only the designs whose latest version they may see are counted.
+export async function listCollections(workspaceId, { viewer = null } = {}) {
+  validateWorkspaceScope(workspaceId, 'listCollections');
+  const [collections, members] = await Promise.all([
+    db.select('collections', { eq: { workspace_id: workspaceId }, order: { column: 'name', ascending: true } }),
+    db.select('collection_files', { eq: { workspace_id: workspaceId } })
+  ]);
+  let counted = members;
+  if (viewer) {
+    const latest = (await filesInCollections(workspaceId, [...new Set(members.map(m => m.collection_id))]))
+      .filter(r => r.is_latest !== false && !r.archived_at);
+    const visible = new Set();
+    for (const f of latest) {
+      if (await canViewFile(f, viewer)) visible.add(designIdOf(f));
+    }
+    counted = members.filter(m => visible.has(String(m.design_id)));
+  }
+  const counts = new Map();
+  for (const m of counted) counts.set(String(m.collection_id), (counts.get(String(m.collection_id)) || 0) + 1);
+  return collections.map(c => ({ ...c, file_count: counts.get(String(c.id)) || 0 }));
+}
+
+export async function getCollection(workspaceId, collectionId) {
+  validateWorkspaceScope(workspaceId, 'getCollection');
+  return db.selectOne('collections', { eq: { workspace_id: workspaceId, id: collectionId } });
+}
+
+// Collections named like `name`: the exact name (ignoring case) if there is one, else
+// every collection whose name contains it
+export async function findCollections(workspaceId, name) {
+  validateWorkspaceScope(workspaceId, 'findCollections');
+  const wanted = String(name || '').trim();
+  if (!wanted) return [];
+  // names are free text (commas, quotes), so match here rather than in an ilike filter
+  const rows = await db.select('collections', { eq: { workspace_id: workspaceId } });
+  const exact = rows.filter(c => sameName(c.name, wanted));
+  return exact.length ? exact : rows.filter(c => collectionKey(c.name).includes(collectionKey(wanted)));
+}
+
+export async function createCollection(workspaceId, { name, description = null, userId = null }) {
+  validateWorkspaceScope(workspaceId, 'createCollection');
+  const clean = String(name || '').trim();
+  if (!clean) throw new Error('A collection needs a name');
+  const existing = await db.select('collections', { eq: { workspace_id: workspaceId } });
+  if (existing.some(c => sameName(c.name, clean))) throw new Error(`There's already a collection called "${clean}"`);
+  const now = new Date().toISOString();
+  return db.insert('collections', {
+    workspace_id: workspaceId,
+    name: clean,
+    description: description || null,
+    created_by: userId,
+    created_at: now,
+    updated_at: now
+  });
+}
+
+// Add a file to collections; adding it to one it's already in is a no-op
+export async function addFileToCollections(workspaceId, file, collectionIds, userId = null) {
+  validateWorkspaceScope(workspaceId, 'addFileToCollections');
+  for (const collectionId of collectionIds) {
+    if (!(await getCollection(workspaceId, collectionId))) throw new Error('That collection no longer exists');
+    await db.upsert('collection_files', {
+      workspace_id: workspaceId,
+      collection_id: collectionId,
+      design_id: designIdOf(file),
+      added_by: userId,
+      added_at: new Date().toISOString()
+    }, { onConflict: 'collection_id,design_id' });
+  }
+}
+
+// Every row (all versions, archived too) of the designs in some collections, newest first;
+// search narrows these down like any other candidates
+export async function filesInCollections(workspaceId, collectionIds) {
+  validateWorkspaceScope(workspaceId, 'filesInCollections');
+  if (!collectionIds.length) return [];
+  const members = await db.select('collection_files', { eq: { workspace_id: workspaceId }, in: { collection_id: collectionIds } });
+  const designIds = [...new Set(members.map(m => String(m.design_id)))];
+  if (!designIds.length) return [];
+  const [byId, byGroup] = await Promise.all([
+    db.select('files', { eq: { workspace_id: workspaceId }, in: { id: designIds } }),
+    db.select('files', { eq: { workspace_id: workspaceId }, in: { version_group_id: designIds } })
+  ]);
+  const rows = new Map([...byId, ...byGroup].map(r => [String(r.id), r]));
+  return [...rows.values()].sort((a, b) => String(b.uploaded_at || '').localeCompare(String(a.uploaded_at || '')));
+}
+
+// The latest, non-archived version of each design in a collection, newest first
+export async function listCollectionFiles(workspaceId, collectionId) {
+  const rows = await filesInCollections(workspaceId, [collectionId]);
+  return rows.filter(r => r.is_latest !== false && !r.archived_at);
+}
+
+// ----------------------------
+// Versions
+// ----------------------------
+
+// A version group is keyed by the id of its first file. Files uploaded before
+// versioning (or never revised) have no group yet and get one on first revision.
+async function nextVersionOf(workspaceId, parentFileId) {
+  const [parent] = await getFilesByIds(workspaceId, [parentFileId]);
+  if (!parent) throw new Error('The file you picked to version no longer exists in this workspace');
+
+  const groupId = parent.version_group_id || parent.id;
+  if (!parent.version_group_id) {
+    await db.update('files', { eq: { id: parent.id, workspace_id: workspaceId } }, { version_group_id: groupId, version: parent.version || 1 });
+  }
+  const versions = await listFileVersions(workspaceId, groupId);
+  const maxVersion = Math.max(1, ...versions.map(v => v.version || 1));
+  const { privacy, allowed_user_ids, allowed_usergroup_ids, allowed_channel_ids } = parent;
+  return {
+    version_group_id: groupId,
+    version: maxVersion + 1,
+    access: { privacy, allowed_user_ids, allowed_usergroup_ids, allowed_channel_ids }
+  };
+}
+
+// All revisions of a file's version group, newest first
+export async function listFileVersions(workspaceId, fileOrGroupId) {
+  validateWorkspaceScope(workspaceId, 'listFileVersions');
+  const rows = await db.select('files', {
+    eq: { workspace_id: workspaceId, version_group_id: fileOrGroupId },
+    order: { column: 'version', ascending: false }
+  });
+  if (rows.length) return rows;
+  // never revised: the file is its own (single) version
+  return getFilesByIds(workspaceId, [fileOrGroupId]);
+}
+
+// Budget and usage options for a workspace's OpenAI embedding calls, counted in
+// ai_usage under "embedding" like the chat features are under theirs
+async function embeddingOptionsFor(workspaceId) {
+  if (!embeddingsUseProvider) return {};
+  const budget = aiTokenBudget(await getWorkspaceById(workspaceId));
+  return {
+    tokensLeft: budget ? budget - (await aiUsageFor(workspaceId)).tokens : Infinity,
+    onUsage: usage => recordAiUsage(workspaceId, { feature: 'embedding', ...usage })
+  };
+}
+
+// Embedding columns for a file row; a failed (or over budget) embed leaves them null
+// for the backfill to fill in
+async function computeFileEmbedding(row) {
+  try {
+    const emb = await embedText(fileEmbeddingText(row), await embeddingOptionsFor(row.workspace_id));
+    return { embedding: emb?.vector || null, embedding_model: emb?.model || null };
+  } catch {
+    return { embedding: null, embedding_model: null };
+  }
+}
+
+// (Re)compute one file's embedding. Unlike computeFileEmbedding a provider error is
+// thrown, so a background job can retry it. Once the workspace's AI budget is used up
+// the row is left as it is.
+export async function embedFile(workspaceId, fileId) {
+  validateWorkspaceScope(workspaceId, 'embedFile');
+  const row = await db.selectOne('files', { eq: { workspace_id: workspaceId, id: fileId } });
+  if (!row) throw new Error('File not found');
+  let emb;
+  try {
+    emb = await embedText(fileEmbeddingText(row), await embeddingOptionsFor(workspaceId));
+  } catch (err) {
+    if (err.code === 'EBUDGET') return;
+    throw err;
+  }
+  await db.update('files', { eq: { workspace_id: workspaceId, id: fileId } }, {
+    embedding: emb?.vector || null,
+    embedding_model: emb?.model ?? null
+  });
+}
+
+// Compute embeddings for files stored before embeddings existed (or with a different
+// embedding model than the one currently configured). Files of workspaces whose AI
+// budget is used up are skipped. Returns the number of rows updated.
+export async function backfillEmbeddings({ workspaceId = null, batchSize = 100, onProgress } = {}) {
+  const model = currentEmbeddingModel();
+  const scope = workspaceId ? { workspace_id: workspaceId } : {};
+  // never embedded, or embedded by a different model than the current one
+  const stale = [
+    { eq: { ...scope, embedding_model: null } },
+    { eq: scope, neq: { embedding_model: model } }
+  ];
+  const overBudget = new Set();
+  let updated = 0;
+  for (const filters of stale) {
+    // skipped rows stay stale, so page past them
+    let skipped = 0;
+    for (;;) {
+      const batch = await db.select('files', { ...filters, order: { column: 'id', ascending: true }, offset: skipped, limit: batchSize });
+      if (!batch.length) break;
+
+      for (const row of batch) {
+        if (overBudget.has(row.workspace_id)) {
+          skipped++;
+          continue;
+        }
+        let emb;
+        try {
+          emb = await embedText(fileEmbeddingText(row), await embeddingOptionsFor(row.workspace_id));
+        } catch (err) {
+          if (err.code !== 'EBUDGET') throw err;
+          overBudget.add(row.workspace_id);
+          skipped++;
+          continue;
+        }
+        await db.update('files', { eq: { id: row.id } }, {
+          embedding: emb?.vector || null,
+          // mark rows with nothing to embed so they aren't retried forever
+          embedding_model: model
+        });
+        updated++;
+        onProgress?.(row, updated);
+      }
+    }
+  }
+  return updated;
+}
+
+// Render thumbnails for stored files that predate thumbnails. Every row visited is
+// stamped with thumbnail_checked_at, so files without a thumbnail aren't retried.
+// Returns the number of thumbnails created.
+export async function backfillThumbnails({ workspaceId = null, batchSize = 50, onProgress } = {}) {
+  const scope = workspaceId ? { workspace_id: workspaceId } : {};
+  let created = 0;
+  for (;;) {
+    const batch = await db.select('files', { eq: { ...scope, thumbnail_checked_at: null }, limit: batchSize });
+    if (!batch.length) break;
+
+    for (const row of batch) {
+      let path = null;
+      if (row.storage_path) {
+        try {
+          const buf = await storage.download('design_files', row.storage_path);
+          path = await createThumbnail(row.workspace_id, row.storage_path, buf, { fileName: row.storage_path, mimeType: row.mime_type });
+        } catch (err) {
+          onProgress?.(row, created, err);
+        }
+      }
+      await db.update('files', { eq: { id: row.id } }, { thumbnail_path: path, thumbnail_checked_at: new Date().toISOString() });
+      if (path) created++;
+      onProgress?.(row, created);
+    }
+  }
+  return created;
+}
+
+// Hash stored files uploaded before content hashes existed, so new uploads of the same
+// bytes are recognised. Files that can't be read are reported and skipped.
+// Returns the number of rows hashed.
+export async function backfillContentHashes({ workspaceId = null, batchSize = 50, onProgress } = {}) {
+  const scope = workspaceId ? { workspace_id: workspaceId } : {};
+  const failed = new Set();
+  let hashed = 0;
+  for (;;) {
+    const batch = (await db.select('files', {
+      eq: { ...scope, content_hash: null },
+      neq: { storage_path: '' },
+      limit: batchSize + failed.size
+    })).filter(r => !failed.has(r.id));
+    if (!batch.length) break;
+
+    for (const row of batch) {
+      try {
+        const buf = await storage.download('design_files', row.storage_path);
+        await db.update('files', { eq: { id: row.id } }, { content_hash: contentHashOf(buf) });
+        hashed++;
+        onProgress?.(row, hashed);
+      } catch (err) {
+        failed.add(row.id);
+        onProgress?.(row, hashed, err);
+      }
+    }
+  }
+  return hashed;
+}
+
+// Fetch files by id, scoped to a workspace, preserving the order of `ids`
+export async function getFilesByIds(workspaceId, ids) {
+  validateWorkspaceScope(workspaceId, 'getFilesByIds');
+  if (!ids?.length) return [];
+  const rows = await db.select('files', { eq: { workspace_id: workspaceId }, in: { id: ids } });
+  const byId = new Map(rows.map(r => [String(r.id), r]));
+  return ids.map(id => byId.get(String(id))).filter(Boolean);
+}
+
+// ----------------------------
+// Search sessions & feedback
+// ----------------------------
+
+// Remember the ordered, access-filtered results of a search so they can be paged
+// and refined by follow-ups in the same thread
+export async function createSearchSession({ workspace_id, user_id, channel_id, query, result_ids, filters, thread_ts, parent_session_id }) {
+  validateWorkspaceScope(workspace_id, 'createSearchSession');
+  return db.insert('search_sessions', {
+    workspace_id,
+    user_id,
+    channel_id: channel_id || null,
+    query,
+    result_ids,
+    filters: filters || {},
+    thread_ts: thread_ts || null,
+    parent_session_id: parent_session_id || null,
+    created_at: new Date().toISOString()
+  });
+}
+
+export async function getSearchSession(sessionId, workspaceId) {
+  validateWorkspaceScope(workspaceId, 'getSearchSession');
+  return db.selectOne('search_sessions', { eq: { id: sessionId, workspace_id: workspaceId } });
+}
+
+export async function updateSearchSession(sessionId, workspaceId, patch) {
+  validateWorkspaceScope(workspaceId, 'updateSearchSession');
+  const [row] = await db.update('search_sessions', { eq: { id: sessionId, workspace_id: workspaceId } }, patch);
+  return row || null;
+}
+
+// Most recent search a user ran in a given thread (conversation state for follow-ups)
+export async function findThreadSession(workspaceId, userId, threadTs) {
+  validateWorkspaceScope(workspaceId, 'findThreadSession');
+  return db.selectOne('search_sessions', {
+    eq: { workspace_id: workspaceId, user_id: userId, thread_ts: threadTs },
+    order: { column: 'created_at', ascending: false }
+  });
+}
+
+// Record that a result was not what the user was looking for
+export async function recordSearchFeedback({ workspace_id, user_id, session_id, query, file_id, feedback = 'negative' }) {
+  validateWorkspaceScope(workspace_id, 'recordSearchFeedback');
+  return db.insert('search_feedback', {
+    workspace_id,
+    user_id,
+    session_id: session_id || null,
+    query,
+    file_id,
+    feedback,
+    created_at: new Date().toISOString()
+  });
+}
+
+// ----------------------------
+// Search analytics
+// ----------------------------
+
+// One row per search (first searches and follow-ups, including ones with no results)
+export async function recordSearchEvent({ workspace_id, user_id, session_id, query, parsed, result_ids, latency_ms, ai_reranked = false, refined = false }) {
+  validateWorkspaceScope(workspace_id, 'recordSearchEvent');
+  const filters = parsed?.filters || {};
+  return db.insert('search_events', {
+    workspace_id,
+    user_id: user_id || null,
+    session_id: session_id || null,
+    query,
+    tokens: normalizeAndTokenize(parsed?.text ?? query, { fallbackToAll: !hasFilters(filters) }),
+    filters,
+    sort: parsed?.sort || 'relevance',
+    result_ids: result_ids || [],
+    result_count: result_ids?.length || 0,
+    opened_file_ids: [],
+    latency_ms: Math.round(latency_ms || 0),
+    ai_reranked: Boolean(ai_reranked),
+    refined: Boolean(refined),
+    created_at: new Date().toISOString()
+  });
+}
+
+// Remember which result of a search was opened. A refined session has an event per
+// search; the open belongs to the latest. Appended in one write so concurrent opens
+// don't drop each other.
+export async function recordSearchOpen(workspaceId, sessionId, fileId) {
+  validateWorkspaceScope(workspaceId, 'recordSearchOpen');
+  const event = await db.selectOne('search_events', {
+    eq: { workspace_id: workspaceId, session_id: sessionId },
+    order: { column: 'created_at', ascending: false }
+  });
+  if (!event) return null;
+  const [row] = await db.append('search_events', { id: event.id, workspace_id: workspaceId }, 'opened_file_ids', [String(fileId)]);
+  await markFilesUsed(workspaceId, [fileId]);
+  return row || null;
+}
+
+// Files were opened, downloaded or shared: retention (applyRetention) keeps them
+export async function markFilesUsed(workspaceId, fileIds) {
+  validateWorkspaceScope(workspaceId, 'markFilesUsed');
+  const ids = [...new Set(fileIds.map(String))];
+  if (!ids.length) return;
+  await db.update('files', { eq: { workspace_id: workspaceId }, in: { id: ids } }, { last_accessed_at: new Date().toISOString() });
+}
+
+export async function listSearchEvents(workspaceId, { since = null, limit = 5000 } = {}) {
+  validateWorkspaceScope(workspaceId, 'listSearchEvents');
+  return db.select('search_events', {
+    eq: { workspace_id: workspaceId },
+    ...(since ? { gte: { created_at: since } } : {}),
+    order: { column: 'created_at', ascending: false },
+    limit
+  });
+}
+
+// ----------------------------
+// AI usage accounting
+// ----------------------------
+
+// Monthly AI token budget: per-workspace override, else env; 0 means unlimited
+export function aiTokenBudget(workspace) {
+  return Number(workspace?.ai_monthly_token_budget ?? process.env.AI_MONTHLY_TOKEN_BUDGET ?? 0);
+}
+
+// Usage is bucketed by calendar month (UTC)
+export function aiUsagePeriod(now = new Date()) {
+  return now.toISOString().slice(0, 7);
+}
+
+// Add one AI request's tokens to the workspace's running total for the month, as a
+// single increment so concurrent requests don't overwrite each other's counts
+export async function recordAiUsage(workspaceId, { feature, model, promptTokens = 0, completionTokens = 0, now = new Date() }) {
+  validateWorkspaceScope(workspaceId, 'recordAiUsage');
+  return db.increment('ai_usage', {
+    workspace_id: workspaceId,
+    period: aiUsagePeriod(now),
+    feature,
+    model: model || 'unknown',
+    requests: 1,
+    prompt_tokens: promptTokens || 0,
+    completion_tokens: completionTokens || 0,
+    updated_at: now.toISOString()
+  }, { onConflict: 'workspace_id,period,feature,model', increment: ['requests', 'prompt_tokens', 'completion_tokens'] });
+}
+
+// { period, requests, tokens, byFeature: { [feature]: tokens } } for one month
+export async function aiUsageFor(workspaceId, { now = new Date() } = {}) {
+  validateWorkspaceScope(workspaceId, 'aiUsageFor');
+  const period = aiUsagePeriod(now);
+  const rows = await db.select('ai_usage', { eq: { workspace_id: workspaceId, period } });
+  const usage = { period, requests: 0, tokens: 0, byFeature: {} };
+  for (const r of rows) {
+    const tokens = Number(r.prompt_tokens || 0) + Number(r.completion_tokens || 0);
+    usage.requests += r.requests || 0;
+    usage.tokens += tokens;
+    usage.byFeature[r.feature] = (usage.byFeature[r.feature] || 0) + tokens;
+  }
+  return usage;
+}
+
+// ----------------------------
+// Background jobs
+// ----------------------------
+
+// Queue a job for the worker in jobs.js
+export async function enqueueJob({ workspace_id, type, payload = {}, max_attempts = 5 }) {
+  validateWorkspaceScope(workspace_id, 'enqueueJob');
+  const now = new Date().toISOString();
+  return db.insert('jobs', {
+    workspace_id,
+    type,
+    payload,
+    state: {},
+    status: 'queued',
+    attempts: 0,
+    max_attempts,
+    run_at: now,
+    locked_at: null,
+    progress: null,
+    last_error: null,
+    created_at: now,
+    updated_at: now,
+    finished_at: null
+  });
+}
+
+// Claim the next due job, across workspaces. A claim only succeeds while the row is
+// still queued, so two workers polling the same table never run the same job.
+export async function claimNextJob({ now = new Date() } = {}) {
+  const due = await db.select('jobs', {
+    eq: { status: 'queued' },
+    lte: { run_at: now.toISOString() },
+    order: { column: 'run_at', ascending: true },
+    limit: 5
+  });
+  for (const job of due) {
+    const [claimed] = await db.update('jobs', { eq: { id: job.id, status: 'queued' } }, {
+      status: 'running',
+      attempts: job.attempts + 1,
+      locked_at: now.toISOString(),
+      updated_at: now.toISOString()
+    });
+    if (claimed) return claimed;
+  }
+  return null;
+}
+
+export async function getJob(workspaceId, jobId) {
+  validateWorkspaceScope(workspaceId, 'getJob');
+  return db.selectOne('jobs', { eq: { workspace_id: workspaceId, id: jobId } });
+}
+
+export async function updateJob(jobId, patch) {
+  const [job] = await db.update('jobs', { eq: { id: jobId } }, { ...patch, updated_at: new Date().toISOString() });
+  return job || null;
+}
+
+// Running jobs whose lock wasn't refreshed within lockTimeoutMs (the process died or
+// was redeployed mid-job) go back to the queue, or fail once out of attempts
+export async function requeueStaleJobs(lockTimeoutMs, { now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - lockTimeoutMs).toISOString();
+  const stale = await db.select('jobs', { eq: { status: 'running' }, lte: { locked_at: cutoff } });
+  const requeued = [];
+  for (const job of stale) {
+    const failed = job.attempts >= job.max_attempts;
+    const [row] = await db.update('jobs', { eq: { id: job.id, status: 'running' }, lte: { locked_at: cutoff } }, {
+      status: failed ? 'failed' : 'queued',
+      run_at: now.toISOString(),
+      locked_at: null,
+      last_error: 'Worker stopped while running the job',
+      updated_at: now.toISOString(),
+      finished_at: failed ? now.toISOString() : null
+    });
+    if (row) requeued.push(row);
+  }
+  return requeued;
+}
+
+// Finished jobs are only kept for a while; failed ones stay until an admin acts on them
+export async function pruneFinishedJobs(olderThanMs, { now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - olderThanMs).toISOString();
+  const removed = await db.remove('jobs', { eq: { status: 'done' }, lte: { finished_at: cutoff } });
+  return removed.length;
+}
+
+// Jobs an admin should look at: failed, retrying after an error, or still unfinished
+// olderThanMs after they were queued. Most recently updated first.
+export async function listStuckJobs(workspaceId, { olderThanMs = 15 * 60 * 1000, limit = 20, now = new Date() } = {}) {
+  validateWorkspaceScope(workspaceId, 'listStuckJobs');
+  const cutoff = new Date(now.getTime() - olderThanMs).toISOString();
+  const rows = await db.select('jobs', {
+    eq: { workspace_id: workspaceId },
+    in: { status: ['queued', 'running', 'failed'] },
+    order: { column: 'updated_at', ascending: false },
+    limit: 500
+  });
+  return rows
+    .filter(j => j.status === 'failed' || j.last_error || String(j.created_at) < cutoff)
+    .slice(0, limit);
+}
+
+// Run a failed (or backing-off) job again now, with a fresh set of attempts
+export async function retryJob(workspaceId, jobId) {
+  validateWorkspaceScope(workspaceId, 'retryJob');
+  const now = new Date().toISOString();
+  const [job] = await db.update('jobs', { eq: { workspace_id: workspaceId, id: jobId }, in: { status: ['queued', 'failed'] } }, {
+    status: 'queued',
+    attempts: 0,
+    run_at: now,
+    updated_at: now,
+    finished_at: null
+  });
+  return job || null;
+}
+
+// Drop a job an admin gave up on; a running job can't be dismissed
+export async function dismissJob(workspaceId, jobId) {
+  validateWorkspaceScope(workspaceId, 'dismissJob');
+  const removed = await db.remove('jobs', { eq: { workspace_id: workspaceId, id: jobId }, in: { status: ['queued', 'failed'] } });
+  return removed.length > 0;
+}
+
+// ----------------------------
+// Saved-search subscriptions
+// ----------------------------
+
+// Subscribe to new matches for a search; filters are the search's parsed filters with
+// uploader names already resolved
+export async function createSubscription(workspaceId, { userId, query, filters = {}, frequency, channelId = null, nextRunAt }) {
+  validateWorkspaceScope(workspaceId, 'createSubscription');
+  const clean = String(query || '').replace(/\s+/g, ' ').trim();
+  if (!clean) throw new Error('A subscription needs a search');
+  return db.insert('search_subscriptions', {
+    workspace_id: workspaceId,
+    user_id: userId,
+    query: clean,
+    filters,
+    frequency,
+    channel_id: channelId || null,
+    last_run_at: null,
+    next_run_at: nextRunAt,
+    created_at: new Date().toISOString()
+  });
+}
+
+// A workspace's subscriptions, or one person's, oldest first
+export async function listSubscriptions(workspaceId, { userId = null } = {}) {
+  validateWorkspaceScope(workspaceId, 'listSubscriptions');
+  return db.select('search_subscriptions', {
+    eq: { workspace_id: workspaceId, ...(userId ? { user_id: userId } : {}) },
+    order: { column: 'created_at', ascending: true }
+  });
+}
+
+export async function getSubscription(workspaceId, id) {
+  validateWorkspaceScope(workspaceId, 'getSubscription');
+  return db.selectOne('search_subscriptions', { eq: { workspace_id: workspaceId, id } });
+}
+
+export async function updateSubscription(workspaceId, id, patch) {
+  validateWorkspaceScope(workspaceId, 'updateSubscription');
+  const [row] = await db.update('search_subscriptions', { eq: { workspace_id: workspaceId, id } }, patch);
+  return row || null;
+}
+
+export async function deleteSubscription(workspaceId, id) {
+  validateWorkspaceScope(workspaceId, 'deleteSubscription');
+  const [row] = await db.remove('search_subscriptions', { eq: { workspace_id: workspaceId, id } });
+  return row || null;
+}
+
+// Subscriptions in every workspace whose next digest is due, most overdue first
+export async function listDueSubscriptions({ now = new Date(), limit = 100 } = {}) {
+  return db.select('search_subscriptions', {
+    lte: { next_run_at: now.toISOString() },
+    order: { column: 'next_run_at', ascending: true },
+    limit
+  });
+}
+
+// ----------------------------
+// Export, import and uninstall cleanup
+// ----------------------------
+
+const BUNDLE_FORMAT = 'design-library-export';
+const BUNDLE_VERSION = 1;
+// Tables an export carries; settings and auto-save channels are included for reference
+// but not imported (their channel ids only mean something in the original workspace)
+const EXPORT_TABLES = ['files', 'collections', 'collection_files', 'workspace_settings', 'auto_ingest_channels'];
+// Everything a workspace owns, children first
+const WORKSPACE_TABLES = [
+  'collection_files', 'collections', 'files', 'search_feedback', 'search_events', 'search_sessions',
+  'search_subscriptions', 'auto_ingest_channels', 'workspace_settings', 'workspace_users', 'jobs', 'ai_usage'
+];
+const ROW_PAGE_SIZE = 500;
+// a unique column to page by, for tables without an id
+const PAGE_KEYS = { workspace_settings: 'workspace_id', auto_ingest_channels: 'channel_id', collection_files: 'design_id' };
+
+// All rows matching eq, a page at a time
+async function allRows(table, eq) {
+  const rows = [];
+  const column = PAGE_KEYS[table] || 'id';
+  for (let offset = 0; ; offset += ROW_PAGE_SIZE) {
+    const page = await db.select(table, { eq, order: { column, ascending: true }, offset, limit: ROW_PAGE_SIZE });
+    rows.push(...page);
+    if (page.length < ROW_PAGE_SIZE) return rows;
+  }
+}
+
+// A workspace's rows in one of the exported tables; design ids are only unique within a
+// collection, so its files are read one collection at a time
+async function exportedRows(table, workspaceId, collections) {
+  if (table !== 'collection_files') return allRows(table, { workspace_id: workspaceId });
+  const rows = [];
+  for (const c of collections) rows.push(...await allRows(table, { workspace_id: workspaceId, collection_id: c.id }));
+  return rows;
+}
+
+function storedPathsOf(files) {
+  return [...new Set(files.flatMap(f => [f.storage_path, f.thumbnail_path]).filter(Boolean))];
+}
+
+// Write a workspace's library to a zip at zipPath: manifest.json, a <table>.jsonl per
+// exported table and objects/<storage path> for every stored file and thumbnail.
+// Objects missing from storage are listed in the manifest. Returns the manifest.
+export async function exportWorkspaceBundle(workspaceId, zipPath, { onProgress } = {}) {
+  validateWorkspaceScope(workspaceId, 'exportWorkspaceBundle');
+  const workspace = await db.selectOne('workspaces', { eq: { id: workspaceId } });
+  const zip = createZipWriter(zipPath);
+  const counts = {};
+  const exported = {};
+  for (const table of EXPORT_TABLES) {
+    const rows = await exportedRows(table, workspaceId, exported.collections);
+    exported[table] = rows;
+    counts[table] = rows.length;
+    await zip.add(`${table}.jsonl`, rows.map(r => JSON.stringify(r)).join('\n'));
+  }
+  const paths = storedPathsOf(exported.files);
+  const missing = [];
+  let bytes = 0;
+  for (const [i, path] of paths.entries()) {
+    let buf;
+    try {
+      buf = await storage.download('design_files', path);
+    } catch {
+      missing.push(path);
+      continue;
+    }
+    await zip.add(`objects/${path}`, buf);
+    bytes += buf.length;
+    onProgress?.({ done: i + 1, total: paths.length });
+  }
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exported_at: new Date().toISOString(),
+    workspace: { id: workspaceId, team_id: workspace?.team_id || null, team_name: workspace?.team_name || null },
+    counts,
+    objects: paths.length - missing.length,
+    bytes,
+    missing
+  };
+  await zip.add('manifest.json', JSON.stringify(manifest, null, 2));
+  await zip.close();
+  return manifest;
+}
+
+function tagList(tags) {
+  return (Array.isArray(tags) ? tags : String(tags || '').split(',')).map(t => String(t).trim()).filter(Boolean);
+}
+
+// Look a value up in an import mapping, ignoring case; undefined when it isn't mapped
+function mapped(map, value) {
+  const key = Object.keys(map || {}).find(k => k.toLowerCase() === String(value).toLowerCase());
+  return key === undefined ? undefined : map[key];
+}
+
+// Recreate an export bundle's files, stored objects and collections under a workspace.
+// mapping: { tags: { old: 'new' | null }, names: { 'Old name': 'New name' }, users: { UOLD: 'UNEW' },
+// usergroups: { SOLD: 'SNEW' }, channels: { COLD: 'CNEW' } }; a tag mapped to null is
+// dropped and anything not listed is kept, except user groups and channels on allow
+// lists, which only mean something here when mapped. Files whose bytes (or
+// link) are already in the workspace aren't duplicated. Versions, collections and
+// collection membership are rewired to the new ids. Returns a summary for the log.
+export async function importWorkspaceBundle(workspaceId, zipPath, { mapping = {}, onProgress } = {}) {
+  validateWorkspaceScope(workspaceId, 'importWorkspaceBundle');
+  const workspace = await db.selectOne('workspaces', { eq: { id: workspaceId } });
+  if (!workspace) throw new Error('No such workspace');
+  const zip = await openZip(zipPath);
+  try {
+    if (!zip.has('manifest.json')) throw new Error('Not a design library export (no manifest.json)');
+    const manifest = JSON.parse(await zip.read('manifest.json'));
+    if (manifest.format !== BUNDLE_FORMAT || !(manifest.version <= BUNDLE_VERSION)) {
+      throw new Error(`Unsupported bundle (${manifest.format} v${manifest.version})`);
+    }
+    const rowsOf = async table => (zip.has(`${table}.jsonl`) ? String(await zip.read(`${table}.jsonl`)) : '')
+      .split('\n').filter(Boolean).map(line => JSON.parse(line));
+    const user = id => (id && mapping.users?.[id]) || id;
+    const summary = { files: 0, skipped: 0, objects: 0, collections: 0, missing: [] };
+
+    // what's already here, so a second import of the same bundle doesn't duplicate it
+    const present = await allRows('files', { workspace_id: workspaceId });
+    const byHash = new Map(present.filter(f => f.content_hash).map(f => [f.content_hash, f.id]));
+    const byUrl = new Map(present.filter(f => f.file_url && !f.storage_path).map(f => [f.file_url, f.id]));
+
+    const files = (await rowsOf('files')).sort((a, b) => String(a.uploaded_at || '').localeCompare(String(b.uploaded_at || '')));
+    const fileIds = new Map(); // exported id -> id here
+    const inserted = new Set();
+    const objects = new Map(); // exported storage path -> { path, thumbnailPath } here
+    for (const [i, row] of files.entries()) {
+      const existing = row.content_hash ? byHash.get(row.content_hash) : (!row.storage_path && row.file_url ? byUrl.get(row.file_url) : null);
+      if (existing) {
+        fileIds.set(String(row.id), existing);
+        summary.skipped++;
+        continue;
+      }
+
+      // rows that shared an object in the export share its copy here
+      if (row.storage_path && !objects.has(row.storage_path)) {
+        if (zip.has(`objects/${row.storage_path}`)) {
+          const fileName = row.storage_path.split('/').pop().replace(/^\d+_/, '');
+          const stored = await uploadFileToStorage(await zip.read(`objects/${row.storage_path}`), fileName, workspaceId);
+          const thumbnailPath = row.thumbnail_path && zip.has(`objects/${row.thumbnail_path}`)
+            ? await storeThumbnail(workspaceId, stored.path, await zip.read(`objects/${row.thumbnail_path}`))
+            : null;
+          objects.set(row.storage_path, { path: stored.path, thumbnailPath });
+          summary.objects++;
+        } else {
+          objects.set(row.storage_path, { path: null, thumbnailPath: null });
+          summary.missing.push(row.storage_path);
+        }
+      }
+      const object = row.storage_path ? objects.get(row.storage_path) : null;
+
+      const originalName = row.file_name || row.name || null;
+      const name = (originalName && mapped(mapping.names, originalName)) || originalName;
+      const originalTags = tagList(row.tags ?? row.tags_text);
+      const tags = [...new Set(originalTags.map(t => {
+        const to = mapped(mapping.tags, t);
+        return to === undefined ? t : to;
+      }).filter(Boolean))];
+      const renamed = name !== originalName || tags.join(',') !== originalTags.join(',');
+
+      // Slack ids and the retention clock belong to the old workspace; stored files are
+      // opened through signed links to their new storage_path, so only links keep a URL
+      const { id, workspace_id, team_id, version_group_id, parent_file_id, created_at,
+        file_url, slack_file_id, archived_at, last_accessed_at,
+        allowed_usergroup_ids, allowed_channel_ids, ...rest } = row;
+      const mappedIds = (ids, map) => (ids || []).map(x => map?.[x]).filter(Boolean);
+      const now = new Date().toISOString();
+      const saved = await db.insert('files', {
+        ...rest,
+        workspace_id: workspaceId,
+        team_id: workspace.team_id,
+        user_id: user(row.user_id),
+        file_name: name,
+        name,
+        tags: tags.length ? tags : null,
+        tags_text: tagsTextOf(tags),
+        allowed_user_ids: (row.allowed_user_ids || []).map(user),
+        allowed_usergroup_ids: mappedIds(allowed_usergroup_ids, mapping.usergroups),
+        allowed_channel_ids: mappedIds(allowed_channel_ids, mapping.channels),
+        storage_path: object?.path || null,
+        thumbnail_path: object?.thumbnailPath || null,
+        file_url: row.storage_path ? null : file_url || null,
+        slack_file_id: null,
+        // archived files stay archived, but the countdown to deletion starts over
+        archived_at: archived_at ? now : null,
+        last_accessed_at: now,
+        version_group_id: null,
+        parent_file_id: null,
+        // the backfill re-embeds files whose name or tags changed
+        ...(renamed ? { embedding: null, embedding_model: null } : {})
+      });
+      fileIds.set(String(row.id), saved.id);
+      inserted.add(String(saved.id));
+      summary.files++;
+      onProgress?.({ done: i + 1, total: files.length, file: saved });
+    }
+
+    // versions point at ids, so they're rewired once every row exists
+    for (const row of files) {
+      const newId = fileIds.get(String(row.id));
+      if (!inserted.has(String(newId)) || (!row.version_group_id && !row.parent_file_id)) continue;
+      await db.update('files', { eq: { workspace_id: workspaceId, id: newId } }, {
+        version_group_id: fileIds.get(String(row.version_group_id)) ?? null,
+        parent_file_id: fileIds.get(String(row.parent_file_id)) ?? null
+      });
+    }
+
+    // collections merge by name; membership follows designs (see designIdOf)
+    const collectionIds = new Map();
+    const here = await db.select('collections', { eq: { workspace_id: workspaceId } });
+    for (const c of await rowsOf('collections')) {
+      let target = here.find(x => sameName(x.name, c.name));
+      if (!target) {
+        target = await createCollection(workspaceId, { name: c.name, description: c.description, userId: user(c.created_by) });
+        here.push(target);
+        summary.collections++;
+      }
+      collectionIds.set(String(c.id), target.id);
+    }
+    for (const m of await rowsOf('collection_files')) {
+      const collectionId = collectionIds.get(String(m.collection_id));
+      const designId = fileIds.get(String(m.design_id));
+      if (!collectionId || !designId) continue;
+      await db.upsert('collection_files', {
+        workspace_id: workspaceId,
+        collection_id: collectionId,
+        design_id: String(designId),
+        added_by: user(m.added_by),
+        added_at: m.added_at || new Date().toISOString()
+      }, { onConflict: 'collection_id,design_id' });
+    }
+    return summary;
+  } finally {
+    await zip.close();
+  }
+}
+
+// Called on uninstall; the workspace's data is purged once UNINSTALL_RETENTION_DAYS pass
+export async function markWorkspaceUninstalled(teamId, { now = new Date() } = {}) {
+  const [row] = await db.update('workspaces', { eq: { team_id: teamId } }, { uninstalled_at: now.toISOString() });
+  return row || null;
+}
+
+// Uninstalled workspaces whose retention window is over and that weren't purged since
+export async function listWorkspacesToPurge(retentionDays, { now = new Date() } = {}) {
+  const cutoff = new Date(now.getTime() - retentionDays * 86400000).toISOString();
+  const rows = await db.select('workspaces', { lte: { uninstalled_at: cutoff } });
+  return rows.filter(w => !w.purged_at || w.purged_at < w.uninstalled_at);
+}
+
+// Remove everything a workspace stored: its rows in every table and its storage folder.
+// A table that fails is reported and retried on the next sweep; purged_at is only set
+// once everything is gone. Returns { rows: { [table]: count }, objects, errors }.
+export async function purgeWorkspaceData(workspaceId, { now = new Date() } = {}) {
+  validateWorkspaceScope(workspaceId, 'purgeWorkspaceData');
+  const paths = new Set(storedPathsOf(await allRows('files', { workspace_id: workspaceId })));
+  for (const path of await storage.list('design_files', workspaceId)) paths.add(path);
+  const objects = [...paths];
+  for (let i = 0; i < objects.length; i += 100) await storage.remove('design_files', objects.slice(i, i + 100));
+
+  const rows = {};
+  const errors = [];
+  for (const table of WORKSPACE_TABLES) {
+    try {
+      rows[table] = (await db.remove(table, { eq: { workspace_id: workspaceId } })).length;
+    } catch (err) {
+      errors.push({ table, err: String(err?.message || err) });
+    }
+  }
+  if (!errors.length) await db.update('workspaces', { eq: { id: workspaceId } }, { purged_at: now.toISOString() });
+  return { rows, objects: objects.length, errors };
 }
 
 // ----------------------------
@@ -189,41 +1651,32 @@ export async function storeSlackInstallation(installation) {
 
   // Upsert by team_id/enterprise_id to avoid duplicates
   const conflictTarget = is_enterprise ? 'enterprise_id' : 'team_id';
-  const { error } = await supabase
-    .from('installations')
-    .upsert(
-      [{ team_id, enterprise_id, is_enterprise, user_id, data: installation }],
-      { onConflict: conflictTarget }
-    );
-  if (error) throw error;
+  await db.upsert(
+    'installations',
+    { team_id, enterprise_id, is_enterprise, user_id, data: installation },
+    { onConflict: conflictTarget }
+  );
+  // reinstalled within the retention window: keep the data
+  if (team_id) await db.update('workspaces', { eq: { team_id } }, { uninstalled_at: null });
 }
 
 // Fetch an installation for a workspace or enterprise
 export async function fetchSlackInstallation({ teamId, enterpriseId, isEnterpriseInstall }) {
-  const query = supabase
-    .from('installations')
-    .select('data')
-    .limit(1);
-
   if (isEnterpriseInstall && enterpriseId) {
-    const { data, error } = await query.eq('enterprise_id', enterpriseId).maybeSingle();
-    if (error) throw error;
-    return data?.data || null;
+    const row = await db.selectOne('installations', { eq: { enterprise_id: enterpriseId } });
+    return row?.data || null;
   } else if (teamId) {
-    const { data, error } = await query.eq('team_id', teamId).maybeSingle();
-    if (error) throw error;
-    return data?.data || null;
+    const row = await db.selectOne('installations', { eq: { team_id: teamId } });
+    return row?.data || null;
   }
   return null;
 }
 
 // Delete an installation (on app uninstall)
 export async function deleteSlackInstallation({ teamId, enterpriseId, isEnterpriseInstall }) {
-  let del;
   if (isEnterpriseInstall && enterpriseId) {
-    del = await supabase.from('installations').delete().eq('enterprise_id', enterpriseId);
+    await db.remove('installations', { eq: { enterprise_id: enterpriseId } });
   } else if (teamId) {
-    del = await supabase.from('installations').delete().eq('team_id', teamId);
+    await db.remove('installations', { eq: { team_id: teamId } });
   }
-  if (del?.error) throw del.error;
 }
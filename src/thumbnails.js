@@ -0,0 +1,79 @@
+// Thumbnails for result cards: PNGs at most THUMBNAIL_SIZE px on their longest side,
+// rendered from raster images and SVGs (sharp) and the first page of PDFs (pdf.js,
+// drawing on @napi-rs/canvas). The renderers are loaded on first use; without them
+// no thumbnails are made.
+
+export const THUMBNAIL_SIZE = Number(process.env.THUMBNAIL_SIZE || 360);
+
+let sharpModule;
+let pdfjsModule;
+
+async function loadSharp() {
+  if (sharpModule === undefined) sharpModule = await import('sharp').then(m => m.default).catch(() => null);
+  return sharpModule;
+}
+
+async function loadPdfjs() {
+  if (pdfjsModule === undefined) pdfjsModule = await import('pdfjs-dist/legacy/build/pdf.mjs').catch(() => null);
+  return pdfjsModule;
+}
+
+export function kindOf(buf, { fileName, mimeType }) {
+  const ext = (String(fileName || '').toLowerCase().match(/\.([a-z0-9]+)$/) || [])[1] || '';
+  const mime = String(mimeType || '').toLowerCase();
+  const head = buf.toString('latin1', 0, 512);
+  if (ext === 'pdf' || mime === 'application/pdf' || head.startsWith('%PDF')) return 'pdf';
+  if (ext === 'svg' || mime === 'image/svg+xml' || /<svg\b/i.test(head)) return 'svg';
+  if (mime.startsWith('image/') || ['png', 'jpg', 'jpeg', 'gif', 'webp', 'tif', 'tiff', 'avif'].includes(ext)) return 'image';
+  return null;
+}
+
+async function renderPdfPage(buf) {
+  const pdfjs = await loadPdfjs();
+  if (!pdfjs) return null;
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(buf), isEvalSupported: false, verbosity: 0 }).promise;
+  try {
+    const page = await doc.getPage(1);
+    const { width, height } = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: THUMBNAIL_SIZE / Math.max(width, height) });
+    // pdf.js only provides a canvas in Node when @napi-rs/canvas is installed
+    if (!doc.canvasFactory) return null;
+    const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    // PDFs assume a white page
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvasContext: context, viewport, canvas }).promise;
+    return canvas.toBuffer('image/png');
+  } finally {
+    await doc.destroy();
+  }
+}
+
+async function renderImage(buf) {
+  const sharp = await loadSharp();
+  if (!sharp) return null;
+  return sharp(buf, { animated: false, limitInputPixels: 100_000_000 })
+    .rotate() // honour EXIF orientation
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .png()
+    .toBuffer();
+}
+
+// PNG thumbnail of a file, or null for file kinds we don't render, a missing
+// renderer or a file that fails to render
+export async function renderThumbnail(buf, { fileName, mimeType } = {}) {
+  if (!buf?.length) return null;
+  const kind = kindOf(buf, { fileName, mimeType });
+  if (!kind) return null;
+  try {
+    return await (kind === 'pdf' ? renderPdfPage(buf) : renderImage(buf));
+  } catch {
+    return null;
+  }
+}
+
+// Thumbnails live next to their original in the workspace's storage folder
+export function thumbnailPathFor(storagePath) {
+  return `${storagePath}.thumb.png`;
+}
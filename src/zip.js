@@ -0,0 +1,175 @@
+import { createWriteStream } from 'node:fs';
+import { open } from 'node:fs/promises';
+import { deflateRawSync, inflateRawSync } from 'node:zlib';
+
+// Minimal ZIP reader/writer for workspace export bundles. Entries are deflated (or
+// stored when that's smaller) and written one at a time, so only one object is held in
+// memory. No ZIP64: a bundle must stay under 4 GB and 65535 entries.
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const UTF8_NAMES = 0x0800;
+const MAX_32 = 0xffffffff;
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+export function crc32(buf) {
+  let c = -1;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ -1) >>> 0;
+}
+
+// MS-DOS date and time fields
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+// Write a zip to `path`: await add(name, data) for each entry, then await close()
+export function createZipWriter(path) {
+  const out = createWriteStream(path);
+  const entries = [];
+  let offset = 0;
+  let failed = null;
+  out.on('error', err => { failed = err; });
+
+  const write = buf => new Promise((resolve, reject) => {
+    if (failed) return reject(failed);
+    out.write(buf, err => (err ? reject(err) : resolve()));
+    offset += buf.length;
+  });
+
+  return {
+    async add(name, data, { modifiedAt = new Date() } = {}) {
+      const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+      const deflated = deflateRawSync(raw);
+      const method = deflated.length < raw.length ? 8 : 0;
+      const body = method ? deflated : raw;
+      const nameBuf = Buffer.from(name, 'utf8');
+      if (entries.length >= 0xffff || offset + 30 + nameBuf.length + body.length > MAX_32) {
+        throw new Error('Bundle too large for a ZIP without ZIP64 (4 GB / 65535 entries)');
+      }
+      const entry = { nameBuf, method, crc: crc32(raw), size: raw.length, compressed: body.length, offset, ...dosDateTime(modifiedAt) };
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(LOCAL_HEADER, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(UTF8_NAMES, 6);
+      header.writeUInt16LE(method, 8);
+      header.writeUInt16LE(entry.time, 10);
+      header.writeUInt16LE(entry.date, 12);
+      header.writeUInt32LE(entry.crc, 14);
+      header.writeUInt32LE(entry.compressed, 18);
+      header.writeUInt32LE(entry.size, 22);
+      header.writeUInt16LE(nameBuf.length, 26);
+      header.writeUInt16LE(0, 28);
+      await write(Buffer.concat([header, nameBuf]));
+      await write(body);
+      entries.push(entry);
+    },
+
+    async close() {
+      const start = offset;
+      for (const e of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(CENTRAL_HEADER, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(20, 6);
+        header.writeUInt16LE(UTF8_NAMES, 8);
+        header.writeUInt16LE(e.method, 10);
+        header.writeUInt16LE(e.time, 12);
+        header.writeUInt16LE(e.date, 14);
+        header.writeUInt32LE(e.crc, 16);
+        header.writeUInt32LE(e.compressed, 20);
+        header.writeUInt32LE(e.size, 24);
+        header.writeUInt16LE(e.nameBuf.length, 28);
+        header.writeUInt32LE(e.offset, 42);
+        await write(Buffer.concat([header, e.nameBuf]));
+      }
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      await write(end);
+      await new Promise((resolve, reject) => {
+        if (failed) return reject(failed);
+        out.end(err => (err ? reject(err) : resolve()));
+      });
+    }
+  };
+}
+
+// Open a zip for reading: { names, has(name), read(name), close() }. Entries are read
+// (and checked against their CRC) on demand.
+export async function openZip(path) {
+  const fh = await open(path, 'r');
+  try {
+    const { size } = await fh.stat();
+    const readAt = async (position, length) => {
+      const buf = Buffer.alloc(length);
+      const { bytesRead } = await fh.read(buf, 0, length, position);
+      if (bytesRead !== length) throw new Error('Truncated zip file');
+      return buf;
+    };
+
+    // the end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+    const tailLength = Math.min(size, 22 + 0xffff);
+    const tail = await readAt(size - tailLength, tailLength);
+    let at = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIR) { at = i; break; }
+    }
+    if (at < 0) throw new Error('Not a zip file');
+    const count = tail.readUInt16LE(at + 10);
+    const dirSize = tail.readUInt32LE(at + 12);
+    const dirOffset = tail.readUInt32LE(at + 16);
+
+    const dir = await readAt(dirOffset, dirSize);
+    const entries = new Map();
+    for (let p = 0, n = 0; n < count; n++) {
+      if (dir.readUInt32LE(p) !== CENTRAL_HEADER) throw new Error('Corrupt zip directory');
+      const nameLength = dir.readUInt16LE(p + 28);
+      const extraLength = dir.readUInt16LE(p + 30);
+      const commentLength = dir.readUInt16LE(p + 32);
+      const name = dir.toString('utf8', p + 46, p + 46 + nameLength);
+      entries.set(name, {
+        method: dir.readUInt16LE(p + 10),
+        crc: dir.readUInt32LE(p + 16),
+        compressed: dir.readUInt32LE(p + 20),
+        size: dir.readUInt32LE(p + 24),
+        offset: dir.readUInt32LE(p + 42)
+      });
+      p += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return {
+      names: [...entries.keys()],
+      has: name => entries.has(name),
+      async read(name) {
+        const e = entries.get(name);
+        if (!e) throw new Error(`No ${name} in the zip`);
+        const header = await readAt(e.offset, 30);
+        const dataStart = e.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const body = await readAt(dataStart, e.compressed);
+        let data;
+        if (e.method === 0) data = body;
+        else if (e.method === 8) data = inflateRawSync(body);
+        else throw new Error(`Unsupported compression in ${name}`);
+        if (crc32(data) !== e.crc) throw new Error(`Checksum mismatch in ${name}`);
+        return data;
+      },
+      close: () => fh.close()
+    };
+  } catch (err) {
+    await fh.close();
+    throw err;
+  }
+}
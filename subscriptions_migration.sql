@@ -0,0 +1,30 @@
+-- ============================================
+-- Saved Search Subscriptions Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Searches people asked to be notified about. The digest of new matches goes to
+-- the subscriber's DM, or to channel_id when set. last_run_at is the uploaded_at of the
+-- newest match the last digest handled; the next one starts after it.
+CREATE TABLE IF NOT EXISTS public.search_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id uuid NOT NULL REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  user_id text NOT NULL,
+  query text NOT NULL,
+  filters jsonb NOT NULL DEFAULT '{}'::jsonb,
+  frequency text NOT NULL DEFAULT 'daily' CHECK (frequency IN ('daily', 'weekly')),
+  channel_id text,
+  last_run_at timestamptz,
+  next_run_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS idx_search_subscriptions_workspace_user
+  ON public.search_subscriptions(workspace_id, user_id);
+
+-- Step 2: The scheduler picks up subscriptions whose next digest is due
+CREATE INDEX IF NOT EXISTS idx_search_subscriptions_next_run_at
+  ON public.search_subscriptions(next_run_at);
+
+-- Step 3: Same defense-in-depth RLS as files/workspaces
+ALTER TABLE public.search_subscriptions ENABLE ROW LEVEL SECURITY;
+-- ============================================
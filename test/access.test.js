@@ -0,0 +1,126 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { canManageFile, canViewFile, createChannelAudience, sourceChannelAccess } from '../src/access.js';
+import { getOrCreateWorkspace, saveUploadedFileMetadata, updateFileAccess } from '../src/supabase.js';
+
+function viewer(userId, { channels = [], usergroups = [] } = {}) {
+  return {
+    userId,
+    email: async () => null,
+    inUsergroup: async (id) => usergroups.includes(id),
+    inChannel: async (id) => channels.includes(id)
+  };
+}
+
+test('only the allow list of the chosen mode is saved', async () => {
+  const ws = await getOrCreateWorkspace('T_ACCESS_1', 'Acme');
+  const file = await saveUploadedFileMetadata({
+    workspace_id: ws.id, user_id: 'U1', file_name: 'Roadmap', privacy: 'people',
+    allowed_user_ids: ['U2'], allowed_usergroup_ids: ['S1'], allowed_channel_ids: ['C1']
+  });
+  assert.deepEqual(file.allowed_user_ids, ['U2']);
+  assert.deepEqual(file.allowed_usergroup_ids, []);
+  assert.deepEqual(file.allowed_channel_ids, []);
+
+  const [updated] = await updateFileAccess(ws.id, file, { privacy: 'channel', allowed_user_ids: ['U2'], allowed_channel_ids: ['C1'] });
+  assert.deepEqual(updated.allowed_user_ids, []);
+  assert.deepEqual(updated.allowed_channel_ids, ['C1']);
+});
+
+test('a restricted file only honours the allow list of its mode', async () => {
+  const file = {
+    user_id: 'U1', privacy: 'channel',
+    allowed_user_ids: ['U2'], allowed_usergroup_ids: ['S1'], allowed_channel_ids: ['C1']
+  };
+  assert.equal(await canViewFile(file, viewer('U1')), true);
+  assert.equal(await canViewFile(file, viewer('U3', { channels: ['C1'] })), true);
+  assert.equal(await canViewFile(file, viewer('U2')), false);
+  assert.equal(await canViewFile(file, viewer('U4', { usergroups: ['S1'] })), false);
+  assert.equal(await canViewFile({ ...file, privacy: 'company' }, viewer('U5')), true);
+});
+
+// A Slack client for channel audiences: channels { id: { members, external, private, im, mpim } },
+// usergroups { id: [user ids] }, bot user ids and workspace admin/owner ids
+function slackClient({ channels = {}, usergroups = {}, bots = [], admins = [], owners = [] } = {}) {
+  return {
+    conversations: {
+      info: async ({ channel }) => {
+        const c = channels[channel];
+        if (!c) throw new Error('channel_not_found');
+        return { channel: { id: channel, is_ext_shared: Boolean(c.external), is_private: Boolean(c.private), is_im: Boolean(c.im), is_mpim: Boolean(c.mpim) } };
+      },
+      members: async ({ channel }) => ({ members: channels[channel]?.members || [] })
+    },
+    usergroups: { users: { list: async ({ usergroup }) => ({ users: usergroups[usergroup] || [] }) } },
+    users: {
+      info: async ({ user }) => {
+        if (user === 'U_GONE') throw new Error('user_not_found');
+        return { user: { id: user, is_bot: bots.includes(user), is_admin: admins.includes(user), is_owner: owners.includes(user) } };
+      }
+    }
+  };
+}
+
+const designers = { user_id: 'U1', privacy: 'usergroups', allowed_usergroup_ids: ['S_DESIGN'] };
+
+test('a channel audience can see a restricted file when every member is allowed', async () => {
+  const client = slackClient({
+    channels: { C_TEAM: { members: ['U1', 'U2', 'U3', 'B_BOT'] } },
+    usergroups: { S_DESIGN: ['U2', 'U3'] },
+    bots: ['B_BOT']
+  });
+  const audience = createChannelAudience({ client, channelId: 'C_TEAM' });
+  assert.equal(await audience.canView(designers), true);
+  assert.equal(await audience.canView({ user_id: 'U1', privacy: 'company' }), true);
+});
+
+test('one member who may not see the file keeps it out of the channel', async () => {
+  const client = slackClient({
+    channels: { C_TEAM: { members: ['U1', 'U2', 'U_SALES'] } },
+    usergroups: { S_DESIGN: ['U2'] }
+  });
+  const audience = createChannelAudience({ client, channelId: 'C_TEAM' });
+  assert.equal(await audience.canView(designers), false);
+  assert.equal(await audience.canView({ user_id: 'U1', privacy: 'people', allowed_user_ids: ['U2', 'U_SALES'] }), true);
+});
+
+test('company files stay out of channels shared with other organizations', async () => {
+  const client = slackClient({ channels: { C_EXT: { members: ['U1'], external: true } } });
+  const audience = createChannelAudience({ client, channelId: 'C_EXT' });
+  assert.equal(await audience.canView({ user_id: 'U1', privacy: 'company' }), false);
+  assert.equal(await audience.canView({ user_id: 'U1', privacy: 'public' }), true);
+});
+
+test('restricted files only go to a channel too big to check when it is on the allow list', async () => {
+  const members = Array.from({ length: 501 }, (_, i) => `U${i}`);
+  const client = slackClient({ channels: { C_ALL: { members } }, usergroups: { S_DESIGN: members } });
+  const audience = createChannelAudience({ client, channelId: 'C_ALL' });
+  assert.equal(await audience.canView(designers), false);
+  assert.equal(await audience.canView({ user_id: 'U1', privacy: 'channel', allowed_channel_ids: ['C_ALL'] }), true);
+});
+
+test('only the uploader or a workspace admin may edit or delete a file', async () => {
+  const client = slackClient({ admins: ['U_ADMIN'], owners: ['U_OWNER'] });
+  const file = { id: 1, user_id: 'U1', privacy: 'company' };
+  assert.equal(await canManageFile(client, file, 'U1'), true);
+  assert.equal(await canManageFile(client, file, 'U_ADMIN'), true);
+  assert.equal(await canManageFile(client, file, 'U_OWNER'), true);
+  assert.equal(await canManageFile(client, file, 'U2'), false);
+  // a user Slack can't look up is no admin
+  assert.equal(await canManageFile(client, file, 'U_GONE'), false);
+  assert.equal(await canManageFile(client, file, null), false);
+  // a file without an uploader is left to admins
+  assert.equal(await canManageFile(client, { id: 2, user_id: null }, 'U2'), false);
+});
+
+test('files saved from private channels and DMs are kept to their members', async () => {
+  const client = slackClient({ channels: { C_PUBLIC: {}, G_PRIVATE: { private: true }, D_DM: { im: true }, G_GROUP: { mpim: true } } });
+  assert.equal(await sourceChannelAccess(client, 'C_PUBLIC'), null);
+  for (const id of ['G_PRIVATE', 'D_DM', 'G_GROUP']) {
+    assert.deepEqual(await sourceChannelAccess(client, id), { privacy: 'channel', allowed_channel_ids: [id] });
+  }
+  // unknown to the app: the workspace default applies
+  assert.equal(await sourceChannelAccess(client, 'C_UNKNOWN'), null);
+  assert.equal(await sourceChannelAccess(client, null), null);
+});
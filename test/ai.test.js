@@ -0,0 +1,102 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// the provider is picked when ai.js loads
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_MOCK_LATENCY_MS = '20';
+const { keywordFileMetadata, parseFollowUpWithAI, rerankFilesWithAI, suggestFileMetadata } = await import('../src/ai.js');
+const { aiUsageFor, getOrCreateWorkspace, recordAiUsage } = await import('../src/supabase.js');
+const { db } = await import('../src/store/index.js');
+
+// What a server.js call site passes: the workspace's model, budget and usage recorder
+function aiOptions(workspace, feature, tokensLeft = Infinity) {
+  return { model: 'ws-model', tokensLeft, onUsage: usage => recordAiUsage(workspace.id, { feature, ...usage }) };
+}
+
+test('concurrent usage records all add up', async () => {
+  const ws = await getOrCreateWorkspace('T_AI_1', 'Acme');
+  await Promise.all(Array.from({ length: 25 }, () => recordAiUsage(ws.id, { feature: 'rerank', model: 'm', promptTokens: 10, completionTokens: 2 })));
+  const rows = await db.select('ai_usage', { eq: { workspace_id: ws.id } });
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].requests, 25);
+  assert.equal(rows[0].prompt_tokens, 250);
+  assert.equal(rows[0].completion_tokens, 50);
+});
+
+test('follow-ups use the workspace model and count their tokens', async () => {
+  const ws = await getOrCreateWorkspace('T_AI_2', 'Acme');
+  const calls = [];
+  const options = aiOptions(ws, 'follow_up');
+  await parseFollowUpWithAI('only pdfs', { previousQuery: 'checkout', ...options, onUsage: usage => (calls.push(usage), options.onUsage(usage)) });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].model, 'ws-model');
+  const usage = await aiUsageFor(ws.id);
+  assert.equal(usage.requests, 1);
+  assert.ok(usage.byFeature.follow_up > 0);
+});
+
+test('nothing is sent once the budget is used up', async () => {
+  const ws = await getOrCreateWorkspace('T_AI_3', 'Acme');
+  const followUp = await parseFollowUpWithAI('only pdfs', { previousQuery: 'checkout', ...aiOptions(ws, 'follow_up', 10) });
+  const suggestion = await suggestFileMetadata({ fileName: 'ORCA checkout flow.png', ...aiOptions(ws, 'suggest_metadata', 10) });
+  const rerank = await rerankFilesWithAI('checkout', [{ id: 1, file_name: 'a' }, { id: 2, file_name: 'checkout' }], 2, aiOptions(ws, 'rerank', 10));
+  assert.equal(followUp, null);
+  assert.equal(suggestion.source, 'keywords');
+  assert.equal(rerank.source, 'budget');
+  assert.equal((await aiUsageFor(ws.id)).requests, 0);
+});
+
+test('upload suggestions, vision pass included, are counted against the budget', async () => {
+  const ws = await getOrCreateWorkspace('T_AI_4', 'Acme');
+  const calls = [];
+  const options = aiOptions(ws, 'suggest_metadata');
+  const suggestion = await suggestFileMetadata({
+    fileName: 'ORCA checkout flow.png',
+    mimeType: 'image/png',
+    image: Buffer.from('not really a png'),
+    ...options,
+    onUsage: usage => (calls.push(usage), options.onUsage(usage))
+  });
+  // the mock gives no usable answer, so the keyword fallback is used
+  assert.equal(suggestion.source, 'keywords');
+  assert.equal(calls[0].model, 'ws-model');
+  assert.equal((await aiUsageFor(ws.id)).byFeature.suggest_metadata > 0, true);
+});
+
+test('a suggestion that times out falls back and still counts its prompt', async () => {
+  const ws = await getOrCreateWorkspace('T_AI_5', 'Acme');
+  const suggestion = await suggestFileMetadata({ fileName: 'ORCA checkout flow.png', ...aiOptions(ws, 'suggest_metadata'), timeoutMs: 1 });
+  assert.equal(suggestion.source, 'keywords');
+  const usage = await aiUsageFor(ws.id);
+  assert.equal(usage.requests, 1);
+  assert.ok(usage.tokens > 0);
+});
+
+test('a follow-up that times out throws and still counts its prompt', async () => {
+  const ws = await getOrCreateWorkspace('T_AI_6', 'Acme');
+  await assert.rejects(
+    parseFollowUpWithAI('only pdfs', { previousQuery: 'checkout', ...aiOptions(ws, 'follow_up'), timeoutMs: 1 }),
+    { code: 'ETIMEDOUT' }
+  );
+  assert.ok((await aiUsageFor(ws.id)).byFeature.follow_up > 0);
+});
+
+test('without the AI, suggestions come from the file name, its text and known projects', async () => {
+  const upload = {
+    fileName: 'ORCA checkout flow v2.png',
+    contentText: 'Checkout\nThe new checkout flow for mobile payments\nPayment options',
+    knownTags: ['payment']
+  };
+  const expected = {
+    tags: ['checkout', 'flow', 'payment', 'orca'],
+    description: 'The new checkout flow for mobile payments',
+    project: 'ORCA',
+    source: 'keywords'
+  };
+  assert.deepEqual(keywordFileMetadata(upload), expected);
+  assert.deepEqual(await suggestFileMetadata({ ...upload, tokensLeft: 0 }), expected);
+  // a project the workspace already has wins over an all-caps word
+  assert.equal(keywordFileMetadata({ fileName: 'ORCA web hero.png', knownProjects: ['Orca Web'] }).project, 'Orca Web');
+  assert.deepEqual(keywordFileMetadata({ fileName: 'homepage.fig' }), { tags: ['homepage'], description: null, project: null, source: 'keywords' });
+});
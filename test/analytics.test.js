@@ -0,0 +1,65 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import { db } from '../src/store/index.js';
+import { getOrCreateWorkspace, recordSearchEvent, recordSearchOpen } from '../src/supabase.js';
+import { searchAnalyticsCsv, summarizeSearches } from '../src/analytics.js';
+
+test('opens go to the latest search of a refined session, and concurrent opens all land', async () => {
+  const ws = await getOrCreateWorkspace('T_ANALYTICS_1', 'Acme');
+  const sessionId = randomUUID();
+  const first = await recordSearchEvent({ workspace_id: ws.id, user_id: 'U1', session_id: sessionId, query: 'checkout', result_ids: ['1', '2', '3'] });
+  await db.update('search_events', { eq: { id: first.id } }, { created_at: '2026-01-01T00:00:00.000Z' });
+  const refined = await recordSearchEvent({ workspace_id: ws.id, user_id: 'U1', session_id: sessionId, query: 'only pdfs', result_ids: ['2', '3'], refined: true });
+
+  await Promise.all([recordSearchOpen(ws.id, sessionId, 2), recordSearchOpen(ws.id, sessionId, 3)]);
+
+  const event = id => db.selectOne('search_events', { eq: { id } });
+  assert.deepEqual((await event(first.id)).opened_file_ids, []);
+  assert.deepEqual((await event(refined.id)).opened_file_ids.sort(), ['2', '3']);
+  assert.equal(await recordSearchOpen(ws.id, randomUUID(), 2), null);
+});
+
+test('search analytics summarise the window and export as CSV', () => {
+  const now = new Date('2026-03-31T12:00:00.000Z');
+  const files = [
+    { id: 1, file_name: 'Checkout, v2', uploaded_at: '2026-03-20T00:00:00.000Z' },
+    { id: 2, file_name: 'Old logo', uploaded_at: '2025-12-01T00:00:00.000Z' },
+    { id: 3, name: 'Pricing', uploaded_at: '2025-11-01T00:00:00.000Z' }
+  ];
+  const events = [
+    { query: 'Checkout  flow', result_count: 2, opened_file_ids: ['1'], latency_ms: 100, ai_reranked: true, created_at: '2026-03-30T10:00:00.000Z' },
+    { query: 'checkout flow', result_count: 1, opened_file_ids: ['1', '3'], latency_ms: 200, created_at: '2026-03-30T11:00:00.000Z' },
+    { query: 'unicorns', result_count: 0, latency_ms: 60, created_at: '2026-03-29T00:00:00.000Z' },
+    // before the window
+    { query: 'old logo', result_count: 1, opened_file_ids: ['2'], latency_ms: 10, created_at: '2026-01-01T00:00:00.000Z' }
+  ];
+  const summary = summarizeSearches(events, files, { now, windowDays: 30 });
+
+  assert.equal(summary.totalSearches, 3);
+  assert.equal(summary.zeroResultRate, 1 / 3);
+  assert.equal(summary.aiRerankRate, 1 / 3);
+  assert.equal(summary.avgLatencyMs, 120);
+  assert.deepEqual(summary.topQueries.map(q => [q.query, q.count, q.avgResults]), [['Checkout flow', 2, 1.5], ['unicorns', 1, 0]]);
+  assert.deepEqual(summary.zeroResultQueries.map(q => [q.query, q.count]), [['unicorns', 1]]);
+  assert.deepEqual(summary.mostOpened.map(o => [o.file.id, o.count]), [[1, 2], [3, 1]]);
+  assert.deepEqual(summary.staleFiles.map(s => s.file.id), [2]);
+
+  const csv = searchAnalyticsCsv({ ...summary, aiUsage: { period: '2026-03', tokens: 1200, budget: 0 } });
+  assert.deepEqual(csv.trim().split('\n'), [
+    'report,item,file_id,count,last_at',
+    'summary,searches,,3,',
+    'summary,zero_result_rate,,0.333,',
+    'summary,ai_rerank_rate,,0.333,',
+    'summary,avg_latency_ms,,120,',
+    'ai_usage,tokens_2026-03,,1200,',
+    'ai_usage,monthly_token_budget,,,',
+    'top_query,Checkout flow,,2,2026-03-30T11:00:00.000Z',
+    'top_query,unicorns,,1,2026-03-29T00:00:00.000Z',
+    'zero_result_query,unicorns,,1,2026-03-29T00:00:00.000Z',
+    'most_opened,"Checkout, v2",1,2,2026-03-30T11:00:00.000Z',
+    'most_opened,Pricing,3,1,2026-03-30T11:00:00.000Z',
+    'stale_file,Old logo,2,0,2025-12-01T00:00:00.000Z'
+  ]);
+});
@@ -0,0 +1,41 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { collectionDigestBlocks, homeBlocks, sharedFileBlocks, subscriptionDigestBlocks } from '../src/blocks.js';
+import { describeFilters, escapeMrkdwn } from '../src/query.js';
+
+const file = {
+  id: 1,
+  user_id: 'U1',
+  file_name: '<!channel> Q3 & more',
+  description: 'See <https://evil.example|Figma>',
+  tags: ['<@U2>']
+};
+const texts = blocks => JSON.stringify(blocks);
+
+test('user text is escaped wherever it goes into mrkdwn', () => {
+  assert.equal(escapeMrkdwn('<!here> & <a|b>'), '&lt;!here&gt; &amp; &lt;a|b&gt;');
+  for (const blocks of [
+    sharedFileBlocks(file, { sharedBy: 'U3' }),
+    collectionDigestBlocks({ collection: { name: '<!channel>', description: '<https://evil.example|x>' }, files: [file] }),
+    subscriptionDigestBlocks({ subscription: { id: 1, user_id: 'U3', frequency: 'daily', query: '<!everyone>' }, files: [file] })
+  ]) {
+    const out = texts(blocks);
+    assert.doesNotMatch(out, /<!(channel|here|everyone)>|<https:\/\/evil|<@U2>/);
+    assert.match(out, /&lt;!channel&gt; Q3 &amp; more/);
+  }
+  // the mrkdwn the app writes itself is kept
+  assert.match(texts(sharedFileBlocks(file, { sharedBy: 'U3' })), /<@U3> shared a design/);
+  assert.equal(describeFilters({ uploaderIds: ['U1'], tags: ['<!here>'] }), 'by <@U1> · tagged &lt;!here&gt;');
+});
+
+test('the App Home offers Edit, Archive and Delete only on files the viewer may manage', () => {
+  const files = [{ id: 1, user_id: 'U1', file_name: 'Mine' }, { id: 2, user_id: 'U2', file_name: 'Theirs', file_url: 'https://www.figma.com/file/abc' }];
+  const blocks = homeBlocks({ files, state: {}, manageable: new Set(['1']) });
+  const buttons = blocks.filter(b => b.type === 'actions' && b.elements.some(e => e.action_id.endsWith('_file')))
+    .map(b => b.elements.map(e => `${e.action_id}:${e.value}`));
+  assert.deepEqual(buttons, [
+    ['home_edit_file:1', 'home_archive_file:1', 'home_delete_file:1'],
+    ['home_open_file:2']
+  ]);
+});
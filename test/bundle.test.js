@@ -0,0 +1,116 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { db, storage } from '../src/store/index.js';
+import { createZipWriter, openZip } from '../src/zip.js';
+import {
+  addFileToCollections, createCollection, exportWorkspaceBundle, getOrCreateWorkspace, importWorkspaceBundle,
+  purgeWorkspaceData, saveUploadedFileMetadata, uploadFileToStorage
+} from '../src/supabase.js';
+
+const dir = await mkdtemp(join(tmpdir(), 'bundle-test-'));
+test.after(() => rm(dir, { recursive: true, force: true }));
+
+test('zip entries read back as written', async () => {
+  const path = join(dir, 'roundtrip.zip');
+  const big = Buffer.from('mockup '.repeat(5000));
+  const random = Buffer.from(Array.from({ length: 2048 }, (_, i) => (i * 7919) % 251));
+  const zip = createZipWriter(path);
+  await zip.add('manifest.json', '{"ok":true}');
+  await zip.add('objects/ws/1_café.png', random);
+  await zip.add('big.txt', big);
+  await zip.close();
+
+  const read = await openZip(path);
+  try {
+    assert.deepEqual(read.names, ['manifest.json', 'objects/ws/1_café.png', 'big.txt']);
+    assert.equal(String(await read.read('manifest.json')), '{"ok":true}');
+    assert.deepEqual(await read.read('objects/ws/1_café.png'), random);
+    assert.deepEqual(await read.read('big.txt'), big);
+    assert.equal(read.has('missing.txt'), false);
+  } finally {
+    await read.close();
+  }
+});
+
+test('an export imports into another workspace with new ids, objects and mapped names', async () => {
+  const from = await getOrCreateWorkspace('T_BUNDLE_FROM', 'Acme');
+  const to = await getOrCreateWorkspace('T_BUNDLE_TO', 'Acme 2');
+  const stored = await uploadFileToStorage(Buffer.from('png bytes'), 'hero.png', from.id);
+  const original = await saveUploadedFileMetadata({
+    workspace_id: from.id, user_id: 'U_OLD', file_name: 'Hero banner', tags: ['wip', 'web'],
+    storage_path: stored.path, content_hash: 'hash-hero', slack_file_id: 'F123'
+  });
+  await db.update('files', { eq: { id: original.id } }, { archived_at: '2020-01-01T00:00:00.000Z', last_accessed_at: '2020-01-01T00:00:00.000Z' });
+  await saveUploadedFileMetadata({ workspace_id: from.id, user_id: 'U_OLD', file_name: 'Figma board', file_url: 'https://www.figma.com/file/abc' });
+  const collection = await createCollection(from.id, { name: 'Launch', userId: 'U_OLD' });
+  await addFileToCollections(from.id, original, [collection.id], 'U_OLD');
+
+  const zipPath = join(dir, 'export.zip');
+  const manifest = await exportWorkspaceBundle(from.id, zipPath);
+  assert.equal(manifest.counts.files, 2);
+  assert.equal(manifest.objects, 1);
+
+  const mapping = { tags: { WIP: null }, names: { 'hero banner': 'Hero' }, users: { U_OLD: 'U_NEW' } };
+  const summary = await importWorkspaceBundle(to.id, zipPath, { mapping });
+  assert.equal(summary.files, 2);
+  assert.equal(summary.collections, 1);
+
+  const files = await db.select('files', { eq: { workspace_id: to.id } });
+  const hero = files.find(f => f.name === 'Hero');
+  assert.notEqual(hero.id, original.id);
+  assert.equal(hero.user_id, 'U_NEW');
+  assert.deepEqual(hero.tags, ['web']);
+  assert.ok(hero.storage_path.startsWith(`${to.id}/`));
+  assert.equal(String(await storage.download('design_files', hero.storage_path)), 'png bytes');
+  assert.equal(hero.file_url, null);
+  assert.equal(hero.slack_file_id, null);
+  assert.ok(hero.archived_at > '2020-01-01T00:00:00.000Z');
+  assert.ok(hero.last_accessed_at > '2020-01-01T00:00:00.000Z');
+  assert.equal(files.find(f => f.name === 'Figma board').file_url, 'https://www.figma.com/file/abc');
+
+  const members = await db.select('collection_files', { eq: { workspace_id: to.id } });
+  assert.deepEqual(members.map(m => m.design_id), [String(hero.id)]);
+
+  // a second import of the same bundle adds nothing
+  const again = await importWorkspaceBundle(to.id, zipPath, { mapping });
+  assert.equal(again.files, 0);
+  assert.equal(again.skipped, 2);
+});
+
+test('purging a workspace removes its rows and stored objects and leaves others alone', async () => {
+  const gone = await getOrCreateWorkspace('T_BUNDLE_PURGE', 'Acme');
+  const kept = await getOrCreateWorkspace('T_BUNDLE_KEEP', 'Other');
+  const stored = await uploadFileToStorage(Buffer.from('bytes'), 'a.png', gone.id);
+  await uploadFileToStorage(Buffer.from('orphan'), 'orphan.png', gone.id);
+  await saveUploadedFileMetadata({ workspace_id: gone.id, user_id: 'U1', file_name: 'A', storage_path: stored.path });
+  await createCollection(gone.id, { name: 'Old', userId: 'U1' });
+  await saveUploadedFileMetadata({ workspace_id: kept.id, user_id: 'U1', file_name: 'B' });
+
+  const { objects, errors } = await purgeWorkspaceData(gone.id);
+  assert.deepEqual(errors, []);
+  assert.equal(objects, 2);
+  assert.deepEqual(await storage.list('design_files', gone.id), []);
+  assert.deepEqual(await db.select('files', { eq: { workspace_id: gone.id } }), []);
+  assert.deepEqual(await db.select('collections', { eq: { workspace_id: gone.id } }), []);
+  assert.equal((await db.select('files', { eq: { workspace_id: kept.id } })).length, 1);
+  assert.ok((await db.selectOne('workspaces', { eq: { id: gone.id } })).purged_at);
+});
+
+test('allow-listed user groups and channels are only kept on import when mapped', async () => {
+  const from = await getOrCreateWorkspace('T_BUNDLE_ACL_FROM', 'Acme');
+  const to = await getOrCreateWorkspace('T_BUNDLE_ACL_TO', 'Acme 2');
+  await saveUploadedFileMetadata({ workspace_id: from.id, user_id: 'U1', file_name: 'Design only', privacy: 'usergroups', allowed_usergroup_ids: ['S_OLD', 'S_GONE'] });
+  await saveUploadedFileMetadata({ workspace_id: from.id, user_id: 'U1', file_name: 'Team channel', privacy: 'channel', allowed_channel_ids: ['C_OLD'] });
+
+  const zipPath = join(dir, 'acl.zip');
+  await exportWorkspaceBundle(from.id, zipPath);
+  await importWorkspaceBundle(to.id, zipPath, { mapping: { usergroups: { S_OLD: 'S_NEW' } } });
+
+  const files = await db.select('files', { eq: { workspace_id: to.id } });
+  assert.deepEqual(files.find(f => f.name === 'Design only').allowed_usergroup_ids, ['S_NEW']);
+  assert.deepEqual(files.find(f => f.name === 'Team channel').allowed_channel_ids, []);
+});
@@ -0,0 +1,29 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addFileToCollections, createCollection, getOrCreateWorkspace, listCollections, saveUploadedFileMetadata } from '../src/supabase.js';
+import { collectionDigestBlocks } from '../src/blocks.js';
+
+const viewer = userId => ({ userId, email: async () => null, inUsergroup: async () => false, inChannel: async () => false });
+
+test('collection file counts only include files the viewer can see', async () => {
+  const ws = await getOrCreateWorkspace('T_COLLECTIONS_1', 'Acme');
+  const collection = await createCollection(ws.id, { name: 'ORCA Q3', userId: 'U1' });
+  const open = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Roadmap' });
+  const secret = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Pricing', privacy: 'people', allowed_user_ids: ['U2'] });
+  await addFileToCollections(ws.id, open, [collection.id], 'U1');
+  await addFileToCollections(ws.id, secret, [collection.id], 'U1');
+
+  const count = async (v) => (await listCollections(ws.id, { viewer: v }))[0].file_count;
+  assert.equal(await count(viewer('U3')), 1);
+  assert.equal(await count(viewer('U2')), 2);
+  assert.equal(await count(null), 2);
+});
+
+test('a shared collection renders as one digest message', async () => {
+  const ws = await getOrCreateWorkspace('T_COLLECTIONS_2', 'Acme');
+  const collection = await createCollection(ws.id, { name: 'Launch', userId: 'U1' });
+  const file = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Hero' });
+  const blocks = collectionDigestBlocks({ collection, files: [file], sharedBy: 'U1', hiddenCount: 1 });
+  assert.match(blocks[1].elements[0].text, /1 design · shared by <@U1> · 1 more not visible to everyone here$/);
+});
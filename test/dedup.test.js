@@ -0,0 +1,57 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { storage } from '../src/store/index.js';
+import {
+  deleteFile, findFileByContentHash, findNearDuplicates, getOrCreateWorkspace, saveUploadedFileMetadata, storeFileContent
+} from '../src/supabase.js';
+
+async function upload(workspaceId, bytes, fileName, userId) {
+  const stored = await storeFileContent(Buffer.from(bytes), fileName, workspaceId);
+  const file = await saveUploadedFileMetadata({
+    workspace_id: workspaceId, user_id: userId, file_name: fileName,
+    storage_path: stored.path, thumbnail_path: stored.thumbnailPath || null, content_hash: stored.contentHash
+  });
+  return { stored, file };
+}
+
+test('identical uploads share one stored object', async () => {
+  const ws = await getOrCreateWorkspace('T_DEDUP_1', 'Acme');
+  const first = await upload(ws.id, 'same bytes', 'hero.png', 'U1');
+  const second = await upload(ws.id, 'same bytes', 'hero copy.png', 'U2');
+  assert.equal(first.stored.reused, false);
+  assert.equal(second.stored.reused, true);
+  assert.equal(second.stored.path, first.stored.path);
+  assert.equal((await findFileByContentHash(ws.id, first.stored.contentHash)).storage_path, first.stored.path);
+
+  const other = await upload(ws.id, 'other bytes', 'hero.png', 'U1');
+  assert.notEqual(other.stored.path, first.stored.path);
+  // the same bytes in another workspace are stored again
+  const elsewhere = await getOrCreateWorkspace('T_DEDUP_2', 'Other');
+  assert.equal((await upload(elsewhere.id, 'same bytes', 'hero.png', 'U1')).stored.reused, false);
+});
+
+test('deleting one of two files that share an object keeps the object for the other', async () => {
+  const ws = await getOrCreateWorkspace('T_DEDUP_3', 'Acme');
+  const mine = await upload(ws.id, 'shared bytes', 'logo.svg', 'U1');
+  const theirs = await upload(ws.id, 'shared bytes', 'logo final.svg', 'U2');
+  const path = mine.stored.path;
+
+  await deleteFile(ws.id, mine.file);
+  assert.equal(String(await storage.download('design_files', path)), 'shared bytes');
+
+  await deleteFile(ws.id, theirs.file);
+  await assert.rejects(storage.download('design_files', path));
+});
+
+test('near duplicates are files with almost the same name, or a similar name and tags', async () => {
+  const ws = await getOrCreateWorkspace('T_DEDUP_4', 'Acme');
+  const hero = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Checkout hero banner.png', tags: ['checkout', 'web'] });
+  await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Pricing table.png' });
+
+  const byName = await findNearDuplicates(ws.id, { fileName: 'checkout hero banner.jpg' });
+  assert.deepEqual(byName.map(m => m.id), [hero.id]);
+  const byTags = await findNearDuplicates(ws.id, { fileName: 'Checkout hero mobile.png', tags: ['web', 'checkout'] });
+  assert.deepEqual(byTags.map(m => m.id), [hero.id]);
+  assert.deepEqual(await findNearDuplicates(ws.id, { fileName: 'Onboarding flow.png' }), []);
+});
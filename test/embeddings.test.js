@@ -0,0 +1,55 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// ai.js embeds with OpenAI when it loads with a key; its requests are answered here
+process.env.OPENAI_API_KEY = 'sk-test';
+const requests = [];
+globalThis.fetch = async (url, init) => {
+  const body = JSON.parse(init.body);
+  requests.push(body);
+  // the SDK asks for base64 floats and decodes them itself
+  const embedding = Buffer.from(new Float32Array([1, 0, 0]).buffer).toString('base64');
+  return new Response(JSON.stringify({
+    object: 'list',
+    data: [{ object: 'embedding', index: 0, embedding }],
+    model: body.model,
+    usage: { prompt_tokens: 7, total_tokens: 7 }
+  }), { status: 200, headers: { 'content-type': 'application/json' } });
+};
+const { aiUsageFor, backfillEmbeddings, embedFile, getOrCreateWorkspace, recordAiUsage, saveUploadedFileMetadata, searchFiles } = await import('../src/supabase.js');
+const { db } = await import('../src/store/index.js');
+
+test('file and query embeddings are counted as AI usage', async () => {
+  const ws = await getOrCreateWorkspace('T_EMBED_1', 'Acme');
+  const file = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Pricing table' });
+  assert.deepEqual(file.embedding, [1, 0, 0]);
+  await searchFiles('pricing', ws.id, 5);
+
+  const usage = await aiUsageFor(ws.id);
+  assert.equal(usage.requests, 2);
+  assert.equal(usage.byFeature.embedding, 14);
+});
+
+test('nothing is embedded once the budget is used up, and the backfill skips the workspace', async () => {
+  const spent = await getOrCreateWorkspace('T_EMBED_2', 'Acme');
+  const other = await getOrCreateWorkspace('T_EMBED_3', 'Other');
+  await db.update('workspaces', { eq: { id: spent.id } }, { ai_monthly_token_budget: 100 });
+  await recordAiUsage(spent.id, { feature: 'rerank', model: 'm', promptTokens: 100 });
+  const sent = requests.length;
+
+  const file = await saveUploadedFileMetadata({ workspace_id: spent.id, user_id: 'U1', file_name: 'Hero banner' });
+  assert.equal(file.embedding, null);
+  assert.equal(file.embedding_model, null);
+  await embedFile(spent.id, file.id);
+  await searchFiles('hero', spent.id, 5);
+  assert.equal(requests.length, sent);
+
+  // stored before embeddings existed
+  const old = await saveUploadedFileMetadata({ workspace_id: other.id, user_id: 'U1', file_name: 'Old logo' });
+  await db.update('files', { eq: { id: old.id } }, { embedding: null, embedding_model: null });
+  assert.equal(await backfillEmbeddings({ batchSize: 1 }), 1);
+  assert.equal((await db.selectOne('files', { eq: { id: file.id } })).embedding_model, null);
+  assert.equal((await db.selectOne('files', { eq: { id: old.id } })).embedding_model, 'text-embedding-3-small');
+  assert.equal((await aiUsageFor(spent.id)).requests, 1);
+});
@@ -0,0 +1,9 @@
+// Imported first by every test file: the store and AI provider are picked from the
+// environment when their modules load, so tests run offline against the in-memory
+// local store with AI off unless a test file asks for something else.
+process.env.STORE_BACKEND = 'local';
+process.env.LOCAL_DATA_DIR = ':memory:';
+process.env.LOCAL_STORAGE_SECRET = 'test-secret';
+process.env.AI_PROVIDER ||= 'none';
+delete process.env.OPENAI_API_KEY;
+delete process.env.SUPABASE_URL;
@@ -0,0 +1,57 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync } from 'node:zlib';
+import { extractText } from '../src/extract/index.js';
+
+function pdf(content, { deflate = false } = {}) {
+  const data = deflate ? deflateSync(Buffer.from(content, 'latin1')) : Buffer.from(content, 'latin1');
+  return Buffer.concat([
+    Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Length ${data.length}${deflate ? ' /Filter /FlateDecode' : ''} >>\nstream\n`, 'latin1'),
+    data,
+    Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1')
+  ]);
+}
+
+test('PDF text operators are read from plain and deflated streams', () => {
+  const content = 'BT /F1 12 Tf 72 700 Td (Checkout) Tj [(Pay) 20 (ment) -400 (wizard)] TJ <4F52434120> Tj (nested \\(parens\\) (ok)) Tj ET';
+  for (const deflate of [false, true]) {
+    assert.equal(extractText(pdf(content, { deflate }), { fileName: 'a.pdf' }), 'Checkout Payment wizard ORCA nested (parens) (ok)');
+  }
+});
+
+test('a hostile TJ array is scanned in linear time', () => {
+  const hostile = `BT [${'(a) <41> '.repeat(20000)}`;
+  const started = Date.now();
+  extractText(pdf(hostile), { fileName: 'evil.pdf' });
+  extractText(pdf(`BT ${'('.repeat(200000)}`), { fileName: 'evil.pdf' });
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started}ms`);
+});
+
+test('a PDF of many deflate streams stops inflating at the file budget and stream limit', () => {
+  const pdfOf = contents => Buffer.concat([
+    Buffer.from('%PDF-1.4\n', 'latin1'),
+    ...contents.map((content, i) => {
+      const data = deflateSync(Buffer.from(content, 'latin1'));
+      return Buffer.concat([
+        Buffer.from(`${i + 1} 0 obj\n<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        data,
+        Buffer.from('\nendstream\nendobj\n', 'latin1')
+      ]);
+    }),
+    Buffer.from('%%EOF\n', 'latin1')
+  ]);
+
+  // 15 MB each: the 64 MB budget runs out after five of them
+  const padded = word => `BT (${word}) Tj ET${' '.repeat(15 * 1024 * 1024)}`;
+  const big = pdfOf([padded('Early'), padded('Two'), padded('Three'), padded('Four'), padded('Five'), padded('Late')]);
+  assert.ok(big.length < 1024 * 1024);
+  const text = extractText(big, { fileName: 'bomb.pdf' });
+  assert.match(text, /Early/);
+  assert.doesNotMatch(text, /Late/);
+
+  const many = pdfOf(Array.from({ length: 2001 }, (_, i) => `BT (w${i}) Tj ET`));
+  const words = extractText(many, { fileName: 'many.pdf' });
+  assert.match(words, /\bw0\b/);
+  assert.doesNotMatch(words, /\bw2000\b/);
+});
@@ -0,0 +1,117 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { claimNextJob, enqueueJob, getJob, getOrCreateWorkspace, requeueStaleJobs, updateJob } from '../src/supabase.js';
+
+// retries back off from 10ms here instead of seconds; read when jobs.js loads
+process.env.JOB_RETRY_BASE_MS = '10';
+const { retryDelayMs, startJobWorker } = await import('../src/jobs.js');
+
+async function until(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('a queued job is claimed once, and not before it is due', async () => {
+  const ws = await getOrCreateWorkspace('T_JOBS_1', 'Acme');
+  const later = await enqueueJob({ workspace_id: ws.id, type: 'noop' });
+  await updateJob(later.id, { run_at: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+  const job = await enqueueJob({ workspace_id: ws.id, type: 'noop' });
+
+  const claimed = await claimNextJob();
+  assert.equal(claimed.id, job.id);
+  assert.equal(claimed.status, 'running');
+  assert.equal(claimed.attempts, 1);
+  assert.equal(await claimNextJob(), null);
+});
+
+test('a failed attempt is retried and picks up from its checkpoint', async () => {
+  const ws = await getOrCreateWorkspace('T_JOBS_2', 'Acme');
+  const seen = [];
+  const errors = [];
+  const worker = startJobWorker({
+    pollMs: 5,
+    handlers: {
+      upload: {
+        async run(job, ctx) {
+          seen.push({ attempts: job.attempts, state: { ...ctx.state } });
+          if (!ctx.state.stored) {
+            await ctx.checkpoint({ stored: 'path/1' });
+            throw new Error('Slack timed out');
+          }
+          return { fileId: 42 };
+        },
+        onError: (job, err, { retryAt }) => errors.push({ message: err.message, retryAt })
+      }
+    }
+  });
+  try {
+    const job = await enqueueJob({ workspace_id: ws.id, type: 'upload' });
+    const done = await until(async () => {
+      const row = await getJob(ws.id, job.id);
+      return row.status === 'done' ? row : null;
+    });
+    assert.deepEqual(seen, [{ attempts: 1, state: {} }, { attempts: 2, state: { stored: 'path/1' } }]);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].message, 'Slack timed out');
+    assert.ok(errors[0].retryAt instanceof Date);
+    assert.deepEqual(done.state, { stored: 'path/1', result: { fileId: 42 } });
+  } finally {
+    await worker.stop();
+  }
+});
+
+test('a job out of attempts fails for good', async () => {
+  const ws = await getOrCreateWorkspace('T_JOBS_3', 'Acme');
+  const errors = [];
+  const worker = startJobWorker({
+    pollMs: 5,
+    handlers: {
+      broken: {
+        run: async () => { throw new Error('bad input'); },
+        onError: (job, err, { retryAt }) => errors.push(retryAt)
+      }
+    }
+  });
+  try {
+    const job = await enqueueJob({ workspace_id: ws.id, type: 'broken', max_attempts: 2 });
+    const failed = await until(async () => {
+      const row = await getJob(ws.id, job.id);
+      return row.status === 'failed' ? row : null;
+    });
+    assert.equal(failed.attempts, 2);
+    assert.equal(failed.last_error, 'bad input');
+    assert.ok(failed.finished_at);
+    assert.equal(errors.length, 2);
+    assert.ok(errors[0] instanceof Date);
+    assert.equal(errors[1], null);
+  } finally {
+    await worker.stop();
+  }
+});
+
+test('a job whose worker died is requeued, or failed once out of attempts', async () => {
+  const ws = await getOrCreateWorkspace('T_JOBS_4', 'Acme');
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const retried = await enqueueJob({ workspace_id: ws.id, type: 'noop' });
+  const spent = await enqueueJob({ workspace_id: ws.id, type: 'noop', max_attempts: 1 });
+  await updateJob(retried.id, { status: 'running', attempts: 1, locked_at: hourAgo });
+  await updateJob(spent.id, { status: 'running', attempts: 1, locked_at: hourAgo });
+
+  const requeued = await requeueStaleJobs(10 * 60 * 1000);
+  assert.deepEqual(requeued.map(j => j.id).sort(), [retried.id, spent.id].sort());
+  assert.equal((await getJob(ws.id, retried.id)).status, 'queued');
+  assert.equal((await getJob(ws.id, spent.id)).status, 'failed');
+});
+
+test('retries back off exponentially', () => {
+  assert.equal(retryDelayMs(1), 10);
+  assert.equal(retryDelayMs(2), 20);
+  assert.equal(retryDelayMs(4), 80);
+  assert.equal(retryDelayMs(40), 15 * 60 * 1000);
+});
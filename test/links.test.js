@@ -0,0 +1,82 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { fetchLinkMetadata } from '../src/links/index.js';
+
+// One stub for every provider API; answers by path and records what it was sent
+const requests = [];
+const server = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://stub');
+    const path = decodeURIComponent(url.pathname);
+    requests.push({ path, query: url.searchParams, headers: req.headers, body });
+    const replies = {
+      '/v1/files/AbC123/meta': { file: { name: 'Checkout flow', last_touched_at: '2026-01-02T03:04:05Z', creator: { handle: 'maria' }, thumbnail_url: 'https://figma.example/thumb.png' } },
+      '/2/sharing/get_shared_link_metadata': { name: 'Brand kit.pdf', server_modified: '2026-02-01T00:00:00Z', team_member_info: { display_name: 'Sam' } },
+      '/v2/boards/uXjVO=': { name: 'Sprint board', modifiedAt: '2026-03-01T00:00:00Z', owner: { name: 'Kim' }, picture: { imageURL: 'https://miro.example/board.png' } },
+      '/drive/v3/files/1aBcD': { name: 'Spec', modifiedTime: '2026-04-01T00:00:00Z', owners: [{ displayName: 'Lee' }], thumbnailLink: 'https://lh3.googleusercontent.com/private' }
+    };
+    const reply = replies[path];
+    res.writeHead(reply ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(reply || {}));
+  });
+});
+
+test.before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  for (const key of ['FIGMA_API_BASE', 'DROPBOX_API_BASE', 'MIRO_API_BASE', 'GOOGLE_DRIVE_API_BASE']) process.env[key] = base;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+test.beforeEach(() => { requests.length = 0; });
+
+test('figma metadata is read with the workspace token', async () => {
+  const meta = await fetchLinkMetadata('https://www.figma.com/design/AbC123/Checkout', { tokens: { figma: 'ws-figma' } });
+  assert.equal(meta.title, 'Checkout flow');
+  assert.equal(meta.owner, 'maria');
+  assert.equal(meta.thumbnailUrl, 'https://figma.example/thumb.png');
+  assert.equal(requests[0].headers['x-figma-token'], 'ws-figma');
+});
+
+test('without a workspace token nothing is fetched, whatever the process environment holds', async () => {
+  process.env.FIGMA_TOKEN = 'process-wide';
+  process.env.MIRO_TOKEN = 'process-wide';
+  try {
+    const figma = await fetchLinkMetadata('https://www.figma.com/file/AbC123/Checkout', { tokens: { miro: 'other' } });
+    const miro = await fetchLinkMetadata('https://miro.com/app/board/uXjVO=/');
+    assert.equal(figma.provider, 'figma');
+    assert.equal(figma.title, null);
+    assert.equal(miro.title, null);
+    assert.equal(requests.length, 0);
+  } finally {
+    delete process.env.FIGMA_TOKEN;
+    delete process.env.MIRO_TOKEN;
+  }
+});
+
+test('dropbox and miro send the workspace token as a bearer token', async () => {
+  const dropbox = await fetchLinkMetadata('https://www.dropbox.com/scl/fi/xyz/Brand-kit.pdf', { tokens: { dropbox: 'ws-dropbox' } });
+  const miro = await fetchLinkMetadata('https://miro.com/app/board/uXjVO=/', { tokens: { miro: 'ws-miro' } });
+  assert.equal(dropbox.title, 'Brand kit.pdf');
+  assert.equal(dropbox.owner, 'Sam');
+  assert.equal(miro.title, 'Sprint board');
+  assert.deepEqual(requests.map(r => r.headers.authorization), ['Bearer ws-dropbox', 'Bearer ws-miro']);
+  assert.deepEqual(JSON.parse(requests[0].body), { url: 'https://www.dropbox.com/scl/fi/xyz/Brand-kit.pdf' });
+});
+
+test('google drive reads public metadata with the API key and returns no thumbnail', async () => {
+  process.env.GOOGLE_API_KEY = 'api-key';
+  try {
+    const meta = await fetchLinkMetadata('https://drive.google.com/file/d/1aBcD/view', { tokens: { google_drive: 'ignored' } });
+    assert.equal(meta.title, 'Spec');
+    assert.equal(meta.owner, 'Lee');
+    assert.equal(meta.thumbnailUrl, null);
+    assert.equal(requests[0].query.get('key'), 'api-key');
+    assert.equal(requests[0].headers.authorization, undefined);
+  } finally {
+    delete process.env.GOOGLE_API_KEY;
+  }
+});
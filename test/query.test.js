@@ -0,0 +1,72 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFilters, hasFilters, mergeFilters, parseFollowUp, parseQuery } from '../src/query.js';
+
+// a Wednesday afternoon
+const now = new Date('2026-03-11T15:30:00Z');
+const parse = q => parseQuery(q, { now });
+
+test('file types and date ranges become filters, with their prepositions', () => {
+  assert.deepEqual(parse('pdfs from last week'), {
+    text: '',
+    filters: { since: '2026-03-04T00:00:00.000Z', fileTypes: ['pdf'] },
+    sort: 'relevance'
+  });
+  assert.deepEqual(parse('mockups in the last 3 days').filters, { since: '2026-03-08T00:00:00.000Z' });
+  assert.deepEqual(parse('banners yesterday').filters, { since: '2026-03-10T00:00:00.000Z', until: '2026-03-11T00:00:00.000Z' });
+});
+
+test('sort words set the sort and leave the rest as text', () => {
+  assert.deepEqual(parse('latest orca mockups'), { text: 'orca mockups', filters: {}, sort: 'newest' });
+  assert.deepEqual(parse('oldest'), { text: '', filters: {}, sort: 'oldest' });
+  // "latest version" is a filter, not a sort
+  assert.deepEqual(parse('logo latest version'), { text: 'logo', filters: { versions: 'latest' }, sort: 'relevance' });
+});
+
+test('uploaders, tags, collections, versions and archived files', () => {
+  assert.deepEqual(parse('from @ana tagged onboarding').filters, { uploaderNames: ['ana'], tags: ['onboarding'] });
+  assert.deepEqual(parse('pngs by <@U123> all versions'), {
+    text: '',
+    filters: { uploaderIds: ['U123'], versions: 'all', fileTypes: ['png'] },
+    sort: 'relevance'
+  });
+  assert.deepEqual(parse('homepage in collection "ORCA Q3" include archived'), {
+    text: 'homepage',
+    filters: { collections: ['orca q3'], archived: 'include' },
+    sort: 'relevance'
+  });
+  assert.deepEqual(parse('#web hero project orca').filters, { tags: ['web'], projects: ['orca'] });
+});
+
+test('a query without filters keeps every word as text', () => {
+  const parsed = parse('checkout flow redesign for mobile');
+  assert.deepEqual(parsed, { text: 'checkout flow redesign for mobile', filters: {}, sort: 'relevance' });
+  assert.equal(hasFilters(parsed.filters), false);
+});
+
+test('follow-ups narrow the earlier filters', () => {
+  const followUp = parseFollowUp('only the pdfs from ana since 2026-03-01', { now });
+  assert.deepEqual(followUp, { filters: { since: '2026-03-01T00:00:00.000Z', uploaderNames: ['ana'], fileTypes: ['pdf'] }, keywords: [] });
+  assert.deepEqual(parseFollowUp('with dark mode', { now }).keywords, ['dark', 'mode']);
+
+  const merged = mergeFilters({ since: '2026-03-04T00:00:00.000Z', tags: ['web'] }, { since: '2026-02-01T00:00:00.000Z', tags: ['mobile'], fileTypes: [] });
+  assert.deepEqual(merged, { since: '2026-03-04T00:00:00.000Z', tags: ['mobile'] });
+});
+
+test('applyFilters checks every filter and hides archived files unless asked', () => {
+  const rows = [
+    { id: 1, user_id: 'U1', file_name: 'Hero.pdf', tags: ['web', 'hero'], project: 'Orca', uploaded_at: '2026-03-05T00:00:00.000Z' },
+    { id: 2, user_id: 'U2', file_name: 'Hero.png', tags: 'web', uploaded_at: '2026-03-06T00:00:00.000Z' },
+    { id: 3, user_id: 'U1', file_name: 'Old.pdf', uploaded_at: '2026-01-01T00:00:00.000Z', archived_at: '2026-02-01T00:00:00.000Z' },
+    { id: 4, user_id: 'U1', file_name: 'Hero v1.pdf', tags: ['web'], uploaded_at: '2026-03-05T00:00:00.000Z', is_latest: false }
+  ];
+  const ids = filters => applyFilters(rows, filters).map(r => r.id);
+  assert.deepEqual(ids({}), [1, 2, 4]);
+  assert.deepEqual(ids({ fileTypes: ['pdf'], uploaderIds: ['U1'] }), [1, 4]);
+  assert.deepEqual(ids({ since: '2026-03-06T00:00:00.000Z' }), [2]);
+  assert.deepEqual(ids({ tags: ['hero'], projects: ['orca'] }), [1]);
+  assert.deepEqual(ids({ versions: 'latest' }), [1, 2]);
+  assert.deepEqual(ids({ archived: 'only' }), [3]);
+  assert.deepEqual(ids({ archived: 'include', until: '2026-03-01T00:00:00.000Z' }), [3]);
+});
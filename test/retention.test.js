@@ -0,0 +1,17 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../src/store/index.js';
+import { applyRetention, getOrCreateWorkspace, markFilesUsed, saveUploadedFileMetadata } from '../src/supabase.js';
+
+test('files shared or downloaded recently are kept; unused ones are archived', async () => {
+  const ws = await getOrCreateWorkspace('T_RETENTION_1', 'Acme');
+  const longAgo = '2020-01-01T00:00:00.000Z';
+  const used = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Shared mockup' });
+  const unused = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Forgotten mockup' });
+  await db.update('files', { eq: { workspace_id: ws.id } }, { uploaded_at: longAgo, last_accessed_at: longAgo });
+
+  await markFilesUsed(ws.id, [used.id]);
+  const { archived } = await applyRetention(ws.id, { archiveAfterDays: 30 });
+  assert.deepEqual(archived.map(f => f.id), [unused.id]);
+});
@@ -0,0 +1,52 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../src/store/index.js';
+import { addFileToCollections, createCollection, embedFile, getOrCreateWorkspace, refineSearchResults, saveUploadedFileMetadata, searchFiles } from '../src/supabase.js';
+
+test('an old file that only matches semantically is found behind hundreds of newer ones', async () => {
+  const ws = await getOrCreateWorkspace('T_SEARCH_1', 'Acme');
+  const old = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Dashboards overview' });
+  await db.update('files', { eq: { id: old.id } }, { uploaded_at: '2020-01-01T00:00:00.000Z' });
+  for (let i = 0; i < 250; i++) {
+    await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: `Pricing table ${i}` });
+  }
+  const results = await searchFiles('dashboarding', ws.id, 5);
+  assert.equal(results[0]?.id, old.id);
+});
+
+test('a follow-up with new keywords keeps the filters and collection of the search it refines', async () => {
+  const ws = await getOrCreateWorkspace('T_SEARCH_2', 'Acme');
+  const launch = await createCollection(ws.id, { name: 'Launch', userId: 'U1' });
+  const wanted = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U_ANA', file_name: 'Onboarding flow.pdf' });
+  await db.update('files', { eq: { id: wanted.id } }, { uploaded_at: '2020-01-01T00:00:00.000Z' });
+  const inLaunch = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Onboarding flow launch.png' });
+  await addFileToCollections(ws.id, inLaunch, [launch.id], 'U1');
+  for (let i = 0; i < 60; i++) {
+    await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: `Onboarding flow onboarding ${i}.png` });
+  }
+
+  const fromAna = await refineSearchResults(ws.id, {
+    query: 'onboarding flow',
+    filters: { uploaderIds: ['U_ANA'], fileTypes: ['pdf'] },
+    keywords: ['flow'],
+    limit: 25
+  });
+  assert.deepEqual(fromAna.map(f => f.id), [wanted.id]);
+
+  const scoped = await refineSearchResults(ws.id, { query: 'onboarding flow', filters: { collections: ['Launch'] }, keywords: ['flow'], limit: 25 });
+  assert.deepEqual(scoped.map(f => f.id), [inLaunch.id]);
+});
+
+test('a file with nothing to embed is left without an embedding model', async () => {
+  const ws = await getOrCreateWorkspace('T_SEARCH_3', 'Acme');
+  const blank = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: '' });
+  const named = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U1', file_name: 'Pricing table' });
+  await embedFile(ws.id, blank.id);
+  await embedFile(ws.id, named.id);
+
+  const row = id => db.selectOne('files', { eq: { id } });
+  assert.equal((await row(blank.id)).embedding, null);
+  assert.equal((await row(blank.id)).embedding_model, null);
+  assert.ok((await row(named.id)).embedding_model);
+});
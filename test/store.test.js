@@ -0,0 +1,75 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { store } from '../src/store/index.js';
+import { createLocalStore } from '../src/store/local.js';
+import {
+  deleteSlackInstallation,
+  fetchSlackInstallation,
+  getOrCreateWorkspace,
+  saveUploadedFileMetadata,
+  searchFiles,
+  storeSlackInstallation,
+  uploadFileToStorage
+} from '../src/supabase.js';
+
+test('a team gets one workspace', async () => {
+  const first = await getOrCreateWorkspace('T_STORE_1', 'Acme');
+  const again = await getOrCreateWorkspace('T_STORE_1', 'Acme');
+  assert.equal(again.id, first.id);
+});
+
+test('an upload is stored, indexed and found by search in its workspace only', async () => {
+  const acme = await getOrCreateWorkspace('T_STORE_2', 'Acme');
+  const other = await getOrCreateWorkspace('T_STORE_3', 'Other');
+  const stored = await uploadFileToStorage(Buffer.from('png bytes'), 'orca dash.png', acme.id);
+  assert.match(stored.path, new RegExp(`^${acme.id}/\\d+_orca_dash\\.png$`));
+  assert.equal(String(await store.storage.download('design_files', stored.path)), 'png bytes');
+
+  await saveUploadedFileMetadata({
+    workspace_id: acme.id,
+    user_id: 'U1',
+    file_name: 'ORCA dashboard mockup',
+    tags: ['orca', 'dashboard'],
+    storage_path: stored.path
+  });
+  const [hit] = await searchFiles('orca dashboard', acme.id, 5);
+  assert.equal(hit.file_name, 'ORCA dashboard mockup');
+  assert.deepEqual(await searchFiles('orca dashboard', other.id, 5), []);
+});
+
+test('OAuth installations are stored, fetched and deleted by team', async () => {
+  const installation = { team: { id: 'T_STORE_4' }, user: { id: 'U1' }, bot: { token: 'xoxb-test' } };
+  await storeSlackInstallation(installation);
+  assert.equal((await fetchSlackInstallation({ teamId: 'T_STORE_4' })).bot.token, 'xoxb-test');
+  await storeSlackInstallation({ ...installation, bot: { token: 'xoxb-rotated' } });
+  assert.equal((await fetchSlackInstallation({ teamId: 'T_STORE_4' })).bot.token, 'xoxb-rotated');
+  await deleteSlackInstallation({ teamId: 'T_STORE_4' });
+  assert.equal(await fetchSlackInstallation({ teamId: 'T_STORE_4' }), null);
+});
+
+test('the local store persists tables and objects to disk', async t => {
+  const dir = await mkdtemp(join(tmpdir(), 'design-store-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const first = createLocalStore({ dir, signingSecret: 's' });
+  const row = await first.db.insert('files', { workspace_id: 'W1', file_name: 'a' });
+  await first.storage.upload('design_files', 'W1/a.png', Buffer.from('a'));
+
+  const reopened = createLocalStore({ dir, signingSecret: 's' });
+  assert.equal((await reopened.db.selectOne('files', { eq: { id: row.id } })).file_name, 'a');
+  assert.equal(String(await reopened.storage.download('design_files', 'W1/a.png')), 'a');
+  assert.deepEqual(await reopened.storage.list('design_files', 'W1'), ['W1/a.png']);
+});
+
+test('signed links verify until they expire and only for their path', async () => {
+  const local = createLocalStore({ dir: ':memory:', signingSecret: 's' });
+  const params = url => Object.fromEntries(new URL(url).searchParams);
+  const link = params(await local.storage.signedUrl('design_files', 'W1/a.png', 60));
+  assert.equal(local.storage.verifySignedUrl('design_files', link), true);
+  assert.equal(local.storage.verifySignedUrl('design_files', { ...link, path: 'W1/b.png' }), false);
+  const expired = params(await local.storage.signedUrl('design_files', 'W1/a.png', -1));
+  assert.equal(local.storage.verifySignedUrl('design_files', expired), false);
+});
@@ -0,0 +1,37 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { db } from '../src/store/index.js';
+import { createSubscription, getOrCreateWorkspace, saveUploadedFileMetadata, searchFiles } from '../src/supabase.js';
+import { DIGEST_RESULT_LIMIT, DIGEST_SEARCH_LIMIT, digestPage, subscriptionSearch } from '../src/subscriptions.js';
+
+const run = async (subscription, workspaceId) => digestPage(
+  await searchFiles(subscription.query, workspaceId, DIGEST_SEARCH_LIMIT, { parsed: subscriptionSearch(subscription), allMatches: true }));
+
+test('digests page through every new match, oldest first, without repeats', async () => {
+  const ws = await getOrCreateWorkspace('T_SUBSCRIPTIONS_1', 'Acme');
+  let subscription = await createSubscription(ws.id, { userId: 'U1', query: 'banner', frequency: 'daily', nextRunAt: new Date().toISOString() });
+  subscription = { ...subscription, created_at: '2026-01-01T00:00:00.000Z' };
+  // more matches than searchFiles fetches as candidates in one go
+  const count = 230;
+  for (let i = 0; i < count; i++) {
+    const f = await saveUploadedFileMetadata({ workspace_id: ws.id, user_id: 'U2', file_name: `Banner ${i}` });
+    await db.update('files', { eq: { id: f.id } }, { uploaded_at: new Date(Date.UTC(2026, 1, 1, 0, i)).toISOString() });
+  }
+
+  const seen = [];
+  for (let digest = 0; ; digest++) {
+    assert.ok(digest <= Math.ceil(count / DIGEST_RESULT_LIMIT), 'digests should run out of matches');
+    const { files, boundary, more } = await run(subscription, ws.id);
+    if (!files.length) {
+      assert.equal(boundary, null);
+      break;
+    }
+    assert.ok(files.length <= DIGEST_RESULT_LIMIT);
+    assert.equal(boundary, files.at(-1).uploaded_at);
+    assert.equal(more, seen.length + files.length < count);
+    seen.push(...files.map(f => f.name));
+    subscription = { ...subscription, last_run_at: boundary };
+  }
+  assert.deepEqual(seen, Array.from({ length: count }, (_, i) => `Banner ${i}`));
+});
@@ -0,0 +1,54 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { THUMBNAIL_SIZE, kindOf, renderThumbnail } from '../src/thumbnails.js';
+
+// A one-page PDF with a 600x300pt page and a valid xref table
+function pdf() {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 600 300] /Contents 4 0 R >>',
+    '<< /Length 35 >>\nstream\n0 0 1 rg 100 100 200 100 re f\nendstream'
+  ];
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((obj, i) => {
+    const at = body.length;
+    body += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+    return at;
+  });
+  const xref = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('')}`;
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(body, 'latin1');
+}
+
+test('file kinds come from the extension, MIME type or the bytes', () => {
+  const bytes = Buffer.from('not much');
+  assert.equal(kindOf(bytes, { fileName: 'Spec.PDF' }), 'pdf');
+  assert.equal(kindOf(Buffer.from('%PDF-1.7\n'), {}), 'pdf');
+  assert.equal(kindOf(bytes, { mimeType: 'image/svg+xml' }), 'svg');
+  assert.equal(kindOf(Buffer.from('<?xml version="1.0"?><svg width="1">'), { fileName: 'logo' }), 'svg');
+  assert.equal(kindOf(bytes, { fileName: 'hero.webp' }), 'image');
+  assert.equal(kindOf(bytes, { mimeType: 'image/png' }), 'image');
+  assert.equal(kindOf(bytes, { fileName: 'notes.txt', mimeType: 'text/plain' }), null);
+});
+
+test('images and the first page of a PDF become PNGs no larger than the thumbnail size', async () => {
+  const png = await sharp({ create: { width: 800, height: 400, channels: 3, background: '#ff0000' } }).png().toBuffer();
+  for (const [buf, fileName] of [[png, 'hero.png'], [pdf(), 'spec.pdf']]) {
+    const thumb = await renderThumbnail(buf, { fileName });
+    const meta = await sharp(thumb).metadata();
+    assert.equal(meta.format, 'png', fileName);
+    assert.equal(meta.width, THUMBNAIL_SIZE, fileName);
+    assert.equal(meta.height, THUMBNAIL_SIZE / 2, fileName);
+  }
+});
+
+test('files that fail to render, or that we do not render, have no thumbnail', async () => {
+  assert.equal(await renderThumbnail(Buffer.from('%PDF-1.4\nbroken'), { fileName: 'bad.pdf' }), null);
+  assert.equal(await renderThumbnail(Buffer.from('not a png'), { fileName: 'bad.png' }), null);
+  assert.equal(await renderThumbnail(Buffer.from('plain text'), { fileName: 'notes.txt' }), null);
+  assert.equal(await renderThumbnail(Buffer.alloc(0), { fileName: 'empty.png' }), null);
+});
@@ -0,0 +1,17 @@
+import './env.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getOrCreateWorkspace, saveUploadedFileMetadata } from '../src/supabase.js';
+
+test('a new version keeps the visibility of the file it revises', async () => {
+  const ws = await getOrCreateWorkspace('T_VERSIONS_1', 'Acme');
+  const parent = await saveUploadedFileMetadata({
+    workspace_id: ws.id, user_id: 'U1', file_name: 'Checkout v1', privacy: 'people', allowed_user_ids: ['U2']
+  });
+  const next = await saveUploadedFileMetadata({
+    workspace_id: ws.id, user_id: 'U3', file_name: 'Checkout v2', parent_file_id: parent.id, privacy: 'company'
+  });
+  assert.equal(next.version, 2);
+  assert.equal(next.privacy, 'people');
+  assert.deepEqual(next.allowed_user_ids, ['U2']);
+});
@@ -0,0 +1,14 @@
+-- ============================================
+-- Thumbnails Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: PNG thumbnail stored next to the original (<storage_path>.thumb.png).
+-- thumbnail_checked_at marks rows already rendered (or found unrenderable) so the
+-- backfill (npm run backfill:thumbnails) only visits the rest.
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS thumbnail_path text,
+  ADD COLUMN IF NOT EXISTS thumbnail_checked_at timestamptz;
+CREATE INDEX IF NOT EXISTS idx_files_thumbnail_pending
+  ON public.files(id) WHERE thumbnail_checked_at IS NULL;
+-- ============================================
@@ -0,0 +1,16 @@
+-- ============================================
+-- Uninstall Cleanup Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: When the app was uninstalled (cleared again on reinstall) and when the
+-- workspace's data was last purged. Data is purged UNINSTALL_RETENTION_DAYS after
+-- uninstalled_at.
+ALTER TABLE public.workspaces
+  ADD COLUMN IF NOT EXISTS uninstalled_at timestamptz,
+  ADD COLUMN IF NOT EXISTS purged_at timestamptz;
+
+-- Step 2: The purge sweep looks up uninstalled workspaces
+CREATE INDEX IF NOT EXISTS idx_workspaces_uninstalled_at
+  ON public.workspaces(uninstalled_at) WHERE uninstalled_at IS NOT NULL;
+-- ============================================
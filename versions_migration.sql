@@ -0,0 +1,18 @@
+-- ============================================
+-- File Versioning Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: Version columns. A version group is keyed by the id of its first file;
+-- parent_file_id is the revision the uploader picked as "new version of…".
+ALTER TABLE public.files
+  ADD COLUMN IF NOT EXISTS parent_file_id uuid,
+  ADD COLUMN IF NOT EXISTS version_group_id uuid,
+  ADD COLUMN IF NOT EXISTS version integer NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS is_latest boolean NOT NULL DEFAULT true,
+  ADD COLUMN IF NOT EXISTS change_notes text;
+
+-- Step 2: Indexes for listing a group's history and filtering to latest revisions
+CREATE INDEX IF NOT EXISTS idx_files_version_group_id ON public.files(version_group_id);
+CREATE INDEX IF NOT EXISTS idx_files_workspace_latest ON public.files(workspace_id, is_latest);
+-- ============================================
@@ -0,0 +1,26 @@
+-- ============================================
+-- Workspace Settings Migration
+-- Run this in Supabase SQL Editor
+-- ============================================
+
+-- Step 1: One settings row per workspace, edited with /design-admin or from the App Home.
+-- NULL columns fall back to the defaults in src/settings.js.
+CREATE TABLE IF NOT EXISTS public.workspace_settings (
+  workspace_id uuid PRIMARY KEY REFERENCES public.workspaces(id) ON DELETE CASCADE,
+  assistant_name text,
+  default_privacy text CHECK (default_privacy IN ('company', 'public', 'people')),
+  ai_rerank_enabled boolean,
+  results_page_size integer CHECK (results_page_size BETWEEN 1 AND 10),
+  archive_after_days integer CHECK (archive_after_days > 0),
+  delete_archived_after_days integer CHECK (delete_archived_after_days > 0),
+  updated_by text,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Step 2: Retention looks for files nobody has opened in a while
+CREATE INDEX IF NOT EXISTS idx_files_workspace_last_accessed
+  ON public.files(workspace_id, last_accessed_at);
+
+-- Step 3: Same defense-in-depth RLS as files/workspaces
+ALTER TABLE public.workspace_settings ENABLE ROW LEVEL SECURITY;
+-- ============================================